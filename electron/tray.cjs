@@ -0,0 +1,183 @@
+/**
+ * システムトレイ（macOS はメニューバー）のメニュー
+ * HTTP の /mute・/focus・/watcher・/speaker・/character と同じコアの関数を使い、
+ * どちらから変えても変更の通知でメニューを作り直す
+ */
+
+const { app, Menu, Tray, nativeImage, shell } = require('electron');
+const path = require('path');
+
+// メニューバーに合わせたアイコンの高さ
+const ICON_SIZE = 18;
+// メニューから始める集中モードの長さ
+const FOCUS_MINUTES = 30;
+
+// パックの normal の画像をアイコンにする（読めなければ空のアイコン）
+function iconFor(pack) {
+  const file = pack.expressions && pack.expressions.normal;
+  if (!file) return nativeImage.createEmpty();
+  const image = nativeImage.createFromPath(path.join(pack.dir, file));
+  return image.isEmpty() ? image : image.resize({ height: ICON_SIZE });
+}
+
+/**
+ * トレイを作る（コアを読み込んだ後に呼ぶ）
+ * getWindow: アバターのウィンドウ / resetWindowPosition: 起動時の位置と大きさに戻す
+ */
+function createTray({ core, getWindow, resetWindowPosition, logFile, serverUrl }) {
+  const tray = new Tray(nativeImage.createEmpty());
+  let characterId = null;
+  // 話者の一覧（VOICEVOX が起動していなければ空。メニューから読み直せる）
+  let speakers = [];
+  let loadingSpeakers = false;
+
+  function loadSpeakers() {
+    if (loadingSpeakers) return;
+    loadingSpeakers = true;
+    core.getSpeakers()
+      .then((list) => {
+        speakers = list;
+      })
+      .catch((err) => console.warn(`[Tray] Could not load speakers: ${err.message}`))
+      .finally(() => {
+        loadingSpeakers = false;
+        update();
+      });
+  }
+
+  function setSpeaker(speaker) {
+    try {
+      core.patchConfig({ voices: { speaker } });
+    } catch (err) {
+      console.error(`[Tray] Could not set speaker: ${err.message}`);
+    }
+  }
+
+  function switchCharacter(id) {
+    try {
+      core.switchCharacter(id);
+    } catch (err) {
+      console.error(`[Tray] Could not switch character: ${err.message}`);
+    }
+  }
+
+  function speakerMenu() {
+    const selected = core.loadConfig().voices?.speaker;
+    const items = [
+      {
+        label: 'キャラクターパックの声',
+        type: 'radio',
+        checked: selected === undefined || selected === null,
+        click: () => setSpeaker(null),
+      },
+      { type: 'separator' },
+    ];
+    if (speakers.length === 0) {
+      items.push({
+        label: loadingSpeakers ? '読み込み中…' : '話者の一覧を読み込む',
+        enabled: !loadingSpeakers,
+        click: loadSpeakers,
+      });
+      return items;
+    }
+    for (const speaker of speakers) {
+      items.push({
+        label: speaker.name,
+        submenu: (speaker.styles || []).map((style) => ({
+          label: style.name,
+          type: 'radio',
+          checked: String(selected) === String(style.id),
+          click: () => setSpeaker(style.id),
+        })),
+      });
+    }
+    return items;
+  }
+
+  function update() {
+    const character = core.getCharacter();
+    if (character.id !== characterId) {
+      characterId = character.id;
+      const icon = iconFor(character);
+      tray.setImage(icon);
+      // アイコンが無ければ名前の1文字目を出す（macOS のみ）
+      tray.setTitle(icon.isEmpty() ? character.name.slice(0, 1) : '');
+      tray.setToolTip(character.name);
+    }
+
+    const win = getWindow();
+    const { muted } = core.getAudioState();
+    const watcher = core.getSessionWatcherState();
+    const { focus } = core.getPolicyState();
+    const menu = Menu.buildFromTemplate([
+      {
+        label: 'ミュート',
+        type: 'checkbox',
+        checked: muted,
+        click: (item) => core.setMuted(item.checked),
+      },
+      {
+        label: focus
+          ? `集中モード（${new Date(focus.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}まで）`
+          : `集中モード（${FOCUS_MINUTES}分）`,
+        type: 'checkbox',
+        checked: Boolean(focus),
+        click: (item) => core.setFocusMode(item.checked ? FOCUS_MINUTES : null),
+      },
+      {
+        label: 'セッションの監視を一時停止',
+        type: 'checkbox',
+        checked: watcher.paused,
+        enabled: watcher.running,
+        click: (item) => core.setSessionWatcherPaused(item.checked),
+      },
+      { type: 'separator' },
+      { label: '話者', submenu: speakerMenu() },
+      {
+        label: 'キャラクター',
+        submenu: core.listCharacters().map((pack) => ({
+          label: pack.name,
+          type: 'radio',
+          checked: pack.id === character.id,
+          click: () => switchCharacter(pack.id),
+        })),
+      },
+      { type: 'separator' },
+      {
+        label: '常に最前面に表示',
+        type: 'checkbox',
+        checked: Boolean(win && win.isAlwaysOnTop()),
+        enabled: Boolean(win),
+        click: (item) => {
+          getWindow()?.setAlwaysOnTop(item.checked);
+        },
+      },
+      { label: '位置をリセット', enabled: Boolean(win), click: resetWindowPosition },
+      { type: 'separator' },
+      { label: 'ログを開く', click: () => shell.openPath(logFile) },
+      { label: '喋った履歴を開く', click: () => shell.openExternal(`${serverUrl}/history`) },
+      { type: 'separator' },
+      { label: '終了', click: () => app.quit() },
+    ]);
+    tray.setContextMenu(menu);
+  }
+
+  const unsubscribes = [
+    core.onConfigChange(update),
+    core.onAudioStateChange(update),
+    core.onSessionWatcherChange(update),
+    core.onPolicyChange(update),
+  ];
+  update();
+  loadSpeakers();
+
+  return {
+    update,
+    destroy() {
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      tray.destroy();
+    },
+  };
+}
+
+module.exports = { createTray };
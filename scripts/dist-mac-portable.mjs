@@ -49,10 +49,12 @@ if (ditto.status !== 0) {
 
 // Build app.asar from a staging directory that includes:
 // - electron/ (main.cjs, index.html, assets...)
+// - dist/ (compiled core library from src/, loaded by main.cjs)
 // - package.json (with main=electron/main.cjs)
 // - node_modules (runtime deps; we exclude obvious dev-only/builder-only ones)
 const asarCli = path.join(rootDir, 'node_modules', '@electron', 'asar', 'bin', 'asar.js');
 const electronAppDir = path.join(rootDir, 'electron');
+const coreDistDir = path.join(rootDir, 'dist');
 const tmpAsar = path.join(outDir, 'app.asar.tmp');
 const stageDir = path.join(outDir, '.stage');
 
@@ -60,6 +62,10 @@ if (!fs.existsSync(electronAppDir)) {
   fail(`electron/ directory not found at: ${electronAppDir}`);
 }
 
+if (!fs.existsSync(path.join(coreDistDir, 'index.js'))) {
+  fail(`dist/index.js not found. Run \`npm run build\` first.`);
+}
+
 fs.mkdirSync(resourcesDest, { recursive: true });
 
 // Option: reuse electron-builder's produced app.asar (if it exists and you want byte-for-byte parity)
@@ -84,10 +90,15 @@ if (useBuilderAsar) {
   // electron/
   fs.cpSync(electronAppDir, path.join(stageDir, 'electron'), { recursive: true, dereference: true });
 
+  // dist/
+  fs.cpSync(coreDistDir, path.join(stageDir, 'dist'), { recursive: true, dereference: true });
+
   // minimal package.json for Electron app loading
+  // (type=module so that dist/*.js is loaded as ESM)
   const appPkg = {
     name: pkg?.name || 'zundamon-avatar',
     version: pkg?.version || '0.0.0',
+    type: 'module',
     main: 'electron/main.cjs',
   };
   fs.writeFileSync(path.join(stageDir, 'package.json'), JSON.stringify(appPkg, null, 2));
@@ -137,6 +148,12 @@ if (fs.existsSync(configSrc)) {
   fs.cpSync(configSrc, path.join(resourcesDest, 'config'), { recursive: true, dereference: false });
 }
 
+// Copy characters/ into Resources/characters
+const charactersSrc = path.join(rootDir, 'characters');
+if (fs.existsSync(charactersSrc)) {
+  fs.cpSync(charactersSrc, path.join(resourcesDest, 'characters'), { recursive: true, dereference: false });
+}
+
 // Remove default_app.asar to ensure our app.asar is loaded
 const defaultAppAsar = path.join(resourcesDest, 'default_app.asar');
 if (fs.existsSync(defaultAppAsar)) {
@@ -0,0 +1,428 @@
+/**
+ * HTTP / WebSocket サーバーの組み立て
+ * スタンドアロン版（src/server.ts）と Electron 版（electron/main.cjs）で共通
+ */
+
+import express from "express";
+import { createServer, Server } from "http";
+import { WebSocketServer } from "ws";
+import { publishEvent } from "./event-pipeline.js";
+import { validateHookData } from "./hook-events.js";
+import {
+  enqueueSpeech,
+  getQueueState,
+  skipCurrent,
+  clearQueue,
+  stopAll,
+} from "./speech-queue.js";
+import { setVolume, setMuted } from "./audio/index.js";
+import { getConfigSnapshot, patchConfig, getVoicesConfig, ConfigValidationError } from "./config.js";
+import { getCacheStats, purgeCache, getSpeakers, TtsUnavailableError } from "./tts/index.js";
+import { getSessionWatcherState, setSessionWatcherPaused } from "./session-watcher.js";
+import { getPolicyState, setFocusMode } from "./speech-policy.js";
+import { addClient, removeClient, notifyExpression } from "./lipsync-notifier.js";
+import {
+  getCharacter,
+  listCharacters,
+  switchCharacter,
+  getExpressionNames,
+  CharacterPack,
+  CharacterPackError,
+} from "./character.js";
+import { detectExpression } from "./expression-rules.js";
+import { getReadingLayers, setUserReadings } from "./readings.js";
+import { summarizeSession } from "./work-history.js";
+import { getHistory, getHistoryEntry, toJsonl, toSrt, HistoryFilter } from "./speech-history.js";
+import { DEFAULT_FOCUS_MINUTES, EXPRESSION_DURATION_MS, MAX_FOCUS_MINUTES } from "./constants.js";
+
+/**
+ * クエリから履歴の絞り込みを作る
+ */
+function historyFilterOf(query: express.Request["query"]): HistoryFilter {
+  const text = (name: string) => (typeof query[name] === "string" && query[name] ? (query[name] as string) : undefined);
+  const limit = Number(text("limit"));
+  return {
+    project: text("project"),
+    session: text("session"),
+    source: text("source"),
+    event: text("event"),
+    since: text("since"),
+    until: text("until"),
+    q: text("q"),
+    limit: Number.isInteger(limit) && limit > 0 ? limit : undefined,
+  };
+}
+
+export interface AvatarServer {
+  app: express.Express;
+  server: Server;
+  wss: WebSocketServer;
+}
+
+/**
+ * レンダラーに渡すパックの情報（画像は assetsUrl 以下から取得する）
+ */
+function characterInfo(pack: CharacterPack) {
+  const { dir, ...manifest } = pack;
+  return { ...manifest, assetsUrl: `/characters/${encodeURIComponent(pack.id)}/` };
+}
+
+/**
+ * ルーティングを登録したサーバーを作成（listen は呼び出し側で行う）
+ */
+export function createAvatarServer(): AvatarServer {
+  const app = express();
+  const server = createServer(app);
+  const wss = new WebSocketServer({ server });
+
+  wss.on("connection", (ws) => {
+    addClient(ws);
+    ws.on("close", () => removeClient(ws));
+  });
+
+  app.use(express.json());
+
+  // Claude Code hooks からのリクエストを受け取る（?source=transcript はセッションファイルを監視するスクリプトから）
+  app.post("/speak", async (req, res) => {
+    try {
+      const hookData = req.body;
+      const source = req.query.source === "transcript" ? "transcript" : "hooks";
+      console.log(`Received ${source} data:`, JSON.stringify(hookData, null, 2));
+
+      const errors = validateHookData(hookData);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, errors });
+      }
+
+      // キューに積んだらすぐ返す（hooks 側を待たせない）
+      const { message, queued, skipped, suppressed } = await publishEvent(source, hookData);
+
+      res.json({ success: true, message, queued, skipped, suppressed });
+    } catch (error) {
+      console.error("Error:", error);
+      res.status(500).json({ success: false, error: String(error) });
+    }
+  });
+
+  // 手動でテキストを喋らせる
+  app.post("/speak/text", async (req, res) => {
+    try {
+      const { text, voice } = req.body;
+
+      if (!text) {
+        return res.status(400).json({ error: "text is required" });
+      }
+      if (voice !== undefined && !(typeof voice === "string" && getVoicesConfig().profiles[voice])) {
+        return res.status(400).json({
+          error: `voice must be one of: ${Object.keys(getVoicesConfig().profiles).join(", ")}`,
+        });
+      }
+
+      const queued = enqueueSpeech({ text, kind: "Manual", voice });
+
+      res.json({ success: true, queued });
+    } catch (error) {
+      console.error("Error:", error);
+      res.status(500).json({ success: false, error: String(error) });
+    }
+  });
+
+  // 表情テスト（デバッグ用）
+  app.post("/expression", (req, res) => {
+    const { name, duration } = req.body;
+
+    const expressions = getExpressionNames();
+    if (!name || !expressions.includes(name)) {
+      return res.status(400).json({
+        error: `name must be one of: ${expressions.join(", ")}`,
+      });
+    }
+
+    const durationMs = duration || EXPRESSION_DURATION_MS;
+    console.log(`Expression: ${name} (${durationMs}ms)`);
+    notifyExpression(name, durationMs);
+    res.json({ success: true, expression: name });
+  });
+
+  // 表情の判定結果と当たったルール（ルール調整用。表情は変えない）
+  app.post("/expression/detect", (req, res) => {
+    const { text, tool_name, hook_event_name } = req.body ?? {};
+
+    if (typeof text !== "string") {
+      return res.status(400).json({ error: "text is required" });
+    }
+
+    const detection = detectExpression(text, { tool: tool_name, event: hook_event_name });
+    res.json({ ...detection, available: getExpressionNames().includes(detection.expression) });
+  });
+
+  // 今のキャラクターパック
+  app.get("/character", (req, res) => {
+    // レンダラー（file:// で開いている）から fetch できるように
+    res.set("Access-Control-Allow-Origin", "*");
+    res.json(characterInfo(getCharacter()));
+  });
+
+  // キャラクターパックを切り替える（ユーザー設定に保存）
+  app.put("/character", (req, res) => {
+    const { id } = req.body ?? {};
+
+    if (typeof id !== "string") {
+      return res.status(400).json({ error: "id is required" });
+    }
+
+    try {
+      res.json({ success: true, character: characterInfo(switchCharacter(id)) });
+    } catch (error) {
+      if (error instanceof CharacterPackError) {
+        return res.status(404).json({ success: false, error: error.message });
+      }
+      console.error("Error:", error);
+      res.status(500).json({ success: false, error: String(error) });
+    }
+  });
+
+  // 使えるキャラクターパックの一覧
+  app.get("/characters", (req, res) => {
+    const activeId = getCharacter().id;
+    res.json(listCharacters(true).map((pack) => ({ id: pack.id, name: pack.name, active: pack.id === activeId })));
+  });
+
+  // パックの画像（パックのディレクトリの外は読めない）
+  app.get("/characters/:id/:file", (req, res) => {
+    const pack = listCharacters().find((p) => p.id === req.params.id);
+    if (!pack) {
+      return res.status(404).json({ error: "character not found" });
+    }
+    res.sendFile(req.params.file, { root: pack.dir }, (error) => {
+      if (error && !res.headersSent) res.status(404).end();
+    });
+  });
+
+  // 読み上げキューの状態
+  app.get("/queue", (req, res) => {
+    res.json(getQueueState());
+  });
+
+  // 再生中の発話を飛ばす
+  app.post("/queue/skip", (req, res) => {
+    res.json({ success: true, skipped: skipCurrent() });
+  });
+
+  // 待ち行列を空にする
+  app.delete("/queue", (req, res) => {
+    res.json({ success: true, cleared: clearQueue() });
+  });
+
+  // 待ち行列を空にして再生も止める
+  app.post("/stop", (req, res) => {
+    res.json({ success: true, ...stopAll() });
+  });
+
+  // 全体の音量（0〜1）
+  app.post("/volume", (req, res) => {
+    const { volume } = req.body;
+
+    if (typeof volume !== "number" || Number.isNaN(volume)) {
+      return res.status(400).json({ error: "volume must be a number between 0 and 1" });
+    }
+
+    res.json({ success: true, ...setVolume(volume) });
+  });
+
+  // ミュート（muted を省略すると切り替え）
+  app.post("/mute", (req, res) => {
+    const { muted } = req.body ?? {};
+
+    if (muted !== undefined && typeof muted !== "boolean") {
+      return res.status(400).json({ error: "muted must be a boolean" });
+    }
+
+    res.json({ success: true, ...setMuted(muted) });
+  });
+
+  // 話者の一覧（TTS エンジンから）と選んでいる話者
+  app.get("/speakers", async (req, res) => {
+    try {
+      res.json({ speakers: await getSpeakers(), selected: getVoicesConfig().speaker ?? null });
+    } catch (error) {
+      if (error instanceof TtsUnavailableError) {
+        return res.status(503).json({ error: error.message });
+      }
+      console.error("Error:", error);
+      res.status(500).json({ error: String(error) });
+    }
+  });
+
+  // 話者を選んで保存（{"speaker": 3}、null でキャラクターパックの声に戻す）
+  app.put("/speaker", (req, res) => {
+    const { speaker } = req.body ?? {};
+
+    if (speaker !== null && typeof speaker !== "number" && typeof speaker !== "string") {
+      return res.status(400).json({ error: "speaker must be a style id, a speaker name or null" });
+    }
+
+    try {
+      patchConfig({ voices: { speaker } });
+      res.json({ success: true, speaker: getVoicesConfig().speaker ?? null });
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return res.status(400).json({ success: false, errors: error.errors });
+      }
+      console.error("Error:", error);
+      res.status(500).json({ success: false, error: String(error) });
+    }
+  });
+
+  // セッションファイルの監視の状態
+  app.get("/watcher", (req, res) => {
+    res.json(getSessionWatcherState());
+  });
+
+  // 監視の一時停止・再開（{"paused": true}、省略すると切り替え）
+  app.post("/watcher", (req, res) => {
+    const { paused } = req.body ?? {};
+
+    if (paused !== undefined && typeof paused !== "boolean") {
+      return res.status(400).json({ error: "paused must be a boolean" });
+    }
+
+    res.json({ success: true, ...setSessionWatcherPaused(paused) });
+  });
+
+  // 喋る前のふるいの状態（静かにする時間帯・集中モード・直近1分間の回数）
+  app.get("/policy", (req, res) => {
+    res.json(getPolicyState());
+  });
+
+  // 集中モードにする（{"minutes": 30}。policy.alwaysSpeak の発話だけ喋る）
+  app.post("/focus", (req, res) => {
+    const { minutes = DEFAULT_FOCUS_MINUTES } = req.body ?? {};
+
+    if (typeof minutes !== "number" || !Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_FOCUS_MINUTES) {
+      return res.status(400).json({ error: `minutes must be a number between 0 and ${MAX_FOCUS_MINUTES}` });
+    }
+
+    res.json({ success: true, ...setFocusMode(minutes) });
+  });
+
+  // 集中モードを終える
+  app.delete("/focus", (req, res) => {
+    res.json({ success: true, ...setFocusMode(null) });
+  });
+
+  // 合成キャッシュの統計
+  app.get("/cache", (req, res) => {
+    res.json(getCacheStats());
+  });
+
+  // 合成キャッシュを全削除
+  app.delete("/cache", (req, res) => {
+    res.json({ success: true, purged: purgeCache() });
+  });
+
+  // 現在の設定（読み込み元とエラーも返す）
+  app.get("/config", (req, res) => {
+    res.json(getConfigSnapshot());
+  });
+
+  // 設定を部分更新してユーザー設定に保存（JSON Merge Patch、null でキー削除）
+  app.patch("/config", (req, res) => {
+    try {
+      patchConfig(req.body);
+      res.json({ success: true, ...getConfigSnapshot() });
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return res.status(400).json({ success: false, errors: error.errors });
+      }
+      console.error("Error:", error);
+      res.status(500).json({ success: false, error: String(error) });
+    }
+  });
+
+  // 読み替え辞書の層（?project= でそのプロジェクトの辞書も）
+  app.get("/readings", (req, res) => {
+    const project = typeof req.query.project === "string" ? req.query.project : undefined;
+    res.json({ layers: getReadingLayers(project) });
+  });
+
+  // ユーザー設定の辞書を丸ごと置き換える（project を指定するとそのプロジェクトの辞書）
+  app.put("/readings", (req, res) => {
+    const { readings, project } = req.body ?? {};
+
+    if (typeof readings !== "object" || readings === null || Array.isArray(readings)) {
+      return res.status(400).json({ error: "readings must be an object" });
+    }
+    if (project !== undefined && (typeof project !== "string" || !project)) {
+      return res.status(400).json({ error: "project must be a non-empty string" });
+    }
+
+    try {
+      setUserReadings(readings, project);
+      res.json({ success: true, layers: getReadingLayers(project) });
+    } catch (error) {
+      if (error instanceof ConfigValidationError) {
+        return res.status(400).json({ success: false, errors: error.errors });
+      }
+      console.error("Error:", error);
+      res.status(500).json({ success: false, error: String(error) });
+    }
+  });
+
+  // セッションの作業の集計と振り返り
+  app.get("/sessions/:id/summary", (req, res) => {
+    const summary = summarizeSession(req.params.id);
+    if (!summary) {
+      return res.status(404).json({ error: "session not found" });
+    }
+    res.json(summary);
+  });
+
+  // 喋った内容の履歴（?project= ?session= ?source= ?event= ?since= ?until= ?q= ?limit= で絞り込む）
+  app.get("/history", (req, res) => {
+    const filter = historyFilterOf(req.query);
+    res.json({ entries: getHistory({ ...filter, limit: filter.limit ?? 100 }) });
+  });
+
+  // 履歴の書き出し（?format=jsonl / srt。絞り込みは /history と同じ）
+  app.get("/history/export", (req, res) => {
+    const format = req.query.format ?? "jsonl";
+    if (format !== "jsonl" && format !== "srt") {
+      return res.status(400).json({ error: "format must be jsonl or srt" });
+    }
+    const entries = getHistory(historyFilterOf(req.query));
+    res.attachment(`zundamon-history.${format}`);
+    if (format === "srt") {
+      res.type("application/x-subrip").send(toSrt(entries));
+    } else {
+      res.type("application/x-ndjson").send(toJsonl(entries));
+    }
+  });
+
+  // 履歴の発話をもう一度喋る
+  app.post("/history/:id/replay", (req, res) => {
+    const entry = getHistoryEntry(Number(req.params.id));
+    if (!entry) {
+      return res.status(404).json({ error: "history entry not found" });
+    }
+    if (entry.expression) notifyExpression(entry.expression, EXPRESSION_DURATION_MS);
+    const queued = enqueueSpeech({
+      text: entry.text,
+      kind: entry.event,
+      project: entry.project,
+      source: "replay",
+      session: entry.session,
+      original: entry.original,
+      expression: entry.expression,
+      replayOf: entry.replayOf ?? entry.id,
+    });
+    res.json({ success: true, queued });
+  });
+
+  // ヘルスチェック
+  app.get("/health", (req, res) => {
+    res.json({ status: "ok", message: "ボクはずんだもんなのだ！元気に動いてるのだ！" });
+  });
+
+  return { app, server, wss };
+}
@@ -0,0 +1,134 @@
+/**
+ * 外部プレイヤーコマンドで再生するバックエンド
+ * afplay (macOS) / aplay (ALSA) / paplay (PulseAudio) / pw-play (PipeWire) / ffplay
+ */
+
+import { spawn } from "child_process";
+import { randomUUID } from "crypto";
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { scaleWavVolume } from "./wav.js";
+import { AudioBackend, PlaybackRequest } from "./types.js";
+
+interface CommandBackendOptions {
+  name: string;
+  command: string;
+  args: (request: PlaybackRequest) => string[];
+  // 音量指定に対応していないプレイヤーは WAV を書き換えて音量を反映する
+  softwareVolume?: boolean;
+}
+
+const availability = new Map<string, boolean>();
+
+/**
+ * コマンドが PATH 上にあるか（結果はキャッシュ）
+ */
+function commandExists(command: string): boolean {
+  const cached = availability.get(command);
+  if (cached !== undefined) return cached;
+
+  const dirs = (process.env.PATH ?? "").split(path.delimiter).filter(Boolean);
+  const found = dirs.some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  availability.set(command, found);
+  return found;
+}
+
+function createCommandBackend({ name, command, args, softwareVolume }: CommandBackendOptions): AudioBackend {
+  return {
+    name,
+
+    isAvailable: () => commandExists(command),
+
+    async play(request: PlaybackRequest): Promise<void> {
+      // 元のファイルはキャッシュの場合もあるので、音量を変えたコピーを別に作る
+      let scaledFile: string | null = null;
+      if (softwareVolume && request.volume < 1) {
+        scaledFile = path.join(os.tmpdir(), `claude-voice-vol-${randomUUID()}.wav`);
+        fs.writeFileSync(scaledFile, scaleWavVolume(request.data, request.volume));
+      }
+      const playRequest = scaledFile ? { ...request, file: scaledFile } : request;
+
+      await new Promise<void>((resolve, reject) => {
+        const proc = spawn(command, args(playRequest), { signal: request.signal });
+
+        proc.stderr?.on("data", (data) => {
+          console.log(`${command} stderr: ${data}`);
+        });
+
+        proc.on("close", (code, signal) => {
+          // 中断で止めた場合と正常終了は成功、それ以外（デバイスが無い・形式が読めないなど）は失敗
+          if (code === 0 || request.signal.aborted) {
+            resolve();
+          } else {
+            reject(new Error(`${command} exited with ${code !== null ? `code ${code}` : signal}`));
+          }
+        });
+
+        proc.on("error", (err) => {
+          // 中断による終了は正常扱い
+          if (err.name === "AbortError") {
+            resolve();
+          } else {
+            reject(err);
+          }
+        });
+      }).finally(() => {
+        if (scaledFile) fs.rmSync(scaledFile, { force: true });
+      });
+    },
+  };
+}
+
+export const afplayBackend = createCommandBackend({
+  name: "afplay",
+  command: "afplay",
+  // afplay は出力デバイスを選べない（システムの既定デバイス）
+  args: ({ file, volume }) => ["-v", String(volume), file],
+});
+
+export const aplayBackend = createCommandBackend({
+  name: "aplay",
+  command: "aplay",
+  args: ({ file, device }) => ["-q", ...(device ? ["-D", device] : []), file],
+  softwareVolume: true,
+});
+
+export const paplayBackend = createCommandBackend({
+  name: "paplay",
+  command: "paplay",
+  // paplay の音量は 0〜65536
+  args: ({ file, volume, device }) => [
+    `--volume=${Math.round(volume * 65536)}`,
+    ...(device ? [`--device=${device}`] : []),
+    file,
+  ],
+});
+
+export const pwPlayBackend = createCommandBackend({
+  name: "pw-play",
+  command: "pw-play",
+  args: ({ file, volume, device }) => [`--volume=${volume}`, ...(device ? [`--target=${device}`] : []), file],
+});
+
+export const ffplayBackend = createCommandBackend({
+  name: "ffplay",
+  command: "ffplay",
+  // ffplay の音量は 0〜100
+  args: ({ file, volume }) => [
+    "-nodisp",
+    "-autoexit",
+    "-loglevel",
+    "error",
+    "-volume",
+    String(Math.round(volume * 100)),
+    file,
+  ],
+});
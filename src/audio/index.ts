@@ -0,0 +1,172 @@
+/**
+ * 音声出力バックエンドの選択と、全体の音量・ミュート状態
+ */
+
+import { getAudioConfig } from "../config.js";
+import { notifyAudioState } from "../lipsync-notifier.js";
+import { afplayBackend, aplayBackend, paplayBackend, pwPlayBackend, ffplayBackend } from "./command-backends.js";
+import { webAudioBackend } from "./webaudio-backend.js";
+import { AudioBackend, PlaybackRequest } from "./types.js";
+
+export type { AudioBackend, PlaybackRequest } from "./types.js";
+export { getWavDuration } from "./wav.js";
+
+const BACKENDS: AudioBackend[] = [
+  afplayBackend,
+  aplayBackend,
+  paplayBackend,
+  pwPlayBackend,
+  ffplayBackend,
+  webAudioBackend,
+];
+
+// "auto" のときに試す順番
+const AUTO_ORDER: Record<string, string[]> = {
+  darwin: ["afplay", "ffplay"],
+  // PipeWire / PulseAudio を優先し、どちらも無ければ ALSA 直
+  linux: ["pw-play", "paplay", "aplay", "ffplay"],
+};
+
+export interface AudioState {
+  backend: string | null;
+  device: string | null;
+  volume: number;
+  muted: boolean;
+}
+
+let volume: number | null = null;
+let muted: boolean | null = null;
+const changeListeners = new Set<(state: AudioState) => void>();
+
+function findBackend(name: string): AudioBackend | undefined {
+  return BACKENDS.find((b) => b.name === name);
+}
+
+/**
+ * バックエンドを足す（同じ名前があれば置き換える。テストでは再生をこれで差し替える）
+ */
+export function registerAudioBackend(backend: AudioBackend): void {
+  const index = BACKENDS.findIndex((b) => b.name === backend.name);
+  if (index >= 0) {
+    BACKENDS[index] = backend;
+  } else {
+    BACKENDS.push(backend);
+  }
+}
+
+/**
+ * 試すバックエンドの順番（config の audio.backend、その後に "auto" の OS ごとの順番。使えないものは除く）
+ */
+function candidateBackends(): AudioBackend[] {
+  const config = getAudioConfig();
+  const candidates: AudioBackend[] = [];
+
+  if (config.backend !== "auto") {
+    const backend = findBackend(config.backend);
+    if (backend?.isAvailable()) {
+      candidates.push(backend);
+    } else {
+      console.warn(`[Audio] backend "${config.backend}" is not available, falling back to auto`);
+    }
+  }
+
+  const order = config.order ?? AUTO_ORDER[process.platform] ?? AUTO_ORDER.linux;
+  for (const name of order) {
+    const backend = findBackend(name);
+    if (backend?.isAvailable() && !candidates.includes(backend)) candidates.push(backend);
+  }
+  return candidates;
+}
+
+/**
+ * 使うバックエンドを決める（config の audio.backend、"auto" なら OS ごとの順番）
+ */
+export function selectBackend(): AudioBackend | null {
+  return candidateBackends()[0] ?? null;
+}
+
+export function getAudioState(): AudioState {
+  const config = getAudioConfig();
+  return {
+    backend: selectBackend()?.name ?? null,
+    device: config.device ?? null,
+    volume: volume ?? config.volume,
+    muted: muted ?? config.muted,
+  };
+}
+
+/**
+ * 全体の音量を設定（0〜1）
+ */
+export function setVolume(value: number): AudioState {
+  volume = Math.min(1, Math.max(0, value));
+  return notifyChange();
+}
+
+/**
+ * ミュートを設定（省略時は切り替え）
+ */
+export function setMuted(value?: boolean): AudioState {
+  muted = value ?? !getAudioState().muted;
+  return notifyChange();
+}
+
+/**
+ * 音量・ミュートの変更を購読（トレイのメニューなど。解除関数を返す）
+ */
+export function onAudioStateChange(listener: (state: AudioState) => void): () => void {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChange(): AudioState {
+  const state = getAudioState();
+  notifyAudioState(state.volume, state.muted);
+  changeListeners.forEach((listener) => listener(state));
+  return state;
+}
+
+/**
+ * 音声の長さだけ待つ（ミュート中も口パクやキューの進み方は変えない）
+ */
+export function waitSilently(durationMs: number, signal: AbortSignal): Promise<void> {
+  return new Promise((resolve) => {
+    const timer = setTimeout(done, durationMs);
+    signal.addEventListener("abort", done);
+    function done() {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", done);
+      resolve();
+    }
+  });
+}
+
+/**
+ * 現在の音量・ミュート・デバイス設定で再生する
+ */
+export async function playAudio(request: Omit<PlaybackRequest, "volume" | "device">): Promise<void> {
+  const state = getAudioState();
+
+  if (state.muted || state.volume === 0) {
+    return waitSilently(request.durationMs, request.signal);
+  }
+
+  const backends = candidateBackends();
+  if (backends.length === 0) {
+    console.error("[Audio] No audio backend available (install pw-play, paplay, aplay or ffplay)");
+    return waitSilently(request.durationMs, request.signal);
+  }
+
+  // 再生に失敗したら次のバックエンドで鳴らす
+  for (const backend of backends) {
+    try {
+      await backend.play({ ...request, volume: state.volume, device: state.device ?? undefined });
+      return;
+    } catch (error) {
+      if (request.signal.aborted) return;
+      console.warn(`[Audio] ${backend.name} failed: ${(error as Error).message}`);
+    }
+  }
+  console.error("[Audio] All audio backends failed");
+  return waitSilently(request.durationMs, request.signal);
+}
@@ -0,0 +1,24 @@
+/**
+ * 音声出力バックエンドの共通インターフェース
+ */
+
+export interface PlaybackRequest {
+  // 再生する WAV ファイル（コマンド系バックエンド用）
+  file: string;
+  // 同じ WAV のバイナリ（Web Audio 用）
+  data: Buffer;
+  durationMs: number;
+  // 0〜1
+  volume: number;
+  // 出力デバイス（バックエンドごとの名前。未指定ならシステム既定）
+  device?: string;
+  signal: AbortSignal;
+}
+
+export interface AudioBackend {
+  readonly name: string;
+  // このマシンで使えるか（コマンドがインストールされているか等）
+  isAvailable(): boolean;
+  // 再生が終わるか signal で中断されたら resolve
+  play(request: PlaybackRequest): Promise<void>;
+}
@@ -0,0 +1,59 @@
+/**
+ * WAV バイナリのユーティリティ
+ */
+
+import { DEFAULT_AUDIO_DURATION_MS } from "../constants.js";
+
+/**
+ * "data" チャンクの位置とサイズを探す
+ */
+function findDataChunk(buffer: Buffer): { offset: number; size: number } | null {
+  for (let i = 12; i < buffer.length - 8; i++) {
+    if (
+      buffer[i] === 0x64 && // 'd'
+      buffer[i + 1] === 0x61 && // 'a'
+      buffer[i + 2] === 0x74 && // 't'
+      buffer[i + 3] === 0x61 // 'a'
+    ) {
+      return { offset: i + 8, size: buffer.readUInt32LE(i + 4) };
+    }
+  }
+  return null;
+}
+
+/**
+ * WAVファイルのバイナリから音声の長さ(ms)を取得
+ */
+export function getWavDuration(buffer: Buffer): number {
+  try {
+    // バイト28-31: バイトレート (little-endian)
+    const byteRate = buffer.readUInt32LE(28);
+    const dataSize = findDataChunk(buffer)?.size ?? 0;
+
+    if (dataSize === 0 || byteRate === 0) {
+      return DEFAULT_AUDIO_DURATION_MS;
+    }
+
+    return Math.floor((dataSize / byteRate) * 1000);
+  } catch (e) {
+    return DEFAULT_AUDIO_DURATION_MS; // エラー時のデフォルト
+  }
+}
+
+/**
+ * 16bit PCM の WAV の音量を変えたコピーを返す
+ * （音量指定に対応していないプレイヤー用。16bit 以外はそのまま返す）
+ */
+export function scaleWavVolume(buffer: Buffer, volume: number): Buffer {
+  if (volume >= 1) return buffer;
+  const bitsPerSample = buffer.readUInt16LE(34);
+  const chunk = findDataChunk(buffer);
+  if (bitsPerSample !== 16 || !chunk) return buffer;
+
+  const scaled = Buffer.from(buffer);
+  const end = Math.min(chunk.offset + chunk.size, scaled.length - 1);
+  for (let i = chunk.offset; i < end; i += 2) {
+    scaled.writeInt16LE(Math.round(scaled.readInt16LE(i) * volume), i);
+  }
+  return scaled;
+}
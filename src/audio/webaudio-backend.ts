@@ -0,0 +1,51 @@
+/**
+ * Electron ウィンドウ（レンダラー）の Web Audio で再生するバックエンド
+ * WebSocket で WAV を送り、レンダラーから "audio-ended" が返るまで待つ
+ */
+
+import { hasClients, notifyAudioPlay, notifyAudioStop, onClientMessage } from "../lipsync-notifier.js";
+import { AudioBackend, PlaybackRequest } from "./types.js";
+
+// レンダラーからの終了通知が来ない場合に諦めるまでの余裕
+const ENDED_TIMEOUT_MARGIN_MS = 3000;
+
+let nextId = 1;
+
+export const webAudioBackend: AudioBackend = {
+  name: "webaudio",
+
+  isAvailable: () => hasClients(),
+
+  play({ data, durationMs, volume, device, signal }: PlaybackRequest): Promise<void> {
+    const id = `audio-${nextId++}`;
+
+    return new Promise<void>((resolve) => {
+      let timeout: NodeJS.Timeout | null = null;
+
+      const finish = () => {
+        if (timeout) clearTimeout(timeout);
+        unsubscribe();
+        signal.removeEventListener("abort", onAbort);
+        resolve();
+      };
+
+      const onAbort = () => {
+        notifyAudioStop(id);
+        finish();
+      };
+
+      const unsubscribe = onClientMessage((message) => {
+        if (message.type === "audio-ended" && message.id === id) finish();
+      });
+
+      if (signal.aborted) {
+        finish();
+        return;
+      }
+      signal.addEventListener("abort", onAbort);
+      timeout = setTimeout(finish, durationMs + ENDED_TIMEOUT_MARGIN_MS);
+
+      notifyAudioPlay(id, data, volume, device);
+    });
+  },
+};
@@ -0,0 +1,195 @@
+/**
+ * キャラクターパック
+ * characters/<id>/character.json に表情画像・口パク・まばたきのコマ、既定の声、
+ * 固定メッセージ、表情のキーワードをまとめる。使うパックは config の character で切り替える
+ */
+
+import { readFileSync, readdirSync, existsSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { Ajv, ValidateFunction } from "ajv";
+import {
+  getCharacterId,
+  onConfigChange,
+  patchConfig,
+  MessageTemplate,
+  ReadingDictionary,
+  VoiceProfile,
+} from "./config.js";
+import { notifyCharacter } from "./lipsync-notifier.js";
+import { DEFAULT_CHARACTER_ID, DEFAULT_USER_CHARACTERS_DIR, MESSAGES } from "./constants.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MANIFEST_FILE = "character.json";
+const SCHEMA_FILE = "character.schema.json";
+
+export type MessageKey = keyof typeof MESSAGES;
+
+export interface CharacterManifest {
+  id: string;
+  name: string;
+  // 表情の名前 → 画像ファイル（normal は必須）
+  expressions: Record<string, string>;
+  // 口パクの画像（open / closed、または viseme ごと。closed の既定は normal）
+  mouth?: Record<string, string>;
+  // まばたきのコマ
+  blink?: string[];
+  // 既定の声（config の voices の下に敷く）
+  voice?: VoiceProfile;
+  // 固定メッセージ（config のペルソナの下、既定のメッセージの上に敷く）
+  messages?: Partial<Record<MessageKey, MessageTemplate>>;
+  // 表情 → キーワード
+  expressionKeywords?: Record<string, string[]>;
+  // 読み替え辞書（config の readings の下に敷く）
+  readings?: ReadingDictionary;
+}
+
+export interface CharacterPack extends CharacterManifest {
+  // パックのディレクトリ（画像の置き場所）
+  dir: string;
+}
+
+/**
+ * キャラクターパックの内容が不正、または見つからない
+ */
+export class CharacterPackError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "CharacterPackError";
+  }
+}
+
+// パックが1つも無い場合（画像なし・既定のメッセージ）
+const FALLBACK_CHARACTER: CharacterPack = {
+  id: DEFAULT_CHARACTER_ID,
+  name: "ずんだもん",
+  expressions: {},
+  dir: "",
+};
+
+// パッケージ版では Electron 側から resources/characters と userData/characters が設定される
+// 後ろのディレクトリほど優先（同じ id ならユーザーのパックで上書き）
+let characterDirs = [join(__dirname, "..", "characters"), DEFAULT_USER_CHARACTERS_DIR];
+let active: CharacterPack | null = null;
+// 見つかったパック（listCharacters(true) か設定の変更で探し直す）
+let packs: Map<string, CharacterPack> | null = null;
+let validator: ValidateFunction | null = null;
+
+// 設定の character が変わったらパックを読み直してレンダラーに知らせる
+onConfigChange(() => {
+  const previous = active?.id;
+  active = null;
+  packs = null;
+  const next = getCharacter();
+  if (previous && previous !== next.id) {
+    console.log(`[Character] Switched to ${next.id}`);
+    notifyCharacter(next.id);
+  }
+});
+
+function getValidator(): ValidateFunction | null {
+  if (validator) return validator;
+  const schemaPath = characterDirs.map((dir) => join(dir, SCHEMA_FILE)).find((p) => existsSync(p));
+  if (!schemaPath) return null;
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  validator = ajv.compile(JSON.parse(readFileSync(schemaPath, "utf-8")));
+  return validator;
+}
+
+/**
+ * パックを1つ読んで検証する
+ */
+function readPack(dir: string): CharacterPack {
+  const manifestPath = join(dir, MANIFEST_FILE);
+  let manifest: CharacterManifest & { $schema?: string };
+  try {
+    manifest = JSON.parse(readFileSync(manifestPath, "utf-8"));
+  } catch (error) {
+    throw new CharacterPackError(`${manifestPath}: ${(error as Error).message}`);
+  }
+
+  const validate = getValidator();
+  if (validate && !validate(manifest)) {
+    const errors = (validate.errors ?? []).map((e) => `${e.instancePath || "(root)"} ${e.message}`);
+    throw new CharacterPackError(`${manifestPath}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  // 参照している画像が無いのは表示できないだけなので警告に留める
+  const files = [
+    ...Object.values(manifest.expressions),
+    ...Object.values(manifest.mouth ?? {}),
+    ...(manifest.blink ?? []),
+  ];
+  for (const file of files) {
+    if (!existsSync(join(dir, file))) {
+      console.warn(`[Character] ${manifest.id}: missing image ${file}`);
+    }
+  }
+
+  const { $schema, ...rest } = manifest;
+  return { ...rest, dir };
+}
+
+/**
+ * パックを探すディレクトリを差し替える
+ */
+export function setCharacterDirs(dirs: string[]): void {
+  characterDirs = dirs;
+  active = null;
+  packs = null;
+  validator = null;
+}
+
+/**
+ * 使えるパックの一覧（不正なパックはログに出して飛ばす）
+ * rescan を指定するとディレクトリを探し直す（追加したパックを見つける）
+ */
+export function listCharacters(rescan = false): CharacterPack[] {
+  if (packs && !rescan) return [...packs.values()];
+  packs = new Map();
+  for (const dir of characterDirs) {
+    if (!existsSync(dir)) continue;
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !existsSync(join(dir, entry.name, MANIFEST_FILE))) continue;
+      try {
+        const pack = readPack(join(dir, entry.name));
+        packs.set(pack.id, pack);
+      } catch (error) {
+        console.error(`[Character] ${(error as Error).message}`);
+      }
+    }
+  }
+  return [...packs.values()];
+}
+
+/**
+ * 今のパック（見つからなければ既定のパック）
+ */
+export function getCharacter(): CharacterPack {
+  if (active) return active;
+  const id = getCharacterId() ?? DEFAULT_CHARACTER_ID;
+  const available = listCharacters();
+  active =
+    available.find((p) => p.id === id) ??
+    available.find((p) => p.id === DEFAULT_CHARACTER_ID) ??
+    FALLBACK_CHARACTER;
+  if (active.id !== id) {
+    console.warn(`[Character] "${id}" not found, using ${active === FALLBACK_CHARACTER ? "no images" : active.id}`);
+  }
+  return active;
+}
+
+/**
+ * パックを切り替えてユーザー設定に保存する
+ */
+export function switchCharacter(id: string): CharacterPack {
+  if (!listCharacters(true).some((p) => p.id === id)) {
+    throw new CharacterPackError(`character "${id}" not found`);
+  }
+  patchConfig({ character: id });
+  return getCharacter();
+}
+
+export function getExpressionNames(): string[] {
+  return Object.keys(getCharacter().expressions);
+}
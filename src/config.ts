@@ -1,65 +1,916 @@
 /**
  * 設定ファイルを読み込む
+ * 既定値 ← config/zundamon.json ← ユーザー設定 の順に重ね、
+ * JSON Schema で検証し、ファイルが変わったら読み直す
  */
 
-import { readFileSync, existsSync } from "fs";
-import { join, dirname } from "path";
+import { readFileSync, writeFileSync, existsSync, mkdirSync, watch, FSWatcher } from "fs";
+import { join, dirname, basename } from "path";
 import { fileURLToPath } from "url";
+import { Ajv, ValidateFunction } from "ajv";
+import {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_CACHE_MAX_BYTES,
+  DEFAULT_HISTORY_MAX_ENTRIES,
+  DEFAULT_HISTORY_PATH,
+  DEFAULT_USER_CONFIG_PATH,
+  DEBOUNCE_MS,
+  MAX_TEXT_LENGTH,
+} from "./constants.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const CONFIG_PATH = join(__dirname, "..", "config", "zundamon.json");
+const DEFAULT_CONFIG_DIR = join(__dirname, "..", "config");
+const SCHEMA_FILE = "zundamon.schema.json";
+
+// パッケージ版では Electron 側から resources/config のパスが設定される（読み取り専用）
+let configPath = join(DEFAULT_CONFIG_DIR, "zundamon.json");
+// PATCH /config の書き込み先（パッケージ版では Electron の userData 配下）
+let userConfigPath = process.env.ZUNDAMON_USER_CONFIG || DEFAULT_USER_CONFIG_PATH;
 
 interface SpeakEvents {
   tools: string[];
   events: string[];
 }
 
-interface ZundamonConfig {
+export type DropPolicy = "drop-oldest" | "drop-lowest" | "reject-new";
+
+export interface QueueConfig {
+  // 待ち行列の最大数（再生中の1件は含まない）
+  maxDepth: number;
+  // 満杯のときにどれを捨てるか
+  dropPolicy: DropPolicy;
+  // これより長く待った発話は再生せずに捨てる（interruptPriority 以上は除く）
+  staleMs: number;
+  // この優先度以上の発話は、より低い優先度の再生を中断して割り込む
+  interruptPriority: number;
+  // 同じ種類・同じプロジェクトの待ち発話を最新の1件にまとめる種類
+  mergeKinds: string[];
+  // 種類ごとの優先度（大きいほど先に喋る）
+  priorities: Record<string, number>;
+  defaultPriority: number;
+}
+
+export interface TtsEngineConfig {
+  name: string;
+  type: "voicevox" | "command" | "mock";
+  // voicevox: VOICEVOX 互換 REST API の URL と話者ID
+  url?: string;
+  speaker?: number | string;
+  // 1リクエストの待ち時間（既定は VOICEVOX_REQUEST_TIMEOUT_MS）
+  timeoutMs?: number;
+  // command: 実行するコマンドと引数（{text} {input} {output} を置換）
+  command?: string;
+  args?: string[];
+}
+
+export interface TtsConfig {
+  engines: TtsEngineConfig[];
+  // 試す順番（先頭が使えなければ次へフォールバック）
+  order: string[];
+}
+
+/**
+ * 声の設定（省略した項目は下の層やエンジンの既定値を使う）
+ */
+export interface VoiceProfile {
+  // 話者（スタイルID、またはキャラクター名）
+  speaker?: number | string;
+  // スタイル名（"ノーマル" "なみだめ" など。speaker のキャラクターの中から選ぶ）
+  style?: string;
+  speedScale?: number;
+  pitchScale?: number;
+  intonationScale?: number;
+  volumeScale?: number;
+}
+
+export interface VoicesConfig {
+  profiles: Record<string, VoiceProfile>;
+  // トレイ・PUT /speaker で選んだ話者（スタイルIDかキャラクター名。パックの声の話者を置き換える）
+  speaker?: number | string;
+  // 全ての発話の土台になるプロファイル
+  defaultProfile?: string;
+  // プロジェクト名、または cwd の絶対パス（前方一致）→ プロファイル名
+  projects: Record<string, string>;
+  // 発話の種類（SessionStart, Error, PermissionRequest など）→ プロファイル名
+  events: Record<string, string>;
+}
+
+export interface ExpressionRule {
+  expression: string;
+  pattern: string;
+  // word: 英数字の途中では当たらない（既定） / substring: 部分一致 / regex: 正規表現
+  match?: "word" | "substring" | "regex";
+  caseSensitive?: boolean;
+  // 1回当たるごとの点数（マイナスで打ち消し。既定 1）
+  weight?: number;
+  // どれかに当たったらこのルールは無効（"no errors" など。正規表現）
+  unless?: string[];
+  // 指定したツール・イベントのときだけ使う
+  tools?: string[];
+  events?: string[];
+}
+
+export interface ExpressionConfig {
+  rules: ExpressionRule[];
+  // 表情 → 打ち消しの言い回し（その表情の全てのルールとパックのキーワードに効く。正規表現）
+  unless: Record<string, string[]>;
+  // ツール・イベントごとに表情を固定する（ルールより優先）
+  overrides: {
+    tools: Record<string, string>;
+    events: Record<string, string>;
+  };
+  // 同点のときに先に来るほうを選ぶ
+  priority: string[];
+  // これ未満の点数なら normal
+  minScore: number;
+}
+
+export interface NormalizeConfig {
+  // コードブロック: summarize（「省略するのだ」と言う）/ drop / keep
+  codeBlocks: "summarize" | "drop" | "keep";
+  // `code`: unwrap（記号だけ外す）/ drop / keep
+  inlineCode: "unwrap" | "drop" | "keep";
+  // URL: host（ホスト名だけ）/ drop / keep
+  urls: "host" | "drop" | "keep";
+  // パス: basename（ファイル名だけ）/ keep
+  paths: "basename" | "keep";
+  // 見出し・強調・引用・リンクなどの記号を外す
+  markdown: boolean;
+  // 箇条書き: pause（記号を外して読点で区切る）/ keep
+  lists: "pause" | "keep";
+  // 表: pause（セルを読点で区切る）/ drop / keep
+  tables: "pause" | "drop" | "keep";
+}
+
+export interface SpeechConfig {
+  // 長いメッセージ: read（文ごとに区切って読む）/ summarize（要約を読む）/ fallback（固定メッセージだけ言う）
+  longMessages: "read" | "summarize" | "fallback";
+  // 1つの発話で喋る長さの上限（ミリ秒）。超える分は読まずに「続きはターミナルを確認するのだ」
+  maxDurationMs: number;
+  // 1回に合成する最大文字数（長い文は読点や空白で分ける）
+  maxChunkLength: number;
+}
+
+export interface SubtitlesConfig {
+  // アバターのウィンドウに喋っている文を吹き出しで出す（今の句を強調する）
+  enabled: boolean;
+  // 字幕だけ出して音声は合成・再生しない
+  only: boolean;
+  // 喋り終えてから吹き出しを消すまでの時間
+  holdMs: number;
+  // 字幕だけのときに1文字を読む時間の目安（speedScale で縮む）
+  charMs: number;
+}
+
+export interface SummarizerConfig {
+  // extractive: 最初の文・見出し・結論を抜き出す / llm: ローカルの LLM に要約させる（間に合わなければ extractive）
+  mode: "extractive" | "llm";
+  // llm: OpenAI 互換（/v1/chat/completions）か Ollama（/api/chat）
+  api: "openai" | "ollama";
+  url: string;
+  model: string;
+  apiKey?: string;
+  // llm のシステムプロンプト（{name} はキャラクター名、{maxLength} は最大文字数）
+  prompt: string;
+  // メッセージを受け取ってからこれを過ぎたら LLM を待たずに extractive の要約を使う
+  deadlineMs: number;
+  // 要約の最大文字数
+  maxLength: number;
+}
+
+export interface PronunciationConfig {
+  // 英語の識別子・単語をカタカナにする
+  enabled: boolean;
+  // 英単語（小文字）→ カタカナ（同梱の辞書より優先）
+  lexicon: Record<string, string>;
+}
+
+export interface PipelineConfig {
+  // イベントを受け取る元（hooks: /speak への POST / transcript: セッションファイルの監視）
+  sources: { hooks: boolean; transcript: boolean };
+  // uuid・tool_use_id・メッセージの内容で突き合わせたイベントを同じものとみなす時間
+  dedupWindowMs: number;
+  // 内容で突き合わせられないイベント（Stop・SessionStart など）を同じものとみなす時間
+  eventDedupWindowMs: number;
+}
+
+// 静かにする時間帯（"22:00"〜"08:00" のように日をまたいでもよい。days は曜日 0=日曜）
+export interface QuietHours {
+  start: string;
+  end: string;
+  days?: number[];
+}
+
+export interface PolicyConfig {
+  // 静かにする時間帯・集中モード・回数の上限・まとめ読みを使う
+  enabled: boolean;
+  quietHours: QuietHours[];
+  // 1分間に喋る回数の上限（0 なら無制限）
+  maxPerMinute: number;
+  // 続けて来たツールの発話を1つにまとめる時間（最初の発話から。0 ならまとめない）
+  coalesceWindowMs: number;
+  // まとめるツール
+  coalesceTools: string[];
+  // 静かにする時間帯・集中モード・回数の上限でも喋る発話の種類
+  alwaysSpeak: string[];
+}
+
+export interface ToolOutputConfig {
+  // PostToolUse の tool_response を読んでテストの数・型エラー・コミットの結果を喋る
+  enabled: boolean;
+  // 成功した結果（テストが通った・コミットした）を speakEvents.tools に関係なく喋る（失敗はいつも喋る）
+  announceSuccess: boolean;
+  // ツール名 → 試すパーサーの順番（書いていないツールは登録されている全てのパーサー）
+  parsers: Record<string, string[]>;
+}
+
+// 文字列、または毎回どれかを選ぶ候補（{project} などはその場の値に置き換える）
+export type MessageTemplate = string | readonly string[];
+export type MessageCatalog = Record<string, MessageTemplate>;
+
+export interface MessagesConfig {
+  // 使うペルソナ（personas のキー。空ならキャラクターパックのメッセージ）
+  persona: string;
+  // ペルソナ → メッセージのカタログ（英語・丁寧語など。無いキーはキャラクターパック・既定のメッセージ）
+  personas: Record<string, MessageCatalog>;
+}
+
+export interface AudioConfig {
+  // "auto" または afplay / aplay / paplay / pw-play / ffplay / webaudio
+  backend: string;
+  // "auto" のときに試す順番（省略時は OS ごとの既定）
+  order?: string[];
+  // 出力デバイス（aplay: ALSA デバイス名, paplay: シンク名, pw-play: ターゲット, webaudio: deviceId）
+  device?: string;
+  // 起動時の音量（0〜1）とミュート
+  volume: number;
+  muted: boolean;
+}
+
+export interface CacheConfig {
+  enabled: boolean;
+  dir: string;
+  // これを超えたら古いものから削除
+  maxBytes: number;
+  // 起動時に固定メッセージを合成しておく
+  prewarm: boolean;
+}
+
+export interface HistoryConfig {
+  // 喋った内容を記録する（GET /history・再生・書き出し）
+  enabled: boolean;
+  // 記録するファイル（JSONL）
+  path: string;
+  // これを超えたら古いものから捨てる
+  maxEntries: number;
+}
+
+/**
+ * 読み替え辞書の項目（文字列だけなら word・大文字小文字を区別しない）
+ */
+export interface ReadingRule {
+  reading: string;
+  // word: 英数字の途中では当たらない（既定） / substring: 部分一致 / regex: 正規表現（reading で $1 などを使える）
+  match?: "word" | "substring" | "regex";
+  caseSensitive?: boolean;
+}
+
+export type ReadingEntry = string | ReadingRule;
+export type ReadingDictionary = Record<string, ReadingEntry>;
+
+export interface ZundamonConfig {
+  // 使うキャラクターパックの id
+  character?: string;
   speakEvents: SpeakEvents;
-  readings: Record<string, string>;
+  cache?: Partial<CacheConfig>;
+  history?: Partial<HistoryConfig>;
+  tts?: Partial<TtsConfig>;
+  voices?: Partial<VoicesConfig>;
+  expressions?: Partial<ExpressionConfig>;
+  normalize?: Partial<NormalizeConfig>;
+  pronunciation?: Partial<PronunciationConfig>;
+  messages?: Partial<MessagesConfig>;
+  toolOutput?: Partial<ToolOutputConfig>;
+  pipeline?: Partial<PipelineConfig>;
+  policy?: Partial<PolicyConfig>;
+  speech?: Partial<SpeechConfig>;
+  subtitles?: Partial<SubtitlesConfig>;
+  summarizer?: Partial<SummarizerConfig>;
+  audio?: Partial<AudioConfig>;
+  queue?: Partial<QueueConfig>;
+  projectMessages?: Record<string, Record<string, MessageTemplate>>;
+  readings: ReadingDictionary;
+  // プロジェクト名 → そのプロジェクトだけの読み替え辞書
+  projectReadings?: Record<string, ReadingDictionary>;
 }
 
 let config: ZundamonConfig | null = null;
+// 重ねる前のファイルごとの内容（読み替え辞書の層を分けて見せるため）
+let fileLayers: { base: Partial<ZundamonConfig>; user: Partial<ZundamonConfig> } = { base: {}, user: {} };
+// 直近の読み込みで見つかったエラー（GET /config で返す）
+let lastErrors: string[] = [];
+let validator: ValidateFunction | null = null;
+const watchers: FSWatcher[] = [];
+const changeListeners: Set<(config: ZundamonConfig) => void> = new Set();
+
+/**
+ * 設定ファイルの内容が不正
+ */
+export class ConfigValidationError extends Error {
+  readonly errors: string[];
+
+  constructor(file: string, errors: string[]) {
+    super(`Invalid config ${file}:\n  - ${errors.join("\n  - ")}`);
+    this.name = "ConfigValidationError";
+    this.errors = errors;
+  }
+}
+
+
+const DEFAULT_TTS_CONFIG: TtsConfig = {
+  engines: [{ name: "voicevox", type: "voicevox" }],
+  order: ["voicevox"],
+};
+
+// 組み込みのルール（config の expressions.rules を書けば置き換わる）
+const DEFAULT_EXPRESSION_CONFIG: ExpressionConfig = {
+  rules: [
+    {
+      expression: "shock",
+      pattern: "\\b(errors?|fail(s|ed|ure)?|exceptions?|crash(es|ed)?|fatal)\\b",
+      match: "regex",
+      weight: 2,
+    },
+    { expression: "shock", pattern: "エラー|失敗|壊れ", match: "regex", weight: 2 },
+    { expression: "shock", pattern: "問題|だめ|ダメ|無理", match: "regex" },
+    { expression: "smile", pattern: "\\b(done|success(ful(ly)?)?|passed|ok(ay)?|lgtm)\\b", match: "regex", weight: 2 },
+    { expression: "smile", pattern: "完了|成功|できた|やった|よし|いいね|ばっちり", match: "regex", weight: 2 },
+    {
+      expression: "eye_sparkle",
+      pattern: "found",
+      weight: 1.5,
+      unless: ["\\bnot\\s+found\\b", "\\b(couldn't|could not|can't|cannot)\\s+find\\b"],
+    },
+    {
+      expression: "eye_sparkle",
+      pattern: "見つけ|発見|なるほど|わかった|分かった|理解|ひらめ",
+      match: "regex",
+      weight: 1.5,
+      unless: ["見つけられ(ない|なかった|ません)", "見つから(ない|なかった|ず)"],
+    },
+    { expression: "surprise", pattern: "おお|すごい|凄い|えっ|まじ|マジ|本当|びっくり", match: "regex", weight: 1.5 },
+    { expression: "surprise", pattern: "\\b(wow|amazing|whoa)\\b", match: "regex", weight: 1.5 },
+    // "！" 1つだけでは驚かない（2つ以上、または他の言葉と合わせて）
+    { expression: "surprise", pattern: "[！!]", match: "regex", weight: 0.5 },
+  ],
+  unless: {
+    // 打ち消しの言い回し（"no errors" "エラーなし" など）
+    shock: [
+      "\\b(no|0|zero|without)\\s+(errors?|failures?)\\b",
+      "エラー(なし|は(ない|なかった|ありません|出てい?ない))",
+      "問題(ない|なし|ありません|なかった)",
+    ],
+  },
+  overrides: {
+    tools: { Glob: "eye_sparkle", Grep: "eye_sparkle" },
+    events: {
+      SessionStart: "smile",
+      SessionEnd: "smile",
+      PermissionRequest: "surprise",
+      Notification: "surprise",
+      SubagentStop: "smile",
+      Error: "shock",
+      Success: "smile",
+    },
+  },
+  priority: ["shock", "smile", "eye_sparkle", "surprise"],
+  minScore: 1,
+};
+
+const DEFAULT_NORMALIZE_CONFIG: NormalizeConfig = {
+  codeBlocks: "summarize",
+  inlineCode: "unwrap",
+  urls: "host",
+  paths: "basename",
+  markdown: true,
+  lists: "pause",
+  tables: "pause",
+};
+
+const DEFAULT_SPEECH_CONFIG: SpeechConfig = {
+  longMessages: "read",
+  maxDurationMs: 60000,
+  maxChunkLength: MAX_TEXT_LENGTH,
+};
+
+const DEFAULT_SUBTITLES_CONFIG: SubtitlesConfig = {
+  enabled: true,
+  only: false,
+  holdMs: 3000,
+  charMs: 150,
+};
+
+const DEFAULT_SUMMARIZER_CONFIG: SummarizerConfig = {
+  mode: "extractive",
+  api: "ollama",
+  url: "http://127.0.0.1:11434",
+  model: "qwen2.5:3b",
+  prompt:
+    "あなたは{name}です。ユーザーが渡すメッセージを、{name}の口調（語尾は「なのだ」）で" +
+    "{maxLength}文字以内の日本語に要約してください。コード・パス・URL は書かず、要約だけを返してください。",
+  deadlineMs: 3000,
+  maxLength: 150,
+};
+
+const DEFAULT_PRONUNCIATION_CONFIG: PronunciationConfig = {
+  enabled: true,
+  lexicon: {},
+};
+
+const DEFAULT_PIPELINE_CONFIG: PipelineConfig = {
+  sources: { hooks: true, transcript: true },
+  dedupWindowMs: 60000,
+  eventDedupWindowMs: 2000,
+};
+
+const DEFAULT_POLICY_CONFIG: PolicyConfig = {
+  enabled: true,
+  quietHours: [],
+  maxPerMinute: 12,
+  coalesceWindowMs: 1500,
+  coalesceTools: ["Write", "Edit", "Read", "Glob", "Grep", "WebSearch", "WebFetch", "Task"],
+  alwaysSpeak: ["PermissionRequest"],
+};
+
+const DEFAULT_TOOL_OUTPUT_CONFIG: ToolOutputConfig = {
+  enabled: true,
+  announceSuccess: true,
+  parsers: {},
+};
+
+const DEFAULT_MESSAGES_CONFIG: MessagesConfig = {
+  persona: "",
+  personas: {},
+};
+
+const DEFAULT_HISTORY_CONFIG: HistoryConfig = {
+  enabled: true,
+  path: DEFAULT_HISTORY_PATH,
+  maxEntries: DEFAULT_HISTORY_MAX_ENTRIES,
+};
 
-// デフォルト設定
+const DEFAULT_CACHE_CONFIG: CacheConfig = {
+  enabled: true,
+  dir: DEFAULT_CACHE_DIR,
+  maxBytes: DEFAULT_CACHE_MAX_BYTES,
+  prewarm: true,
+};
+
+const DEFAULT_AUDIO_CONFIG: AudioConfig = {
+  backend: "auto",
+  volume: 1,
+  muted: false,
+};
+
+const DEFAULT_QUEUE_CONFIG: QueueConfig = {
+  maxDepth: 5,
+  dropPolicy: "drop-lowest",
+  staleMs: 60000,
+  interruptPriority: 100,
+  mergeKinds: ["AssistantMessage", "PostToolUse", "Error"],
+  priorities: {
+    PermissionRequest: 100,
+    Error: 90,
+    Notification: 80,
+    SessionStart: 50,
+    SessionEnd: 50,
+    Manual: 40,
+    AssistantMessage: 30,
+    PostToolUse: 20,
+  },
+  defaultPriority: 10,
+};
+
+// デフォルト設定（config/zundamon.json と同じ喋り方）
 const DEFAULT_CONFIG: ZundamonConfig = {
   speakEvents: {
-    tools: ["Write", "Edit", "Bash"],
-    events: ["SessionStart", "SessionEnd", "AssistantMessage"],
+    tools: [],
+    events: ["SessionStart", "SessionEnd", "AssistantMessage", "PermissionRequest", "Stop", "Notification", "SubagentStop", "PreCompact"],
   },
   readings: {},
 };
 
-export function loadConfig(): ZundamonConfig {
-  if (config) return config;
+type JsonObject = Record<string, unknown>;
 
-  if (!existsSync(CONFIG_PATH)) {
-    console.warn(`Config file not found: ${CONFIG_PATH}`);
-    config = { ...DEFAULT_CONFIG };
-    return config;
+function isObject(value: unknown): value is JsonObject {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 設定を重ねる（オブジェクトは再帰的にマージ、配列や値は上書き）
+ */
+function deepMerge<T>(base: T, override: unknown): T {
+  if (!isObject(base) || !isObject(override)) return (override === undefined ? base : override) as T;
+  const result: JsonObject = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = deepMerge(result[key], value);
   }
+  return result as T;
+}
+
+/**
+ * JSON Merge Patch (RFC 7396) を適用（null はキーの削除）
+ */
+function applyMergePatch(target: unknown, patch: unknown): unknown {
+  if (!isObject(patch)) return patch;
+  const result: JsonObject = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * JSON Schema の検証関数（設定ファイルの隣か、リポジトリの config/ にあるスキーマを使う）
+ */
+function getValidator(): ValidateFunction | null {
+  if (validator) return validator;
+  const candidates = [join(dirname(configPath), SCHEMA_FILE), join(DEFAULT_CONFIG_DIR, SCHEMA_FILE)];
+  const schemaPath = candidates.find((p) => existsSync(p));
+  if (!schemaPath) {
+    console.warn(`Config schema not found, skipping validation (${candidates.join(", ")})`);
+    return null;
+  }
+  const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+  validator = ajv.compile(JSON.parse(readFileSync(schemaPath, "utf-8")));
+  return validator;
+}
+
+/**
+ * スキーマで検証してエラーメッセージの一覧を返す
+ */
+export function validateConfig(value: unknown): string[] {
+  const validate = getValidator();
+  if (!validate || validate(value)) return [];
+  return (validate.errors ?? []).map((e) => {
+    const where = e.instancePath || "(root)";
+    const extra = e.keyword === "additionalProperties"
+      ? ` "${(e.params as { additionalProperty: string }).additionalProperty}"`
+      : e.keyword === "enum"
+        ? `: ${(e.params as { allowedValues: unknown[] }).allowedValues.join(", ")}`
+        : "";
+    return `${where} ${e.message}${extra}`;
+  });
+}
 
+/**
+ * 設定ファイルを1つ読んで検証する（無ければ null）
+ */
+function readConfigFile(path: string): Partial<ZundamonConfig> | null {
+  if (!existsSync(path)) return null;
+
+  let parsed: unknown;
   try {
-    const raw = readFileSync(CONFIG_PATH, "utf-8");
-    config = JSON.parse(raw);
-    console.log(`Loaded config from ${CONFIG_PATH}`);
-    console.log(`  - ${Object.keys(config!.readings).length} reading rules`);
-    return config!;
+    parsed = JSON.parse(readFileSync(path, "utf-8"));
   } catch (error) {
-    console.error("Failed to load config:", error);
+    throw new ConfigValidationError(path, [`JSON parse error: ${(error as Error).message}`]);
+  }
+
+  const errors = validateConfig(parsed);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(path, errors);
+  }
+
+  const { $schema, ...rest } = parsed as JsonObject;
+  return rest as Partial<ZundamonConfig>;
+}
+
+/**
+ * 設定ファイルのパスを差し替える（次回の loadConfig から有効）
+ */
+export function setConfigPath(path: string): void {
+  configPath = path;
+  config = null;
+  validator = null;
+}
+
+/**
+ * ユーザー設定（上書き用）のパスを差し替える
+ */
+export function setUserConfigPath(path: string): void {
+  userConfigPath = path;
+  config = null;
+}
+
+/**
+ * 設定ファイルを読み直す
+ * 不正な場合は直前の設定（初回は既定値）のまま、エラーをログに出す
+ */
+export function reloadConfig(): ZundamonConfig {
+  const errors: string[] = [];
+  const layers: Array<Partial<ZundamonConfig>> = [];
+
+  if (!existsSync(configPath)) {
+    console.warn(`Config file not found: ${configPath}`);
+  }
+
+  for (const path of [configPath, userConfigPath]) {
+    try {
+      layers.push(readConfigFile(path) ?? {});
+    } catch (error) {
+      if (!(error instanceof ConfigValidationError)) throw error;
+      console.error(error.message);
+      errors.push(...error.errors.map((e) => `${basename(path)}: ${e}`));
+    }
+  }
+
+  lastErrors = errors;
+
+  if (errors.length > 0) {
+    if (config) {
+      console.error("Config has errors, keeping the previous config");
+      return config;
+    }
+    console.error("Config has errors, using the default config");
     config = { ...DEFAULT_CONFIG };
     return config;
   }
+
+  config = layers.reduce<ZundamonConfig>((acc, layer) => deepMerge(acc, layer), DEFAULT_CONFIG);
+  fileLayers = { base: layers[0], user: layers[1] };
+  console.log(`Loaded config from ${configPath}${existsSync(userConfigPath) ? ` + ${userConfigPath}` : ""}`);
+  console.log(`  - ${Object.keys(config.readings).length} reading rules`);
+
+  const current = config;
+  changeListeners.forEach((listener) => listener(current));
+  return config;
+}
+
+export function loadConfig(): ZundamonConfig {
+  return config ?? reloadConfig();
+}
+
+/**
+ * 設定が読み直されたときに呼ばれる（解除関数を返す）
+ */
+export function onConfigChange(listener: (config: ZundamonConfig) => void): () => void {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+/**
+ * 設定ファイルの変更を監視して自動で読み直す
+ * （エディタの保存はファイルの置き換えになることがあるのでディレクトリごと監視する）
+ */
+export function watchConfig(): void {
+  if (watchers.length > 0) return;
+  let debounceTimer: NodeJS.Timeout | null = null;
+
+  for (const path of new Set([configPath, userConfigPath])) {
+    const dir = dirname(path);
+    const file = basename(path);
+    if (!existsSync(dir)) continue;
+    try {
+      watchers.push(
+        watch(dir, (eventType, filename) => {
+          if (filename !== file) return;
+          if (debounceTimer) clearTimeout(debounceTimer);
+          debounceTimer = setTimeout(() => {
+            console.log(`Config changed: ${path}`);
+            reloadConfig();
+          }, DEBOUNCE_MS);
+        })
+      );
+    } catch (error) {
+      console.error(`Failed to watch ${dir}:`, error);
+    }
+  }
+}
+
+export function unwatchConfig(): void {
+  for (const watcher of watchers) watcher.close();
+  watchers.length = 0;
+}
+
+/**
+ * 現在の設定と読み込み元（GET /config 用）
+ */
+export function getConfigSnapshot(): {
+  config: ZundamonConfig;
+  paths: { base: string; user: string };
+  errors: string[];
+} {
+  return { config: loadConfig(), paths: { base: configPath, user: userConfigPath }, errors: lastErrors };
+}
+
+/**
+ * ユーザー設定に JSON Merge Patch を当てて保存する（PATCH /config 用）
+ * 検証に失敗した場合は何も書き込まずに ConfigValidationError を投げる
+ */
+export function patchConfig(patch: unknown): ZundamonConfig {
+  if (!isObject(patch)) {
+    throw new ConfigValidationError("patch", ["(root) must be object"]);
+  }
+
+  // 今のユーザー設定が不正でもパッチで直せるように、検証前の内容に当てる
+  let currentUser: unknown = {};
+  try {
+    currentUser = JSON.parse(readFileSync(userConfigPath, "utf-8"));
+  } catch {
+    // 未作成・壊れている場合は空から
+  }
+  const nextUser = applyMergePatch(currentUser, patch) as JsonObject;
+
+  const userErrors = validateConfig(nextUser);
+  if (userErrors.length > 0) {
+    throw new ConfigValidationError(userConfigPath, userErrors);
+  }
+
+  mkdirSync(dirname(userConfigPath), { recursive: true });
+  writeFileSync(userConfigPath, JSON.stringify(nextUser, null, 2) + "\n");
+  console.log(`Saved config to ${userConfigPath}`);
+
+  // 監視していない場合もすぐ反映する
+  return reloadConfig();
+}
+
+/**
+ * ユーザー設定の一部を丸ごと置き換えて保存する（PUT /readings 用）
+ * JSON Merge Patch ではオブジェクトがマージされるので、消えたキーに null を入れたパッチを作る
+ */
+export function replaceConfigSection(keys: string[], value: unknown): ZundamonConfig {
+  loadConfig();
+  let current: unknown = fileLayers.user;
+  for (const key of keys) current = isObject(current) ? current[key] : undefined;
+
+  const replacement = (before: unknown, after: unknown): unknown => {
+    if (!isObject(before) || !isObject(after)) return after;
+    const patch: JsonObject = {};
+    for (const key of Object.keys(before)) {
+      if (!(key in after)) patch[key] = null;
+    }
+    for (const [key, next] of Object.entries(after)) {
+      patch[key] = replacement(before[key], next);
+    }
+    return patch;
+  };
+
+  const patch = keys.reduceRight<unknown>((inner, key) => ({ [key]: inner }), replacement(current, value));
+  return patchConfig(patch);
+}
+
+/**
+ * 重ねる前のファイルごとの設定（base: config/zundamon.json, user: ユーザー設定）
+ */
+export function getConfigLayers(): { base: Partial<ZundamonConfig>; user: Partial<ZundamonConfig> } {
+  loadConfig();
+  return fileLayers;
 }
 
-export function getReadings(): Record<string, string> {
+export function getReadings(): ReadingDictionary {
   return loadConfig().readings;
 }
 
+export function getProjectReadings(project: string | undefined): ReadingDictionary {
+  if (!project) return {};
+  return loadConfig().projectReadings?.[project] ?? {};
+}
+
+export function getTtsConfig(): TtsConfig {
+  const tts = loadConfig().tts ?? {};
+  const engines = tts.engines ?? DEFAULT_TTS_CONFIG.engines;
+  return {
+    engines,
+    order: tts.order ?? engines.map((e) => e.name),
+  };
+}
+
+export function getVoicesConfig(): VoicesConfig {
+  const voices = loadConfig().voices ?? {};
+  return {
+    profiles: voices.profiles ?? {},
+    speaker: voices.speaker ?? undefined,
+    defaultProfile: voices.defaultProfile,
+    projects: voices.projects ?? {},
+    events: voices.events ?? {},
+  };
+}
+
+export function getExpressionConfig(): ExpressionConfig {
+  const expressions = loadConfig().expressions ?? {};
+  return {
+    ...DEFAULT_EXPRESSION_CONFIG,
+    ...expressions,
+    unless: { ...DEFAULT_EXPRESSION_CONFIG.unless, ...expressions.unless },
+    overrides: {
+      tools: { ...DEFAULT_EXPRESSION_CONFIG.overrides.tools, ...expressions.overrides?.tools },
+      events: { ...DEFAULT_EXPRESSION_CONFIG.overrides.events, ...expressions.overrides?.events },
+    },
+  };
+}
+
+export function getNormalizeConfig(): NormalizeConfig {
+  return { ...DEFAULT_NORMALIZE_CONFIG, ...loadConfig().normalize };
+}
+
+export function getSpeechConfig(): SpeechConfig {
+  return { ...DEFAULT_SPEECH_CONFIG, ...loadConfig().speech };
+}
+
+export function getSummarizerConfig(): SummarizerConfig {
+  return { ...DEFAULT_SUMMARIZER_CONFIG, ...loadConfig().summarizer };
+}
+
+export function getPronunciationConfig(): PronunciationConfig {
+  const pronunciation = loadConfig().pronunciation ?? {};
+  return {
+    ...DEFAULT_PRONUNCIATION_CONFIG,
+    ...pronunciation,
+    // 大文字で書かれていても引けるように
+    lexicon: Object.fromEntries(
+      Object.entries(pronunciation.lexicon ?? {}).map(([word, kana]) => [word.toLowerCase(), kana])
+    ),
+  };
+}
+
+export function getPipelineConfig(): PipelineConfig {
+  const pipeline = loadConfig().pipeline ?? {};
+  return {
+    ...DEFAULT_PIPELINE_CONFIG,
+    ...pipeline,
+    sources: { ...DEFAULT_PIPELINE_CONFIG.sources, ...pipeline.sources },
+  };
+}
+
+export function getPolicyConfig(): PolicyConfig {
+  return { ...DEFAULT_POLICY_CONFIG, ...loadConfig().policy };
+}
+
+export function getToolOutputConfig(): ToolOutputConfig {
+  return { ...DEFAULT_TOOL_OUTPUT_CONFIG, ...loadConfig().toolOutput };
+}
+
+export function getMessagesConfig(): MessagesConfig {
+  return { ...DEFAULT_MESSAGES_CONFIG, ...loadConfig().messages };
+}
+
+export function getCacheConfig(): CacheConfig {
+  const cache = loadConfig().cache ?? {};
+  return {
+    ...DEFAULT_CACHE_CONFIG,
+    ...cache,
+    // null や空文字なら既定の場所
+    dir: cache.dir || DEFAULT_CACHE_DIR,
+  };
+}
+
+export function getSubtitlesConfig(): SubtitlesConfig {
+  return { ...DEFAULT_SUBTITLES_CONFIG, ...loadConfig().subtitles };
+}
+
+export function getHistoryConfig(): HistoryConfig {
+  const history = loadConfig().history ?? {};
+  return {
+    ...DEFAULT_HISTORY_CONFIG,
+    ...history,
+    // null や空文字なら既定の場所
+    path: history.path || DEFAULT_HISTORY_PATH,
+  };
+}
+
+export function getAudioConfig(): AudioConfig {
+  return { ...DEFAULT_AUDIO_CONFIG, ...loadConfig().audio };
+}
+
+export function getQueueConfig(): QueueConfig {
+  const queue = loadConfig().queue ?? {};
+  return {
+    ...DEFAULT_QUEUE_CONFIG,
+    ...queue,
+    priorities: { ...DEFAULT_QUEUE_CONFIG.priorities, ...queue.priorities },
+  };
+}
+
+export function getCharacterId(): string | undefined {
+  return loadConfig().character;
+}
+
 export function getSpeakEvents(): SpeakEvents {
   return loadConfig().speakEvents;
 }
 
+/**
+ * プロジェクト固有のメッセージを取得
+ */
+export function getProjectMessage(project: string | undefined, eventName: string): MessageTemplate | null {
+  if (!project) return null;
+  return loadConfig().projectMessages?.[project]?.[eventName] ?? null;
+}
+
 export function shouldSpeakTool(toolName: string): boolean {
   const events = getSpeakEvents();
   return events.tools.includes(toolName);
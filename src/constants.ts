@@ -2,15 +2,15 @@
  * 共通定数
  */
 
-// 表情の種類
-export const EXPRESSIONS = ["normal", "smile", "eye_sparkle", "surprise", "shock"] as const;
-export type Expression = (typeof EXPRESSIONS)[number];
+import { homedir } from "os";
+import { join } from "path";
 
 // 表情の表示時間（ミリ秒）
 export const EXPRESSION_DURATION_MS = 3000;
 
-// メッセージ長の閾値
-export const SHORT_MESSAGE_THRESHOLD = 100;
+// メッセージ長の閾値（これ以上は長いメッセージ。speech.longMessages で読み方を決める）
+export const SHORT_MESSAGE_THRESHOLD = 300;
+// 1回に合成する最大文字数の既定値（speech.maxChunkLength）
 export const MAX_TEXT_LENGTH = 200;
 
 // 文字列切り詰め長
@@ -22,7 +22,16 @@ export const VOICEVOX_SPEED_SCALE = 1.2;
 export const DEFAULT_AUDIO_DURATION_MS = 2000;
 
 // リップシンク設定
+// タイムラインが無い場合（フォールバック）の口パク間隔
 export const LIPSYNC_INTERVAL_MS = 120;
+// タイムライン再生時の口の形の更新間隔
+export const LIPSYNC_FRAME_MS = 30;
+
+// VOICEVOX 接続先
+export const DEFAULT_VOICEVOX_URL = "http://127.0.0.1:50021";
+export const DEFAULT_SPEAKER_ID = "3";
+// VOICEVOX 互換エンジンの1リクエストの待ち時間（超えたら起動していないものとして次のエンジンを試す）
+export const VOICEVOX_REQUEST_TIMEOUT_MS = 30000;
 
 // WebSocket/API設定
 export const DEFAULT_SERVER_PORT = 3456;
@@ -32,9 +41,162 @@ export const VTS_REQUEST_TIMEOUT_MS = 10000;
 // デバウンス設定
 export const DEBOUNCE_MS = 100;
 
-// 固定メッセージ
+// ユーザー設定（PATCH /config の保存先）
+export const DEFAULT_USER_CONFIG_PATH = join(
+  process.env.XDG_CONFIG_HOME || join(homedir(), ".config"),
+  "zundamon-avatar",
+  "zundamon.json"
+);
+
+// キャラクターパック
+export const DEFAULT_CHARACTER_ID = "zundamon";
+export const DEFAULT_USER_CHARACTERS_DIR = join(
+  process.env.XDG_CONFIG_HOME || join(homedir(), ".config"),
+  "zundamon-avatar",
+  "characters"
+);
+
+// 合成済み音声のキャッシュ置き場
+export const DEFAULT_CACHE_DIR = join(
+  process.env.XDG_CACHE_HOME || join(homedir(), ".cache"),
+  "zundamon-avatar",
+  "voices"
+);
+export const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+// 喋った内容の履歴（JSONL）
+export const DEFAULT_HISTORY_PATH = join(
+  process.env.XDG_STATE_HOME || join(homedir(), ".local", "state"),
+  "zundamon-avatar",
+  "history.jsonl"
+);
+export const DEFAULT_HISTORY_MAX_ENTRIES = 5000;
+
+// 集中モードの既定の長さ（POST /focus で minutes を省略したとき）
+export const DEFAULT_FOCUS_MINUTES = 30;
+// 集中モードの最長（24時間。setTimeout の上限 2^31-1 ms を超えないように）
+export const MAX_FOCUS_MINUTES = 24 * 60;
+
+// Claude Code のセッションファイル置き場
+export const CLAUDE_PROJECTS_DIR = join(homedir(), ".claude", "projects");
+
+// セッションファイルをどこまで読んだか（再起動後に続きから読む）
+export const DEFAULT_WATCHER_CHECKPOINT_PATH = join(
+  process.env.XDG_CACHE_HOME || join(homedir(), ".cache"),
+  "zundamon-avatar",
+  "session-watcher.json"
+);
+
+// メッセージの既定のカタログ（キャラクターパックの messages・config のペルソナに無い場合）
+// {project} {file} {command} {count} {duration} などはその場の値に置き換える。配列は毎回どれかを選ぶ
+// キー + _ONE は {count} が 1 のときに使う
 export const MESSAGES = {
-  SESSION_START: "やあ、ぼくずんだもんなのだ！今日もよろしくなのだ！",
-  SESSION_END: "おつかれさまなのだ！またねなのだ！",
+  SESSION_START: [
+    "やあ、ぼくずんだもんなのだ！今日もよろしくなのだ！",
+    "ずんだもんなのだ！今日もがんばるのだ！",
+    "さあ、始めるのだ！よろしくなのだ！",
+  ],
+  SESSION_END: ["おつかれさまなのだ！またねなのだ！", "{duration}の作業、おつかれさまなのだ！またねなのだ！"],
+  SESSION_RESUME: "おかえりなのだ！続きをやるのだ！",
   LONG_MESSAGE_FALLBACK: "作業が完了したのだ、詳細はターミナルを確認するのだ",
+  PERMISSION_REQUEST: ["これ実行していいのだ？", "確認してほしいのだ！実行していいのだ？"],
+  ERROR_BASH: ["あれ、エラーが出ちゃったのだ！", "うまくいかなかったのだ！", "終了コード{code}で止まっちゃったのだ！"],
+  ERROR_BUILD: "ビルドが失敗したのだ！",
+  ERROR_TEST: "テストが失敗したのだ！",
+  CODE_BLOCK_OMITTED: "コードブロックは省略するのだ",
+  SPEECH_TRUNCATED: "続きはターミナルを確認するのだ",
+  PROMPT_RECEIVED: "わかったのだ、やってみるのだ！",
+  WAITING_FOR_INPUT: ["入力を待ってるのだ！", "次はどうするのだ？"],
+  NOTIFICATION: "お知らせがあるのだ、ターミナルを確認するのだ",
+  SUBAGENT_STOP: "サブタスクが終わったのだ！",
+  PRE_COMPACT: "会話が長くなったから、整理するのだ",
+  // 発話の前に付けるプロジェクト名
+  PROJECT_PREFIX: "{project}で、",
+  // ツール（PRE_ は実行する前）
+  TOOL_WRITE: "{file}を作成したのだ",
+  TOOL_EDIT: "{file}を編集したのだ",
+  TOOL_READ: "{file}を読むのだ",
+  TOOL_GLOB: "ファイルを探すのだ",
+  TOOL_GREP: "「{pattern}」を検索するのだ",
+  TOOL_GREP_ANY: "検索するのだ",
+  TOOL_WEB_SEARCH: "「{query}」を検索するのだ",
+  TOOL_WEB_SEARCH_ANY: "ウェブ検索するのだ",
+  TOOL_WEB_FETCH: "ウェブページを取得するのだ",
+  TOOL_TASK: "サブタスクを実行するのだ",
+  PRE_TOOL_WRITE: "{file}を作成するのだ",
+  PRE_TOOL_EDIT: "{file}を編集するのだ",
+  // Bash コマンド
+  BASH_INSTALL: "パッケージをインストールするのだ",
+  BASH_BUILD: "ビルドするのだ",
+  BASH_TEST: "テストを実行するのだ",
+  BASH_SCRIPT: "スクリプトを実行するのだ",
+  BASH_COMMIT: "コミットするのだ",
+  BASH_PUSH: "プッシュするのだ",
+  BASH_PULL: "プルするのだ",
+  BASH_GIT: "Gitコマンドを実行するのだ",
+  BASH_MKDIR: "フォルダを作成するのだ",
+  BASH_REMOVE: "ファイルを削除するのだ",
+  BASH_MOVE: "ファイルを移動するのだ",
+  // ツールの出力から読んだ結果
+  TESTS_PASSED: ["テストが{count}個通ったのだ！", "{count}個のテストが通ったのだ！"],
+  TESTS_PASSED_ANY: "テストが全部通ったのだ！",
+  TESTS_FAILED: "テストが{count}個失敗したのだ！",
+  TESTS_ALSO_PASSED: "{count}個は通ったのだ。",
+  TESTS_SKIPPED: "{count}個はスキップしたのだ。",
+  TYPECHECK_PASSED: "型エラーは無いのだ！",
+  TYPECHECK_FAILED: "型エラーが{count}個あるのだ！",
+  GIT_COMMITTED: "コミットしたのだ！",
+  GIT_COMMIT_STAT: "{count}個のファイルで、{insertions}行増えて{deletions}行減ったのだ。",
+  GIT_NOTHING_TO_COMMIT: "コミットする変更が無かったのだ",
+  GIT_COMMIT_FAILED: "コミットできなかったのだ！",
+  GIT_PUSHED: "{branch}にプッシュしたのだ！",
+  GIT_PUSHED_ANY: "プッシュしたのだ！",
+  GIT_PUSH_UP_TO_DATE: "プッシュする変更は無かったのだ",
+  GIT_PUSH_REJECTED: "プッシュを断られちゃったのだ！先にプルしたほうがいいかもなのだ",
+  GIT_PUSH_FAILED: "プッシュできなかったのだ！",
+  // 作業の振り返り（{items} は RECAP_SEPARATOR でつないだ作業）
+  RECAP_WORK: "{items}したのだ。",
+  RECAP_FAILURES: "でも、{items}したのだ。",
+  RECAP_FAILURES_ONLY: "{items}したのだ。",
+  RECAP_UNRESOLVED: "{items}はまだ失敗したままなのだ。",
+  RECAP_SEPARATOR: "して、",
+  RECAP_AND: "と",
+  RECAP_CREATE: "{count}つのファイルを作成",
+  RECAP_CREATE_ONE: "{file}を作成",
+  RECAP_EDIT: "{count}つのファイルを編集",
+  RECAP_EDIT_ONE: "{file}を編集",
+  RECAP_READ: "{count}つのファイルを確認",
+  RECAP_READ_ONE: "{file}を確認",
+  RECAP_SEARCH: "ファイルを{count}回検索",
+  RECAP_SEARCH_ONE: "ファイルを検索",
+  RECAP_WEB: "ウェブを{count}回検索",
+  RECAP_WEB_ONE: "ウェブを検索",
+  RECAP_TASK: "サブタスクを{count}回実行",
+  RECAP_TASK_ONE: "サブタスクを実行",
+  RECAP_INSTALL: "パッケージを{count}回インストール",
+  RECAP_INSTALL_ONE: "パッケージをインストール",
+  RECAP_BUILD: "ビルドを{count}回実行",
+  RECAP_BUILD_ONE: "ビルドを実行",
+  RECAP_TEST: "テストを{count}回実行",
+  RECAP_TEST_ONE: "テストを実行",
+  RECAP_COMMIT: "コミットを{count}回作成",
+  RECAP_COMMIT_ONE: "コミットを作成",
+  RECAP_PUSH: "{count}回プッシュ",
+  RECAP_PUSH_ONE: "プッシュ",
+  RECAP_PULL: "{count}回プル",
+  RECAP_PULL_ONE: "プル",
+  RECAP_FAILED_BUILD: "ビルドが{count}回失敗",
+  RECAP_FAILED_TEST: "テストが{count}回失敗",
+  RECAP_FAILED_COMMAND: "コマンドが{count}回失敗",
+  RECAP_UNRESOLVED_BUILD: "ビルド",
+  RECAP_UNRESOLVED_TEST: "テスト",
+  // 長さ（{duration}）
+  DURATION_HOURS: "{count}時間",
+  DURATION_MINUTES: "{count}分",
+  DURATION_SECONDS: "{count}秒",
+  DURATION_SEPARATOR: "",
+  // 抜き出しの要約の見出し（{topics} は SUMMARY_TOPIC_SEPARATOR でつなぐ）
+  SUMMARY_TOPICS: "{topics}についてまとめたのだ。",
+  SUMMARY_TOPICS_MORE: "{topics}などについてまとめたのだ。",
+  SUMMARY_TOPIC_SEPARATOR: "、",
 } as const;
@@ -0,0 +1,123 @@
+/**
+ * 喋るきっかけになるイベントの流れ
+ * hooks（/speak への POST）とセッションファイルの監視から来たイベントを1つの流れにまとめ、
+ * 同じイベントが両方から来たら（ツールの入力・メッセージの内容・session_id で突き合わせて）一度だけ喋る
+ */
+
+import { createHash } from "crypto";
+import { getPipelineConfig, PipelineConfig } from "./config.js";
+import { formatClaudeEvent, workEntryOf } from "./formatter.js";
+import type { HookData } from "./hook-events.js";
+import { speechKindOf, speechProjectOf, QueuedSpeech } from "./speech-queue.js";
+import { submitSpeech, PolicyVerdict } from "./speech-policy.js";
+
+export type EventSource = keyof PipelineConfig["sources"];
+
+export interface PublishResult {
+  // 読み上げるテキスト（喋らないイベントは null）
+  message: string | null;
+  queued: QueuedSpeech | null;
+  // 受け取らなかった理由（元を無効にしている・もう受け取ったイベント）
+  skipped?: "disabled" | "duplicate";
+  // 喋らなかった・後でまとめて喋る理由（speech-policy.ts）
+  suppressed?: PolicyVerdict;
+}
+
+// 突き合わせのキー → 同じものとみなす期限
+const seen = new Map<string, number>();
+// ツールのキー → まだもう一方の元から来ていないイベント（来た元と期限）
+const unpaired = new Map<string, Array<{ source: EventSource; expiresAt: number }>>();
+
+function digest(text: string): string {
+  return createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * 同じイベントかどうかを見分けるキーと、同じものとみなす時間
+ * ツールは session_id・ツール名・入力で突き合わせる（hooks は tool_use_id を持たないことがあるので、どちらの元でも同じキーにする）
+ * メッセージと入力は内容で、それ以外は session_id とイベントの種類だけなので短い時間にする
+ */
+function correlationOf(data: HookData, config: PipelineConfig): { key: string; windowMs: number; tool: boolean } {
+  const event = data.hook_event_name ?? (data.tool_name ? "PostToolUse" : "Unknown");
+  if (data.tool_name) {
+    const input = digest(JSON.stringify(data.tool_input ?? {}));
+    return { key: `${event}:${data.session_id ?? ""}:${data.tool_name}:${input}`, windowMs: config.dedupWindowMs, tool: true };
+  }
+  if (data.tool_use_id) {
+    return { key: `${event}:${data.tool_use_id}`, windowMs: config.dedupWindowMs, tool: false };
+  }
+  if (event === "AssistantMessage" && data.message) {
+    return { key: `${event}:${digest(data.message)}`, windowMs: config.dedupWindowMs, tool: false };
+  }
+  if (event === "UserPromptSubmit" && data.prompt) {
+    return { key: `${event}:${digest(data.prompt)}`, windowMs: config.dedupWindowMs, tool: false };
+  }
+  const detail = data.source ?? data.reason ?? data.trigger ?? data.notification_type ?? "";
+  return { key: `${event}:${data.session_id ?? ""}:${detail}`, windowMs: config.eventDedupWindowMs, tool: false };
+}
+
+/**
+ * もう受け取ったイベントか（初めてなら覚える）
+ * ツールは同じコマンドを続けて実行することもあるので、もう一方の元から来たまだ対になっていないイベントとだけ突き合わせる
+ */
+function isDuplicate(source: EventSource, data: HookData, config: PipelineConfig): boolean {
+  const now = Date.now();
+  for (const [key, expiresAt] of seen) {
+    if (expiresAt <= now) seen.delete(key);
+  }
+  for (const [key, events] of unpaired) {
+    const live = events.filter((e) => e.expiresAt > now);
+    if (live.length > 0) unpaired.set(key, live);
+    else unpaired.delete(key);
+  }
+
+  const { key, windowMs, tool } = correlationOf(data, config);
+  if (tool) {
+    const events = unpaired.get(key) ?? [];
+    const match = events.findIndex((e) => e.source !== source);
+    if (match >= 0) {
+      events.splice(match, 1);
+      return true;
+    }
+    if (windowMs > 0) unpaired.set(key, [...events, { source, expiresAt: now + windowMs }]);
+    return false;
+  }
+  if (seen.has(key)) return true;
+  if (windowMs > 0) seen.set(key, now + windowMs);
+  return false;
+}
+
+/**
+ * イベントを流す（読み上げテキストにして、ふるいを通してキューに積む）
+ * formatter はここからしか呼ばない
+ */
+export async function publishEvent(source: EventSource, data: HookData): Promise<PublishResult> {
+  const config = getPipelineConfig();
+  const event = data.hook_event_name ?? data.tool_name ?? "unknown";
+  if (!config.sources[source]) {
+    return { message: null, queued: null, skipped: "disabled" };
+  }
+  if (isDuplicate(source, data, config)) {
+    console.log(`[Pipeline] Skipping duplicate ${event} from ${source}`);
+    return { message: null, queued: null, skipped: "duplicate" };
+  }
+
+  const speech = await formatClaudeEvent(data);
+  if (!speech) return { message: null, queued: null };
+
+  const entry = workEntryOf(data);
+  const { queued, suppressed } = submitSpeech(
+    {
+      text: speech.text,
+      kind: speechKindOf(data, speech.failed),
+      project: speechProjectOf(data),
+      cwd: data.cwd,
+      source,
+      session: data.session_id,
+      original: speech.original,
+      expression: speech.expression,
+    },
+    entry ? { tool: data.tool_name!, id: data.tool_use_id, entry } : undefined
+  );
+  return { message: speech.text, queued, ...(suppressed && { suppressed }) };
+}
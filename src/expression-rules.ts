@@ -0,0 +1,174 @@
+/**
+ * 表情の判定ルール
+ * config の expressions.rules（とキャラクターパックの expressionKeywords）で点数を付け、
+ * いちばん点数の高い表情を選ぶ
+ */
+
+import { getExpressionConfig, onConfigChange, ExpressionRule } from "./config.js";
+import { getCharacter } from "./character.js";
+
+// 1つのルールが何回まで点数に数えられるか（同じ言葉の繰り返しで偏らないように）
+const MAX_RULE_HITS = 3;
+
+export interface ExpressionContext {
+  // ツール名（Glob, Bash など）
+  tool?: string;
+  // hooks のイベント名、または発話の種類（SessionStart, PermissionRequest, Error など）
+  event?: string;
+}
+
+export interface ExpressionMatch {
+  // config の rules の位置（パックのキーワードは "character:<表情>"）
+  rule: number | string;
+  expression: string;
+  pattern: string;
+  // 当たった文字列（MAX_RULE_HITS まで）
+  hits: string[];
+  score: number;
+}
+
+export interface ExpressionDetection {
+  expression: string;
+  score: number;
+  scores: Record<string, number>;
+  matches: ExpressionMatch[];
+  // ルールで打ち消されたもの（unless に当たった）
+  suppressed: Array<{ rule: number | string; expression: string; unless: string }>;
+  // ツール・イベントで固定された場合
+  override?: { tool?: string; event?: string };
+}
+
+interface CompiledRule {
+  id: number | string;
+  rule: ExpressionRule;
+  regex: RegExp;
+  unless: RegExp[];
+}
+
+let compiled: CompiledRule[] | null = null;
+let compiledKeywordsFor: string | null = null;
+
+onConfigChange(() => {
+  compiled = null;
+});
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * ルールの pattern を正規表現にする
+ * word は英数字の途中（"token" の中の "ok" など）では当たらない
+ */
+function toRegExp(rule: ExpressionRule): RegExp {
+  const flags = rule.caseSensitive ? "gu" : "giu";
+  switch (rule.match ?? "word") {
+    case "regex":
+      return new RegExp(rule.pattern, flags);
+    case "substring":
+      return new RegExp(escapeRegExp(rule.pattern), flags);
+    case "word":
+      return new RegExp(`(?<![A-Za-z0-9_])${escapeRegExp(rule.pattern)}(?![A-Za-z0-9_])`, flags);
+  }
+}
+
+/**
+ * ルールをコンパイルする（unless はその表情の打ち消しの後にルール自身のものを足す）
+ */
+function compile(id: number | string, rule: ExpressionRule, shared: string[]): CompiledRule | null {
+  try {
+    return {
+      id,
+      rule,
+      regex: toRegExp(rule),
+      unless: [...shared, ...(rule.unless ?? [])].map((p) => new RegExp(p, rule.caseSensitive ? "u" : "iu")),
+    };
+  } catch (error) {
+    console.warn(`[Expression] Invalid rule #${id} (${rule.pattern}): ${(error as Error).message}`);
+    return null;
+  }
+}
+
+/**
+ * config のルールとパックのキーワードをまとめてコンパイル（パックが変わったら作り直す）
+ */
+function getRules(): CompiledRule[] {
+  const character = getCharacter();
+  if (compiled && compiledKeywordsFor === character.id) return compiled;
+
+  const keywordRules = Object.entries(character.expressionKeywords ?? {}).flatMap(([expression, keywords]) =>
+    keywords.map((pattern) => [`character:${expression}`, { expression, pattern }] as const)
+  );
+
+  const { rules, unless } = getExpressionConfig();
+  compiled = [...rules.map((rule, i) => [i, rule] as const), ...keywordRules]
+    .map(([id, rule]) => compile(id, rule, unless[rule.expression] ?? []))
+    .filter((rule): rule is CompiledRule => rule !== null);
+  compiledKeywordsFor = character.id;
+  return compiled;
+}
+
+function appliesTo(rule: ExpressionRule, { tool, event }: ExpressionContext): boolean {
+  if (rule.tools && !(tool && rule.tools.includes(tool))) return false;
+  if (rule.events && !(event && rule.events.includes(event))) return false;
+  return true;
+}
+
+/**
+ * テキストから表情を判定する
+ */
+export function detectExpression(text: string, context: ExpressionContext = {}): ExpressionDetection {
+  const { overrides, priority, minScore } = getExpressionConfig();
+
+  // ツール・イベントで固定されている場合はルールを見ない
+  const toolOverride = context.tool ? overrides.tools[context.tool] : undefined;
+  const eventOverride = context.event ? overrides.events[context.event] : undefined;
+  if (toolOverride || eventOverride) {
+    return {
+      expression: (toolOverride ?? eventOverride)!,
+      score: 0,
+      scores: {},
+      matches: [],
+      suppressed: [],
+      override: toolOverride ? { tool: context.tool } : { event: context.event },
+    };
+  }
+
+  const scores: Record<string, number> = {};
+  const matches: ExpressionMatch[] = [];
+  const suppressed: ExpressionDetection["suppressed"] = [];
+
+  for (const { id, rule, regex, unless } of getRules()) {
+    if (!appliesTo(rule, context)) continue;
+
+    const hits = [...text.matchAll(regex)].map((m) => m[0]).filter((hit) => hit !== "").slice(0, MAX_RULE_HITS);
+    if (hits.length === 0) continue;
+
+    const negation = unless.find((re) => re.test(text));
+    if (negation) {
+      suppressed.push({ rule: id, expression: rule.expression, unless: negation.source });
+      continue;
+    }
+
+    const score = hits.length * (rule.weight ?? 1);
+    scores[rule.expression] = (scores[rule.expression] ?? 0) + score;
+    matches.push({ rule: id, expression: rule.expression, pattern: rule.pattern, hits, score });
+  }
+
+  // 点数の高い順、同点なら priority の順
+  const rank = (expression: string) => {
+    const index = priority.indexOf(expression);
+    return index === -1 ? priority.length : index;
+  };
+  const [best] = Object.entries(scores)
+    .filter(([, score]) => score >= minScore)
+    .sort(([a, sa], [b, sb]) => sb - sa || rank(a) - rank(b));
+
+  return {
+    expression: best ? best[0] : "normal",
+    score: best ? best[1] : 0,
+    scores,
+    matches,
+    suppressed,
+  };
+}
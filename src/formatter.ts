@@ -3,90 +3,86 @@
  * 読み上げ用のメッセージに変換する
  */
 
-import { getReadings, shouldSpeakTool, shouldSpeakEvent } from "./config.js";
+import { getProjectMessage, getSpeechConfig, getToolOutputConfig, shouldSpeakTool, shouldSpeakEvent } from "./config.js";
 import { notifyExpression } from "./lipsync-notifier.js";
+import { getCharacter, MessageKey } from "./character.js";
+import {
+  getMessage,
+  getFixedMessageTexts,
+  formatDuration,
+  joinSentences,
+  renderMessage,
+  MessageVars,
+} from "./messages.js";
+import { detectExpression, ExpressionContext } from "./expression-rules.js";
+import { normalizeForSpeech } from "./normalizer.js";
+import { convertReadings } from "./readings.js";
+import { pronounceText } from "./pronunciation.js";
+import { summarizeMessage } from "./summarizer/index.js";
+import { HookData, HookEventName, HookPayload, NotificationPayload, toHookPayload } from "./hook-events.js";
+import { recordWork, startSession, takeTurnRecap, endSession, buildRecap, WorkAction } from "./work-history.js";
+import { parseToolOutput, ToolOutcome } from "./tool-output/index.js";
 import {
-  Expression,
   EXPRESSION_DURATION_MS,
   SHORT_MESSAGE_THRESHOLD,
   TRUNCATE_PATTERN_LENGTH,
   TRUNCATE_QUERY_LENGTH,
-  MESSAGES,
 } from "./constants.js";
 
-// 表情検出のキーワード設定
-const EXPRESSION_KEYWORDS: Record<Expression, string[]> = {
-  shock: [
-    "error", "failed", "exception", "crash", "fatal",
-    "エラー", "失敗", "問題", "だめ", "無理", "壊れ",
-  ],
-  smile: [
-    "完了", "成功", "done", "success", "passed", "ok",
-    "できた", "やった", "よし", "いいね", "ばっちり",
-  ],
-  eye_sparkle: [
-    "見つけ", "found", "発見", "ある", "いた",
-    "なるほど", "わかった", "理解", "ひらめ",
-  ],
-  surprise: [
-    "おお", "すごい", "wow", "amazing", "！",
-    "えっ", "まじ", "本当", "びっくり",
-  ],
-  normal: [],
-};
+export type { HookData } from "./hook-events.js";
 
-// 表情検出の優先順位
-const EXPRESSION_PRIORITY: Expression[] = ["shock", "smile", "eye_sparkle", "surprise"];
-
-// セッション中の作業履歴
-let workHistory: string[] = [];
-
-// Hook データの型定義
-interface HookData {
-  hook_event_name?: string;
-  tool_name?: string;
-  tool_input?: {
-    file_path?: string;
-    command?: string;
-    content?: string;
-    pattern?: string;
-    query?: string;
-  };
-  tool_output?: string;
-  session_id?: string;
-  cwd?: string;
-  message?: string;
+export interface FormattedSpeech {
+  // 読み上げるテキスト（読み替え・カタカナ化の後）
+  text: string;
+  // 読み替える前のテキスト（アシスタントのメッセージは整える・要約する前の元の文）
+  original: string;
+  // 変えた表情（今のパックに無い表情なら null）
+  expression: string | null;
+  // ツールの失敗を伝える発話（ツールの出力を読んで失敗と分かったときも。発話の種類は Error になる）
+  failed?: boolean;
 }
 
 /**
- * メッセージ内容から表情を判定
+ * プロジェクト名の前置き（例: "foo で、"）
  */
-function detectExpression(message: string, toolName?: string): Expression {
-  const lowerMsg = message.toLowerCase();
-
-  // 特定ツールの場合は eye_sparkle
-  if (toolName === "Glob" || toolName === "Grep") {
-    return "eye_sparkle";
-  }
+function getProjectPrefix(data: HookData): string {
+  return data.project ? getMessage("PROJECT_PREFIX", { project: data.project }) : "";
+}
 
-  // キーワードマッチング（優先順位順）
-  for (const expression of EXPRESSION_PRIORITY) {
-    const keywords = EXPRESSION_KEYWORDS[expression];
-    if (keywords.some((kw) => lowerMsg.includes(kw.toLowerCase()))) {
-      return expression;
-    }
-  }
+/**
+ * 読み上げるテキストとツール・イベントから表情を選んで変える（今のパックに無い表情は出さない）
+ */
+function showExpressionFor(message: string, context: ExpressionContext): string | null {
+  const { expression } = detectExpression(message, context);
+  if (!getCharacter().expressions[expression]) return null;
+  notifyExpression(expression, EXPRESSION_DURATION_MS);
+  return expression;
+}
 
-  return "normal";
+/**
+ * 読み替え辞書をかけ、残った英語の識別子・単語をカタカナにする
+ */
+function toSpeechText(message: string, project?: string): string {
+  return pronounceText(convertReadings(message, project));
 }
 
 /**
- * メッセージを処理して表情通知 + 読み上げテキストを返す
+ * メッセージを処理して表情通知 + 読み上げテキストを返す（読み替えにはプロジェクトの辞書も使う）
+ * original は履歴に残す元の文（省略すると message）
  */
-function processMessage(message: string, toolName?: string): string {
-  const expression = detectExpression(message, toolName);
-  notifyExpression(expression, EXPRESSION_DURATION_MS);
-  return convertReadings(message);
+function processMessage(
+  message: string,
+  context: ExpressionContext,
+  project?: string,
+  original = message
+): FormattedSpeech {
+  const expression = showExpressionFor(message, context);
+  return {
+    text: toSpeechText(message, project),
+    original,
+    expression,
+    ...(context.event === "Error" && { failed: true }),
+  };
 }
 
 /**
@@ -106,124 +102,353 @@ function truncate(str: string, maxLength: number): string {
 }
 
 /**
- * 拡張子や専門用語を読みやすい形に変換
+ * hooks データの値（{project} {file} {command}）を入れてメッセージを取得
  */
-function convertReadings(text: string): string {
-  const readings = getReadings();
-  let result = text;
-  for (const [key, reading] of Object.entries(readings)) {
-    const regex = new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
-    result = result.replace(regex, reading);
-  }
-  return result;
+function getEventMessage(key: MessageKey, data: HookData, vars: MessageVars = {}): string {
+  return getMessage(key, {
+    project: data.project,
+    file: getFileName(data.tool_input?.file_path) ?? undefined,
+    command: data.tool_input?.command,
+    ...vars,
+  });
 }
 
 // Bashコマンドのパターンと対応するメッセージ
-const BASH_PATTERNS: Array<{ patterns: string[]; speak: string; history: string | null }> = [
-  { patterns: ["npm install", "yarn add", "pnpm add"], speak: "パッケージをインストールするのだ", history: "パッケージをインストール" },
-  { patterns: ["npm run build", "yarn build", "pnpm build"], speak: "ビルドするのだ", history: "ビルドを実行" },
-  { patterns: ["npm test", "yarn test", "pnpm test"], speak: "テストを実行するのだ", history: "テストを実行" },
-  { patterns: ["npm run", "yarn ", "pnpm "], speak: "スクリプトを実行するのだ", history: null },
-  { patterns: ["git commit"], speak: "コミットするのだ", history: "コミットを作成" },
-  { patterns: ["git push"], speak: "プッシュするのだ", history: "プッシュを実行" },
-  { patterns: ["git pull"], speak: "プルするのだ", history: "プルを実行" },
-  { patterns: ["git "], speak: "Gitコマンドを実行するのだ", history: null },
-  { patterns: ["mkdir"], speak: "フォルダを作成するのだ", history: null },
-  { patterns: ["rm "], speak: "ファイルを削除するのだ", history: null },
-  { patterns: ["cp ", "mv "], speak: "ファイルを移動するのだ", history: null },
+const BASH_PATTERNS: Array<{ patterns: string[]; speak: MessageKey; history: WorkAction | null }> = [
+  { patterns: ["npm install", "yarn add", "pnpm add"], speak: "BASH_INSTALL", history: "install" },
+  { patterns: ["npm run build", "yarn build", "pnpm build"], speak: "BASH_BUILD", history: "build" },
+  { patterns: ["npm test", "yarn test", "pnpm test"], speak: "BASH_TEST", history: "test" },
+  { patterns: ["npm run", "yarn ", "pnpm "], speak: "BASH_SCRIPT", history: null },
+  { patterns: ["git commit"], speak: "BASH_COMMIT", history: "commit" },
+  { patterns: ["git push"], speak: "BASH_PUSH", history: "push" },
+  { patterns: ["git pull"], speak: "BASH_PULL", history: "pull" },
+  { patterns: ["git "], speak: "BASH_GIT", history: null },
+  { patterns: ["mkdir"], speak: "BASH_MKDIR", history: null },
+  { patterns: ["rm "], speak: "BASH_REMOVE", history: null },
+  { patterns: ["cp ", "mv "], speak: "BASH_MOVE", history: null },
 ];
 
+// ビルド・テストらしいコマンド（エラーの言い分けと失敗の記録に使う）
+const BUILD_COMMAND = /\b(build|compile|tsc|webpack|vite|esbuild)\b/i;
+const TEST_COMMAND = /\b(test|jest|vitest|mocha|pytest|rspec)\b/i;
+
 /**
- * Bashコマンドからメッセージを取得
+ * Bashコマンドのパターンを探す
  */
-function getBashMessage(cmd: string | undefined, forHistory: boolean): string | null {
+function findBashPattern(cmd: string | undefined): (typeof BASH_PATTERNS)[number] | null {
   if (!cmd) return null;
-  for (const { patterns, speak, history } of BASH_PATTERNS) {
-    if (patterns.some((p) => cmd.includes(p))) {
-      return forHistory ? history : speak;
-    }
-  }
-  return null;
+  return BASH_PATTERNS.find(({ patterns }) => patterns.some((p) => cmd.includes(p))) ?? null;
+}
+
+/**
+ * Bashコマンドからメッセージを取得
+ */
+function getBashMessage(data: HookData): string | null {
+  const pattern = findBashPattern(data.tool_input?.command);
+  return pattern ? getEventMessage(pattern.speak, data) : null;
+}
+
+/**
+ * 失敗したBashコマンドの作業の種類
+ */
+function getFailedBashAction(cmd: string): WorkAction {
+  const history = findBashPattern(cmd)?.history;
+  if (history) return history;
+  if (BUILD_COMMAND.test(cmd)) return "build";
+  if (TEST_COMMAND.test(cmd)) return "test";
+  return "command";
 }
 
-// ツールごとのメッセージテンプレート
+// ツールごとのメッセージ
 const TOOL_MESSAGES: Record<string, (data: HookData) => string | null> = {
-  Write: (data) => {
-    const fileName = getFileName(data.tool_input?.file_path);
-    return fileName ? `${fileName}を作成したのだ` : null;
-  },
-  Edit: (data) => {
-    const fileName = getFileName(data.tool_input?.file_path);
-    return fileName ? `${fileName}を編集したのだ` : null;
-  },
-  Read: (data) => {
-    const fileName = getFileName(data.tool_input?.file_path);
-    return fileName ? `${fileName}を読むのだ` : null;
-  },
-  Bash: (data) => getBashMessage(data.tool_input?.command, false),
-  Glob: () => "ファイルを探すのだ",
+  Write: (data) => (data.tool_input?.file_path ? getEventMessage("TOOL_WRITE", data) : null),
+  Edit: (data) => (data.tool_input?.file_path ? getEventMessage("TOOL_EDIT", data) : null),
+  Read: (data) => (data.tool_input?.file_path ? getEventMessage("TOOL_READ", data) : null),
+  Bash: (data) => getBashMessage(data),
+  Glob: (data) => getEventMessage("TOOL_GLOB", data),
   Grep: (data) => {
     const pattern = data.tool_input?.pattern;
-    return pattern ? `「${truncate(pattern, TRUNCATE_PATTERN_LENGTH)}」を検索するのだ` : "検索するのだ";
+    return pattern
+      ? getEventMessage("TOOL_GREP", data, { pattern: truncate(pattern, TRUNCATE_PATTERN_LENGTH) })
+      : getEventMessage("TOOL_GREP_ANY", data);
   },
   WebSearch: (data) => {
     const query = data.tool_input?.query;
-    return query ? `「${truncate(query, TRUNCATE_QUERY_LENGTH)}」を検索するのだ` : "ウェブ検索するのだ";
+    return query
+      ? getEventMessage("TOOL_WEB_SEARCH", data, { query: truncate(query, TRUNCATE_QUERY_LENGTH) })
+      : getEventMessage("TOOL_WEB_SEARCH_ANY", data);
   },
-  WebFetch: () => "ウェブページを取得するのだ",
-  Task: () => "サブタスクを実行するのだ",
+  WebFetch: (data) => getEventMessage("TOOL_WEB_FETCH", data),
+  Task: (data) => getEventMessage("TOOL_TASK", data),
+};
+
+// 実行する前に言うメッセージ（ここに無いツールは TOOL_MESSAGES を使う）
+const PRE_TOOL_MESSAGES: Record<string, (data: HookData) => string | null> = {
+  Write: (data) => (data.tool_input?.file_path ? getEventMessage("PRE_TOOL_WRITE", data) : null),
+  Edit: (data) => (data.tool_input?.file_path ? getEventMessage("PRE_TOOL_EDIT", data) : null),
 };
 
+/**
+ * Bashコマンドのエラーメッセージを取得（終了コードが分かれば {code} に入れる）
+ */
+function getBashErrorMessage(data: HookData, exitCode?: number): string {
+  const cmd = data.tool_input?.command ?? "";
+  if (BUILD_COMMAND.test(cmd)) {
+    return getEventMessage("ERROR_BUILD", data);
+  }
+  if (TEST_COMMAND.test(cmd)) {
+    return getEventMessage("ERROR_TEST", data);
+  }
+  return getEventMessage("ERROR_BASH", data, { code: exitCode });
+}
+
+/**
+ * ツールの出力から読んだ結果のメッセージ（「テストが42個通ったのだ」など）
+ */
+function getOutcomeMessage(outcome: ToolOutcome, data: HookData): string {
+  switch (outcome.kind) {
+    case "tests": {
+      const { passed = 0, failed = 0, skipped = 0 } = outcome;
+      if (!outcome.ok) {
+        // 数が読めない失敗（ビルドが通らなかったなど）は件数を言わない
+        if (failed === 0) return getEventMessage("ERROR_TEST", data);
+        return joinSentences([
+          getEventMessage("TESTS_FAILED", data, { count: failed }),
+          passed > 0 ? getEventMessage("TESTS_ALSO_PASSED", data, { count: passed }) : "",
+        ]);
+      }
+      return joinSentences([
+        passed > 0
+          ? getEventMessage("TESTS_PASSED", data, { count: passed })
+          : getEventMessage("TESTS_PASSED_ANY", data),
+        skipped > 0 ? getEventMessage("TESTS_SKIPPED", data, { count: skipped }) : "",
+      ]);
+    }
+    case "typecheck":
+      if (outcome.ok) return getEventMessage("TYPECHECK_PASSED", data);
+      return outcome.errors
+        ? getEventMessage("TYPECHECK_FAILED", data, { count: outcome.errors })
+        : getEventMessage("ERROR_BUILD", data);
+    case "commit":
+      if (outcome.files === 0) return getEventMessage("GIT_NOTHING_TO_COMMIT", data);
+      if (!outcome.ok) return getEventMessage("GIT_COMMIT_FAILED", data);
+      return joinSentences([
+        getEventMessage("GIT_COMMITTED", data),
+        outcome.files !== undefined
+          ? getEventMessage("GIT_COMMIT_STAT", data, {
+              count: outcome.files,
+              insertions: outcome.insertions,
+              deletions: outcome.deletions,
+            })
+          : "",
+      ]);
+    case "push":
+      if (outcome.rejected) return getEventMessage("GIT_PUSH_REJECTED", data);
+      if (!outcome.ok) return getEventMessage("GIT_PUSH_FAILED", data);
+      if (outcome.upToDate) return getEventMessage("GIT_PUSH_UP_TO_DATE", data);
+      return outcome.branch
+        ? getEventMessage("GIT_PUSHED", data, { branch: outcome.branch })
+        : getEventMessage("GIT_PUSHED_ANY", data);
+    case "exit":
+      return getBashErrorMessage(data, outcome.exitCode);
+  }
+}
+
+/**
+ * ツールの出力から読んだ結果の作業の種類（コミットする変更が無かった場合は記録しない）
+ */
+function getOutcomeAction(outcome: ToolOutcome, command: string): WorkAction | null {
+  switch (outcome.kind) {
+    case "tests":
+      return "test";
+    case "typecheck":
+      return "build";
+    case "commit":
+      return outcome.files === 0 ? null : "commit";
+    case "push":
+      return "push";
+    case "exit":
+      return getFailedBashAction(command);
+  }
+}
+
 /**
  * ツール実行の作業内容を記録用に生成
  */
-function getWorkDescription(toolName: string, data: HookData): string | null {
-  const fileName = getFileName(data.tool_input?.file_path);
-
-  const descriptions: Record<string, () => string | null> = {
-    Write: () => fileName ? `${fileName}を作成` : null,
-    Edit: () => fileName ? `${fileName}を編集` : null,
-    Read: () => fileName ? `${fileName}を読み込み` : null,
-    Bash: () => getBashMessage(data.tool_input?.command, true),
-    Glob: () => "ファイルを検索",
-    Grep: () => "ファイルを検索",
-    WebSearch: () => "ウェブを検索",
-    WebFetch: () => "ウェブを検索",
-    Task: () => "サブタスクを実行",
+function getWorkEntry(toolName: string, data: HookData): { action: WorkAction; target?: string } | null {
+  const fileName = getFileName(data.tool_input?.file_path) ?? undefined;
+
+  const entries: Record<string, () => { action: WorkAction; target?: string } | null> = {
+    Write: () => fileName ? { action: "create", target: fileName } : null,
+    Edit: () => fileName ? { action: "edit", target: fileName } : null,
+    Read: () => fileName ? { action: "read", target: fileName } : null,
+    Bash: () => {
+      const history = findBashPattern(data.tool_input?.command)?.history;
+      return history ? { action: history } : null;
+    },
+    Glob: () => ({ action: "search" }),
+    Grep: () => ({ action: "search" }),
+    WebSearch: () => ({ action: "web" }),
+    WebFetch: () => ({ action: "web" }),
+    Task: () => ({ action: "task" }),
   };
 
-  return descriptions[toolName]?.() ?? null;
+  return entries[toolName]?.() ?? null;
 }
 
 /**
- * hooks データからメッセージを生成
+ * まとめ読みに使うツールの作業（失敗したツールは null）
  */
-export async function formatClaudeMessage(data: HookData): Promise<string | null> {
-  // AssistantMessage の処理
-  if (data.hook_event_name === "AssistantMessage" && data.message) {
+export function workEntryOf(data: HookData): { action: WorkAction; target?: string } | null {
+  if (!data.tool_name || data.tool_error) return null;
+  return getWorkEntry(data.tool_name, data);
+}
+
+/**
+ * 続けて来たツールの作業を「5つのファイルを編集したのだ。」のような1つの発話にする
+ */
+export function formatWorkBurst(
+  entries: Array<{ action: WorkAction; target?: string }>,
+  project?: string
+): FormattedSpeech | null {
+  const at = Date.now();
+  const message = buildRecap(entries.map((entry) => ({ ...entry, at })));
+  return message ? { text: toSpeechText(message, project), original: message, expression: null } : null;
+}
+
+/**
+ * 変数を含まない固定の読み上げテキスト一覧（キャッシュの事前合成用）
+ */
+export function getFixedMessages(): string[] {
+  return getFixedMessageTexts().map((message) => toSpeechText(message));
+}
+
+type EventHandler<K extends HookEventName> = (
+  payload: Extract<HookPayload, { hook_event_name: K }>
+) => FormattedSpeech | null | Promise<FormattedSpeech | null>;
+
+/**
+ * speakEvents.events で選ばれたイベントなら表情を変えて読み上げテキストを返す
+ */
+function speakEvent(payload: HookPayload, message: string, context: ExpressionContext = {}): FormattedSpeech | null {
+  const event = payload.hook_event_name;
+  if (!shouldSpeakEvent(event)) {
+    console.log(`Skipping ${event} (filtered)`);
+    return null;
+  }
+  return processMessage(message, { event, ...context }, payload.project);
+}
+
+/**
+ * Notification の内容を言い換える（英語のメッセージをそのままは読まない）
+ */
+function getNotificationMessage(payload: NotificationPayload): string {
+  const text = `${payload.notification_type ?? ""} ${payload.message ?? ""}`;
+  if (/idle|waiting for your input/i.test(text)) return getEventMessage("WAITING_FOR_INPUT", payload);
+  if (/permission/i.test(text)) return getEventMessage("PERMISSION_REQUEST", payload);
+  return getEventMessage("NOTIFICATION", payload);
+}
+
+// イベントごとの既定の反応（喋るかどうかは speakEvents.events、PostToolUse は speakEvents.tools で選ぶ）
+const EVENT_HANDLERS: { [K in HookEventName]: EventHandler<K> } = {
+  AssistantMessage: async (payload) => {
     if (!shouldSpeakEvent("AssistantMessage")) {
       console.log("Skipping AssistantMessage (filtered)");
       return null;
     }
 
-    // 短いメッセージはそのまま読む
-    if (data.message.length < SHORT_MESSAGE_THRESHOLD) {
-      console.log(`Short message (${data.message.length} chars), reading as-is`);
-      return processMessage(data.message);
+    // コードブロックや Markdown の記号を読まないように整える
+    const message = normalizeForSpeech(payload.message);
+    if (!message) return null;
+
+    // 短いメッセージと、長いメッセージを読む設定のときはそのまま読む（長いものは区切って合成される）
+    const { longMessages } = getSpeechConfig();
+    if (message.length < SHORT_MESSAGE_THRESHOLD || longMessages === "read") {
+      console.log(`Message (${message.length} chars), reading as-is`);
+      return processMessage(message, { event: "AssistantMessage" }, payload.project, payload.message);
     }
 
-    // 長いメッセージは固定メッセージ（LLMは遅いので使わない）
-    console.log(`Long message (${data.message.length} chars), using fixed message`);
-    notifyExpression("smile", EXPRESSION_DURATION_MS);
-    return convertReadings(MESSAGES.LONG_MESSAGE_FALLBACK);
-  }
+    // 長いメッセージの要約（LLM は summarizer.deadlineMs までしか待たない）
+    if (longMessages === "summarize") {
+      const summary = await summarizeMessage(payload.message);
+      console.log(
+        `Long message (${message.length} chars), summarized by ${summary.summarizer} in ${summary.elapsedMs}ms`
+      );
+      if (summary.text) {
+        return processMessage(
+          getProjectPrefix(payload) + summary.text,
+          { event: "AssistantMessage" },
+          payload.project,
+          payload.message
+        );
+      }
+    }
+
+    // 要約しない設定、または要約できなかった場合は固定メッセージ
+    console.log(`Long message (${message.length} chars), using fixed message`);
+    return processMessage(
+      getProjectPrefix(payload) + getEventMessage("LONG_MESSAGE_FALLBACK", payload),
+      { event: "AssistantMessage" },
+      payload.project,
+      payload.message
+    );
+  },
+
+  // 許可リクエストは聞き逃さないように必ず喋る
+  PermissionRequest: (payload) =>
+    processMessage(
+      getProjectPrefix(payload) + getEventMessage("PERMISSION_REQUEST", payload),
+      { event: "PermissionRequest" },
+      payload.project
+    ),
+
+  PostToolUse: (payload) => {
+    const toolName = payload.tool_name;
+
+    // ツールの出力を読めたら結果を喋る（失敗はツールのフィルタに関係なく喋る）
+    const outcome = parseToolOutput(payload);
+    if (outcome) {
+      const command = payload.tool_input?.command ?? "";
+      const action = getOutcomeAction(outcome, command);
+      if (action) {
+        const failure = outcome.ok ? {} : { target: command, failed: true };
+        recordWork(payload.session_id, { action, ...failure }, payload.project);
+      }
+      if (!outcome.ok) {
+        return processMessage(
+          getProjectPrefix(payload) + getOutcomeMessage(outcome, payload),
+          { tool: toolName, event: "Error" },
+          payload.project
+        );
+      }
+      // 成功は toolOutput.announceSuccess なら speakEvents.tools に入っていなくても喋る
+      if (!getToolOutputConfig().announceSuccess && !shouldSpeakTool(toolName)) {
+        console.log(`Skipping tool: ${toolName} (${outcome.parser}, filtered)`);
+        return null;
+      }
+      return processMessage(getOutcomeMessage(outcome, payload), { tool: toolName, event: "Success" }, payload.project);
+    }
+
+    // Bashコマンドのエラー検出（ツールのフィルタに関係なく喋る）
+    if (toolName === "Bash" && payload.tool_error) {
+      const command = payload.tool_input?.command ?? "";
+      recordWork(payload.session_id, { action: getFailedBashAction(command), target: command, failed: true }, payload.project);
+      return processMessage(
+        getProjectPrefix(payload) + getBashErrorMessage(payload),
+        { tool: "Bash", event: "Error" },
+        payload.project
+      );
+    }
+
+    // Bash 以外の失敗（セッションファイルから読んだ編集の失敗など）は作業に数えず、喋らない
+    if (payload.tool_error) {
+      console.log(`Skipping tool: ${toolName} (failed)`);
+      return null;
+    }
 
-  // ツールベースのメッセージ
-  const toolName = data.tool_name;
-  if (toolName) {
     // 作業履歴に追加
-    const workDesc = getWorkDescription(toolName, data);
-    if (workDesc) workHistory.push(workDesc);
+    const entry = getWorkEntry(toolName, payload);
+    if (entry) recordWork(payload.session_id, entry, payload.project);
 
     // フィルタリング
     if (!shouldSpeakTool(toolName)) {
@@ -232,22 +457,80 @@ export async function formatClaudeMessage(data: HookData): Promise<string | null
     }
 
     // 固定メッセージを使用
-    const msg = TOOL_MESSAGES[toolName]?.(data);
-    if (msg) return processMessage(msg, toolName);
-  }
+    const msg = TOOL_MESSAGES[toolName]?.(payload);
+    return msg ? processMessage(msg, { tool: toolName, event: "PostToolUse" }, payload.project) : null;
+  },
+
+  // 実行する前に言う（PostToolUse と両方喋らないよう既定では喋らない）
+  PreToolUse: (payload) => {
+    const toolName = payload.tool_name;
+    if (!shouldSpeakTool(toolName)) return null;
+    const msg = (PRE_TOOL_MESSAGES[toolName] ?? TOOL_MESSAGES[toolName])?.(payload);
+    return msg ? speakEvent(payload, msg, { tool: toolName }) : null;
+  },
 
   // イベントベースのメッセージ（LLM呼び出しを避けて固定メッセージ）
-  if (data.hook_event_name === "SessionStart") {
-    workHistory = [];
-    notifyExpression("smile", EXPRESSION_DURATION_MS);
-    return convertReadings(MESSAGES.SESSION_START);
-  }
+  SessionStart: (payload) => {
+    // 圧縮の後の再開はあいさつしない（PreCompact で喋っている）
+    if (payload.source === "compact") return null;
+    if (payload.source === "resume") {
+      return speakEvent(payload, getProjectPrefix(payload) + getEventMessage("SESSION_RESUME", payload));
+    }
+    startSession(payload.session_id, payload.project);
+    const customMsg = getProjectMessage(payload.project, "SessionStart");
+    return speakEvent(
+      payload,
+      customMsg
+        ? renderMessage(customMsg, { project: payload.project })
+        : getProjectPrefix(payload) + getEventMessage("SESSION_START", payload)
+    );
+  },
+
+  // セッション全体を振り返ってからあいさつする
+  SessionEnd: (payload) => {
+    const ended = endSession(payload.session_id);
+    // 1分に満たないセッションは長さを言わない
+    const duration = ended && ended.durationMs >= 60_000 ? formatDuration(ended.durationMs) : undefined;
+    const vars = { project: payload.project, duration };
+    const customMsg = getProjectMessage(payload.project, "SessionEnd");
+    const farewell = customMsg ? renderMessage(customMsg, vars) : getEventMessage("SESSION_END", payload, vars);
+    if (ended?.recap) return speakEvent(payload, getProjectPrefix(payload) + joinSentences([ended.recap, farewell]));
+    return speakEvent(payload, customMsg ? farewell : getProjectPrefix(payload) + farewell);
+  },
 
-  if (data.hook_event_name === "SessionEnd") {
-    notifyExpression("smile", EXPRESSION_DURATION_MS);
-    workHistory = [];
-    return convertReadings(MESSAGES.SESSION_END);
+  // ターンの終わりに、そのターンの作業を振り返る（作業が無ければ喋らない）
+  Stop: (payload) => {
+    const recap = takeTurnRecap(payload.session_id);
+    return recap ? speakEvent(payload, getProjectPrefix(payload) + recap) : null;
+  },
+
+  SubagentStop: (payload) => speakEvent(payload, getEventMessage("SUBAGENT_STOP", payload)),
+
+  UserPromptSubmit: (payload) => speakEvent(payload, getEventMessage("PROMPT_RECEIVED", payload)),
+
+  Notification: (payload) => speakEvent(payload, getProjectPrefix(payload) + getNotificationMessage(payload)),
+
+  PreCompact: (payload) => speakEvent(payload, getEventMessage("PRE_COMPACT", payload)),
+};
+
+/**
+ * hooks データから読み上げるテキストと、読み替える前のテキスト・表情を生成
+ */
+export async function formatClaudeEvent(data: HookData): Promise<FormattedSpeech | null> {
+  const payload = toHookPayload(data);
+  if (!payload) {
+    console.log(`Skipping unknown hook event: ${data.hook_event_name}`);
+    return null;
   }
+  const handler = EVENT_HANDLERS[payload.hook_event_name] as (
+    payload: HookPayload
+  ) => Promise<FormattedSpeech | null> | FormattedSpeech | null;
+  return handler(payload);
+}
 
-  return null;
+/**
+ * hooks データからメッセージを生成
+ */
+export async function formatClaudeMessage(data: HookData): Promise<string | null> {
+  return (await formatClaudeEvent(data))?.text ?? null;
 }
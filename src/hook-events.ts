@@ -0,0 +1,231 @@
+/**
+ * Claude Code hooks のイベントと、それぞれが stdin で渡してくる JSON の型
+ * AssistantMessage はセッションファイルの監視から送る独自のイベント
+ */
+
+export const HOOK_EVENT_NAMES = [
+  "SessionStart",
+  "SessionEnd",
+  "UserPromptSubmit",
+  "PreToolUse",
+  "PostToolUse",
+  "PermissionRequest",
+  "Notification",
+  "Stop",
+  "SubagentStop",
+  "PreCompact",
+  "AssistantMessage",
+] as const;
+
+export type HookEventName = (typeof HOOK_EVENT_NAMES)[number];
+
+export interface ToolInput {
+  file_path?: string;
+  command?: string;
+  content?: string;
+  pattern?: string;
+  query?: string;
+  description?: string;
+  url?: string;
+}
+
+// 全イベント共通（project はサンプルの hooks が付け足すプロジェクト名）
+interface HookBase {
+  session_id?: string;
+  transcript_path?: string;
+  cwd?: string;
+  permission_mode?: string;
+  project?: string;
+}
+
+export interface SessionStartPayload extends HookBase {
+  hook_event_name: "SessionStart";
+  source?: "startup" | "resume" | "clear" | "compact";
+}
+
+export interface SessionEndPayload extends HookBase {
+  hook_event_name: "SessionEnd";
+  reason?: "clear" | "logout" | "prompt_input_exit" | "other";
+}
+
+export interface UserPromptSubmitPayload extends HookBase {
+  hook_event_name: "UserPromptSubmit";
+  prompt?: string;
+}
+
+export interface PreToolUsePayload extends HookBase {
+  hook_event_name: "PreToolUse";
+  tool_name: string;
+  tool_input?: ToolInput;
+  tool_use_id?: string;
+}
+
+export interface PostToolUsePayload extends HookBase {
+  hook_event_name: "PostToolUse";
+  tool_name: string;
+  tool_input?: ToolInput;
+  tool_use_id?: string;
+  // ツールの結果（Bash なら stdout / stderr など、ツールごとに形が違う）
+  tool_response?: unknown;
+  // 古い送り方（tool_response の代わり）
+  tool_output?: string;
+  tool_error?: unknown;
+}
+
+export interface PermissionRequestPayload extends HookBase {
+  hook_event_name: "PermissionRequest";
+  tool_name?: string;
+  tool_input?: ToolInput;
+}
+
+export interface NotificationPayload extends HookBase {
+  hook_event_name: "Notification";
+  // "Claude is waiting for your input" など
+  message?: string;
+  title?: string;
+  notification_type?: string;
+}
+
+export interface StopPayload extends HookBase {
+  hook_event_name: "Stop";
+  // Stop の hook から続けさせている最中か
+  stop_hook_active?: boolean;
+}
+
+export interface SubagentStopPayload extends HookBase {
+  hook_event_name: "SubagentStop";
+  stop_hook_active?: boolean;
+}
+
+export interface PreCompactPayload extends HookBase {
+  hook_event_name: "PreCompact";
+  trigger?: "manual" | "auto";
+  custom_instructions?: string;
+}
+
+export interface AssistantMessagePayload extends HookBase {
+  hook_event_name: "AssistantMessage";
+  message: string;
+}
+
+export type HookPayload =
+  | SessionStartPayload
+  | SessionEndPayload
+  | UserPromptSubmitPayload
+  | PreToolUsePayload
+  | PostToolUsePayload
+  | PermissionRequestPayload
+  | NotificationPayload
+  | StopPayload
+  | SubagentStopPayload
+  | PreCompactPayload
+  | AssistantMessagePayload;
+
+/**
+ * 受け取った JSON（型はまだ分からない）
+ * hook_event_name の無い古い送り方（tool_name だけ、tool_output / tool_error 付き）も受け付ける
+ */
+export interface HookData {
+  hook_event_name?: string;
+  session_id?: string;
+  // セッションファイルの行の uuid（監視から来たイベントの突き合わせに使う）
+  uuid?: string;
+  transcript_path?: string;
+  cwd?: string;
+  permission_mode?: string;
+  project?: string;
+  tool_name?: string;
+  tool_input?: ToolInput;
+  tool_use_id?: string;
+  tool_response?: unknown;
+  tool_output?: string;
+  tool_error?: unknown;
+  message?: string;
+  title?: string;
+  notification_type?: string;
+  prompt?: string;
+  source?: string;
+  reason?: string;
+  trigger?: string;
+  custom_instructions?: string;
+  stop_hook_active?: boolean;
+}
+
+// HookData の項目の型（読む項目だけ。それ以外の項目はそのまま通す）
+const STRING_FIELDS = [
+  "hook_event_name",
+  "session_id",
+  "uuid",
+  "transcript_path",
+  "cwd",
+  "permission_mode",
+  "project",
+  "tool_name",
+  "tool_use_id",
+  "tool_output",
+  "message",
+  "title",
+  "notification_type",
+  "prompt",
+  "source",
+  "reason",
+  "trigger",
+  "custom_instructions",
+] as const;
+const TOOL_INPUT_FIELDS: Array<keyof ToolInput> = [
+  "file_path",
+  "command",
+  "content",
+  "pattern",
+  "query",
+  "description",
+  "url",
+];
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 受け取った JSON が HookData の形か調べる（間違っている項目の説明を返す。空なら正しい）
+ */
+export function validateHookData(data: unknown): string[] {
+  if (!isObject(data)) return ["body must be a JSON object"];
+  const errors: string[] = [];
+  for (const field of STRING_FIELDS) {
+    if (data[field] !== undefined && typeof data[field] !== "string") errors.push(`${field} must be a string`);
+  }
+  if (data.stop_hook_active !== undefined && typeof data.stop_hook_active !== "boolean") {
+    errors.push("stop_hook_active must be a boolean");
+  }
+  const input = data.tool_input;
+  if (input !== undefined && input !== null) {
+    if (!isObject(input)) {
+      errors.push("tool_input must be an object");
+    } else {
+      for (const field of TOOL_INPUT_FIELDS) {
+        if (input[field] !== undefined && typeof input[field] !== "string") {
+          errors.push(`tool_input.${field} must be a string`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+export function isHookEventName(name: unknown): name is HookEventName {
+  return typeof name === "string" && (HOOK_EVENT_NAMES as readonly string[]).includes(name);
+}
+
+/**
+ * 受け取った JSON をイベントの型に当てはめる（形が違えば null）
+ * hook_event_name が無くて tool_name があれば PostToolUse とみなす
+ */
+export function toHookPayload(data: HookData): HookPayload | null {
+  if (validateHookData(data).length > 0) return null;
+  const event = data.hook_event_name ?? (data.tool_name ? "PostToolUse" : undefined);
+  if (!isHookEventName(event)) return null;
+  if ((event === "PreToolUse" || event === "PostToolUse") && !data.tool_name) return null;
+  if (event === "AssistantMessage" && !data.message) return null;
+  return { ...data, hook_event_name: event } as HookPayload;
+}
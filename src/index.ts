@@ -0,0 +1,71 @@
+/**
+ * ずんだもんアバターのコアライブラリ
+ * src/server.ts と electron/main.cjs の両方がここを読み込む
+ */
+
+export { createAvatarServer } from "./app.js";
+export type { AvatarServer } from "./app.js";
+export {
+  setConfigPath,
+  setUserConfigPath,
+  loadConfig,
+  reloadConfig,
+  watchConfig,
+  unwatchConfig,
+  onConfigChange,
+  getConfigSnapshot,
+  patchConfig,
+  ConfigValidationError,
+} from "./config.js";
+export type { ZundamonConfig, VoiceProfile, ReadingDictionary, ReadingRule } from "./config.js";
+export { resolveVoice } from "./voice-profiles.js";
+export type { ResolvedVoice } from "./voice-profiles.js";
+export {
+  setCharacterDirs,
+  listCharacters,
+  getCharacter,
+  switchCharacter,
+  CharacterPackError,
+} from "./character.js";
+export type { CharacterManifest, CharacterPack } from "./character.js";
+export { detectExpression } from "./expression-rules.js";
+export type { ExpressionContext, ExpressionDetection } from "./expression-rules.js";
+export { convertReadings, getReadingLayers, setUserReadings } from "./readings.js";
+export type { ReadingLayer } from "./readings.js";
+export { pronounceText, pronounceIdentifier } from "./pronunciation.js";
+export { summarizeMessage } from "./summarizer/index.js";
+export type { Summary, Summarizer } from "./summarizer/index.js";
+export { buildRecap, summarizeSession } from "./work-history.js";
+export type { WorkAction, WorkEntry, SessionSummary } from "./work-history.js";
+export { getMessage, renderMessage, getActivePersona } from "./messages.js";
+export type { MessageVars } from "./messages.js";
+export { parseToolOutput, registerToolOutputParser, toToolResult } from "./tool-output/index.js";
+export type { ToolOutcome, ToolOutputParser, ToolResult } from "./tool-output/index.js";
+export { formatClaudeMessage } from "./formatter.js";
+export { publishEvent } from "./event-pipeline.js";
+export type { EventSource, PublishResult } from "./event-pipeline.js";
+export { getHistory, getHistoryEntry, toJsonl, toSrt } from "./speech-history.js";
+export type { HistoryEntry, HistoryFilter } from "./speech-history.js";
+export { toTranscriptEvents } from "./transcript-events.js";
+export type { TranscriptRecord } from "./transcript-events.js";
+export type { HookData } from "./formatter.js";
+export { HOOK_EVENT_NAMES, isHookEventName, toHookPayload, validateHookData } from "./hook-events.js";
+export type { HookEventName, HookPayload } from "./hook-events.js";
+export { speakWithVoicevox, stopCurrentPlayback, getSpeakers, prewarmFixedMessages } from "./voicevox.js";
+export { getCacheStats, purgeCache } from "./tts/index.js";
+export { submitSpeech, getPolicyState, setFocusMode, onPolicyChange } from "./speech-policy.js";
+export type { PolicyState, PolicyVerdict } from "./speech-policy.js";
+export { enqueueSpeech, getQueueState, skipCurrent, clearQueue, stopAll } from "./speech-queue.js";
+export type { SpeechRequest, QueuedSpeech, QueueState } from "./speech-queue.js";
+export { getAudioState, setVolume, setMuted, onAudioStateChange, registerAudioBackend } from "./audio/index.js";
+export type { AudioBackend, AudioState, PlaybackRequest } from "./audio/index.js";
+export { connectToVTS, isConnected as isVTSConnected } from "./vtube-studio.js";
+export {
+  startSessionWatcher,
+  stopSessionWatcher,
+  getSessionWatcherState,
+  setSessionWatcherPaused,
+  onSessionWatcherChange,
+} from "./session-watcher.js";
+export type { SessionWatcherState } from "./session-watcher.js";
+export { DEFAULT_SERVER_PORT } from "./constants.js";
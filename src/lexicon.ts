@@ -0,0 +1,486 @@
+/**
+ * 英単語 → カタカナの辞書（識別子を分けた後の単語を引く。小文字で登録する）
+ * 載っていない単語は pronunciation.ts の規則で読む
+ */
+
+export const ENGLISH_LEXICON: Record<string, string> = {
+  abort: "アボート",
+  about: "アバウト",
+  abstract: "アブストラクト",
+  access: "アクセス",
+  account: "アカウント",
+  action: "アクション",
+  active: "アクティブ",
+  adapter: "アダプター",
+  add: "アド",
+  admin: "アドミン",
+  after: "アフター",
+  agent: "エージェント",
+  alert: "アラート",
+  align: "アライン",
+  all: "オール",
+  analytics: "アナリティクス",
+  and: "アンド",
+  animation: "アニメーション",
+  any: "エニー",
+  app: "アプリ",
+  append: "アペンド",
+  apply: "アプライ",
+  archive: "アーカイブ",
+  args: "アーグス",
+  array: "アレイ",
+  as: "アズ",
+  assert: "アサート",
+  asset: "アセット",
+  assistant: "アシスタント",
+  async: "アシンク",
+  at: "アット",
+  attribute: "アトリビュート",
+  audio: "オーディオ",
+  auth: "オース",
+  author: "オーサー",
+  auto: "オート",
+  avatar: "アバター",
+  await: "アウェイト",
+  back: "バック",
+  backend: "バックエンド",
+  base: "ベース",
+  bash: "バッシュ",
+  batch: "バッチ",
+  before: "ビフォー",
+  binary: "バイナリ",
+  bind: "バインド",
+  blink: "ブリンク",
+  block: "ブロック",
+  body: "ボディ",
+  bool: "ブール",
+  boolean: "ブーリアン",
+  branch: "ブランチ",
+  break: "ブレイク",
+  bubble: "バブル",
+  buffer: "バッファ",
+  bug: "バグ",
+  build: "ビルド",
+  builder: "ビルダー",
+  bundle: "バンドル",
+  button: "ボタン",
+  by: "バイ",
+  byte: "バイト",
+  bytes: "バイツ",
+  cache: "キャッシュ",
+  call: "コール",
+  callback: "コールバック",
+  cancel: "キャンセル",
+  case: "ケース",
+  catch: "キャッチ",
+  change: "チェンジ",
+  channel: "チャンネル",
+  char: "チャー",
+  character: "キャラクター",
+  chart: "チャート",
+  chat: "チャット",
+  check: "チェック",
+  child: "チャイルド",
+  children: "チルドレン",
+  chunk: "チャンク",
+  class: "クラス",
+  claude: "クロード",
+  clean: "クリーン",
+  clear: "クリア",
+  click: "クリック",
+  client: "クライアント",
+  clone: "クローン",
+  close: "クローズ",
+  cmd: "コマンド",
+  code: "コード",
+  color: "カラー",
+  column: "カラム",
+  com: "コム",
+  command: "コマンド",
+  comment: "コメント",
+  commit: "コミット",
+  common: "コモン",
+  compile: "コンパイル",
+  component: "コンポーネント",
+  config: "コンフィグ",
+  connect: "コネクト",
+  connection: "コネクション",
+  console: "コンソール",
+  const: "コンスト",
+  constants: "コンスタンツ",
+  content: "コンテンツ",
+  context: "コンテキスト",
+  continue: "コンティニュー",
+  controller: "コントローラー",
+  convert: "コンバート",
+  copy: "コピー",
+  core: "コア",
+  count: "カウント",
+  create: "クリエイト",
+  current: "カレント",
+  cursor: "カーソル",
+  custom: "カスタム",
+  data: "データ",
+  database: "データベース",
+  date: "デート",
+  debounce: "デバウンス",
+  debug: "デバッグ",
+  default: "デフォルト",
+  delete: "デリート",
+  deploy: "デプロイ",
+  detect: "ディテクト",
+  dev: "デブ",
+  device: "デバイス",
+  dialog: "ダイアログ",
+  diff: "ディフ",
+  dir: "ディレクトリ",
+  directory: "ディレクトリ",
+  dispatch: "ディスパッチ",
+  dist: "ディスト",
+  do: "ドゥー",
+  doc: "ドック",
+  docker: "ドッカー",
+  docs: "ドックス",
+  document: "ドキュメント",
+  dom: "ドム",
+  done: "ダン",
+  download: "ダウンロード",
+  duration: "デュレーション",
+  edit: "エディット",
+  editor: "エディター",
+  effect: "エフェクト",
+  electron: "エレクトロン",
+  element: "エレメント",
+  emit: "エミット",
+  empty: "エンプティ",
+  enable: "イネーブル",
+  enabled: "イネーブルド",
+  end: "エンド",
+  engine: "エンジン",
+  entry: "エントリー",
+  enum: "イーナム",
+  env: "エンブ",
+  error: "エラー",
+  event: "イベント",
+  events: "イベンツ",
+  example: "エグザンプル",
+  exception: "エクセプション",
+  exec: "エグゼック",
+  exit: "エグジット",
+  export: "エクスポート",
+  express: "エクスプレス",
+  expression: "エクスプレッション",
+  extends: "エクステンズ",
+  fail: "フェイル",
+  false: "フォルス",
+  feature: "フィーチャー",
+  fetch: "フェッチ",
+  field: "フィールド",
+  file: "ファイル",
+  filter: "フィルター",
+  find: "ファインド",
+  fix: "フィックス",
+  flag: "フラグ",
+  focus: "フォーカス",
+  folder: "フォルダ",
+  font: "フォント",
+  for: "フォー",
+  form: "フォーム",
+  format: "フォーマット",
+  formatter: "フォーマッター",
+  frame: "フレーム",
+  from: "フロム",
+  front: "フロント",
+  function: "ファンクション",
+  get: "ゲット",
+  github: "ギットハブ",
+  global: "グローバル",
+  google: "グーグル",
+  graph: "グラフ",
+  grep: "グレップ",
+  group: "グループ",
+  guard: "ガード",
+  handle: "ハンドル",
+  handler: "ハンドラー",
+  hash: "ハッシュ",
+  header: "ヘッダー",
+  health: "ヘルス",
+  helper: "ヘルパー",
+  hidden: "ヒドゥン",
+  history: "ヒストリー",
+  home: "ホーム",
+  hook: "フック",
+  hooks: "フックス",
+  host: "ホスト",
+  icon: "アイコン",
+  id: "アイディー",
+  if: "イフ",
+  image: "イメージ",
+  import: "インポート",
+  in: "イン",
+  index: "インデックス",
+  info: "インフォ",
+  init: "イニット",
+  input: "インプット",
+  install: "インストール",
+  instance: "インスタンス",
+  interface: "インターフェース",
+  internal: "インターナル",
+  is: "イズ",
+  it: "イット",
+  item: "アイテム",
+  items: "アイテムズ",
+  job: "ジョブ",
+  key: "キー",
+  keys: "キーズ",
+  label: "ラベル",
+  layer: "レイヤー",
+  layout: "レイアウト",
+  length: "レングス",
+  level: "レベル",
+  lib: "リブ",
+  library: "ライブラリ",
+  line: "ライン",
+  link: "リンク",
+  lint: "リント",
+  linux: "リナックス",
+  lip: "リップ",
+  list: "リスト",
+  listener: "リスナー",
+  load: "ロード",
+  loader: "ローダー",
+  local: "ローカル",
+  lock: "ロック",
+  log: "ログ",
+  logger: "ロガー",
+  login: "ログイン",
+  main: "メイン",
+  manager: "マネージャー",
+  map: "マップ",
+  match: "マッチ",
+  max: "マックス",
+  menu: "メニュー",
+  merge: "マージ",
+  message: "メッセージ",
+  meta: "メタ",
+  method: "メソッド",
+  middleware: "ミドルウェア",
+  min: "ミン",
+  mock: "モック",
+  modal: "モーダル",
+  mode: "モード",
+  model: "モデル",
+  module: "モジュール",
+  mouth: "マウス",
+  my: "マイ",
+  name: "ネーム",
+  native: "ネイティブ",
+  network: "ネットワーク",
+  new: "ニュー",
+  next: "ネクスト",
+  no: "ノー",
+  node: "ノード",
+  not: "ノット",
+  notifier: "ノーティファイアー",
+  notify: "ノーティファイ",
+  null: "ヌル",
+  number: "ナンバー",
+  object: "オブジェクト",
+  of: "オブ",
+  off: "オフ",
+  ok: "オーケー",
+  on: "オン",
+  one: "ワン",
+  open: "オープン",
+  option: "オプション",
+  options: "オプションズ",
+  or: "オア",
+  order: "オーダー",
+  out: "アウト",
+  output: "アウトプット",
+  over: "オーバー",
+  package: "パッケージ",
+  page: "ページ",
+  param: "パラム",
+  params: "パラムズ",
+  parse: "パース",
+  parser: "パーサー",
+  patch: "パッチ",
+  path: "パス",
+  pattern: "パターン",
+  permission: "パーミッション",
+  pipeline: "パイプライン",
+  pkg: "パッケージ",
+  player: "プレイヤー",
+  plugin: "プラグイン",
+  point: "ポイント",
+  pool: "プール",
+  port: "ポート",
+  post: "ポスト",
+  pre: "プレ",
+  prefix: "プレフィックス",
+  preview: "プレビュー",
+  print: "プリント",
+  priority: "プライオリティ",
+  private: "プライベート",
+  process: "プロセス",
+  profile: "プロファイル",
+  project: "プロジェクト",
+  promise: "プロミス",
+  props: "プロップス",
+  provider: "プロバイダー",
+  proxy: "プロキシ",
+  public: "パブリック",
+  pull: "プル",
+  push: "プッシュ",
+  query: "クエリ",
+  queue: "キュー",
+  react: "リアクト",
+  read: "リード",
+  reader: "リーダー",
+  ready: "レディ",
+  record: "レコード",
+  reducer: "レデューサー",
+  ref: "レフ",
+  refactor: "リファクタ",
+  register: "レジスター",
+  release: "リリース",
+  reload: "リロード",
+  remote: "リモート",
+  remove: "リムーブ",
+  render: "レンダー",
+  renderer: "レンダラー",
+  replace: "リプレイス",
+  repo: "リポジトリ",
+  repository: "リポジトリ",
+  request: "リクエスト",
+  reset: "リセット",
+  resolve: "リゾルブ",
+  resource: "リソース",
+  response: "レスポンス",
+  rest: "レスト",
+  result: "リザルト",
+  return: "リターン",
+  review: "レビュー",
+  root: "ルート",
+  route: "ルート",
+  router: "ルーター",
+  rule: "ルール",
+  rules: "ルールズ",
+  run: "ラン",
+  runner: "ランナー",
+  save: "セーブ",
+  scale: "スケール",
+  schema: "スキーマ",
+  scope: "スコープ",
+  score: "スコア",
+  script: "スクリプト",
+  scripts: "スクリプツ",
+  search: "サーチ",
+  select: "セレクト",
+  send: "センド",
+  server: "サーバー",
+  service: "サービス",
+  session: "セッション",
+  set: "セット",
+  settings: "セッティングス",
+  setup: "セットアップ",
+  shell: "シェル",
+  show: "ショー",
+  size: "サイズ",
+  skip: "スキップ",
+  socket: "ソケット",
+  sort: "ソート",
+  source: "ソース",
+  speak: "スピーク",
+  speaker: "スピーカー",
+  spec: "スペック",
+  speech: "スピーチ",
+  src: "ソース",
+  stack: "スタック",
+  start: "スタート",
+  state: "ステート",
+  static: "スタティック",
+  status: "ステータス",
+  stop: "ストップ",
+  store: "ストア",
+  stream: "ストリーム",
+  string: "ストリング",
+  studio: "スタジオ",
+  style: "スタイル",
+  sub: "サブ",
+  submit: "サブミット",
+  success: "サクセス",
+  summary: "サマリー",
+  super: "スーパー",
+  switch: "スイッチ",
+  sync: "シンク",
+  system: "システム",
+  table: "テーブル",
+  tag: "タグ",
+  task: "タスク",
+  template: "テンプレート",
+  test: "テスト",
+  tests: "テスツ",
+  text: "テキスト",
+  the: "ザ",
+  theme: "テーマ",
+  this: "ディス",
+  thread: "スレッド",
+  throw: "スロー",
+  time: "タイム",
+  timeout: "タイムアウト",
+  timer: "タイマー",
+  title: "タイトル",
+  tmp: "テンプ",
+  to: "トゥー",
+  token: "トークン",
+  tool: "ツール",
+  tools: "ツールズ",
+  tray: "トレイ",
+  tree: "ツリー",
+  trigger: "トリガー",
+  true: "トゥルー",
+  try: "トライ",
+  tube: "チューブ",
+  two: "ツー",
+  type: "タイプ",
+  types: "タイプス",
+  ui: "ユーアイ",
+  un: "アン",
+  undefined: "アンディファインド",
+  unit: "ユニット",
+  up: "アップ",
+  update: "アップデート",
+  upload: "アップロード",
+  use: "ユーズ",
+  user: "ユーザー",
+  utils: "ユーティルズ",
+  valid: "バリッド",
+  validate: "バリデート",
+  validation: "バリデーション",
+  value: "バリュー",
+  var: "バー",
+  version: "バージョン",
+  view: "ビュー",
+  voice: "ボイス",
+  voicevox: "ボイスボックス",
+  void: "ボイド",
+  volume: "ボリューム",
+  vtube: "ブイチューブ",
+  watch: "ウォッチ",
+  watcher: "ウォッチャー",
+  we: "ウィー",
+  web: "ウェブ",
+  webpack: "ウェブパック",
+  widget: "ウィジェット",
+  window: "ウィンドウ",
+  with: "ウィズ",
+  work: "ワーク",
+  worker: "ワーカー",
+  write: "ライト",
+  yarn: "ヤーン",
+  yes: "イエス",
+  you: "ユー",
+  zundamon: "ずんだもん",
+};
@@ -3,13 +3,27 @@
  */
 
 import { WebSocket } from "ws";
+import type { VisemeFrame } from "./lipsync.js";
+import type { SubtitlePhrase } from "./subtitles.js";
 
 // 接続中のElectronクライアント
 const clients: Set<WebSocket> = new Set();
 
+// クライアントから届いたメッセージの受け取り手
+type ClientMessageHandler = (message: { type: string; [key: string]: unknown }) => void;
+const messageHandlers: Set<ClientMessageHandler> = new Set();
+
 export function addClient(ws: WebSocket) {
   console.log("Electron client connected");
   clients.add(ws);
+  ws.on("message", (data) => {
+    try {
+      const message = JSON.parse(data.toString());
+      messageHandlers.forEach((handler) => handler(message));
+    } catch (e) {
+      // 壊れたメッセージは無視
+    }
+  });
 }
 
 export function removeClient(ws: WebSocket) {
@@ -17,6 +31,18 @@ export function removeClient(ws: WebSocket) {
   clients.delete(ws);
 }
 
+export function hasClients(): boolean {
+  return clients.size > 0;
+}
+
+/**
+ * クライアントからのメッセージを購読（解除関数を返す）
+ */
+export function onClientMessage(handler: ClientMessageHandler): () => void {
+  messageHandlers.add(handler);
+  return () => messageHandlers.delete(handler);
+}
+
 /**
  * 全クライアントにメッセージを送信
  */
@@ -29,9 +55,37 @@ function broadcast(message: object) {
   });
 }
 
-export function notifyLipsyncStart(duration: number) {
-  console.log(`[Lipsync] Starting, duration=${duration}ms, clients=${clients.size}`);
-  broadcast({ type: "lipsync-start", duration });
+/**
+ * 区切って読む発話の何番目か（字幕用のテキストと、続きがあるか）
+ */
+export interface SpeechChunkInfo {
+  text: string;
+  index: number;
+  total: number;
+  continues: boolean;
+}
+
+/**
+ * 吹き出しに出す字幕（subtitles.enabled が false なら送らない）
+ */
+export interface SubtitleInfo {
+  phrases: SubtitlePhrase[];
+  // 喋り終えてから吹き出しを消すまでの時間
+  holdMs: number;
+  // 音声を再生しない（字幕だけのモード）
+  silent: boolean;
+}
+
+export function notifyLipsyncStart(
+  duration: number,
+  timeline?: VisemeFrame[],
+  chunk?: SpeechChunkInfo,
+  subtitle?: SubtitleInfo
+) {
+  console.log(
+    `[Lipsync] Starting, duration=${duration}ms, frames=${timeline?.length ?? 0}, clients=${clients.size}`
+  );
+  broadcast({ type: "lipsync-start", duration, timeline, chunk, subtitle });
 }
 
 export function notifyLipsyncStop() {
@@ -41,3 +95,25 @@ export function notifyLipsyncStop() {
 export function notifyExpression(name: string, duration?: number) {
   broadcast({ type: "expression", name, duration });
 }
+
+/**
+ * キャラクターパックが切り替わった（レンダラーは GET /character で読み直す）
+ */
+export function notifyCharacter(id: string) {
+  broadcast({ type: "character", id });
+}
+
+/**
+ * レンダラーの Web Audio で再生させる（WAV は base64 で送る）
+ */
+export function notifyAudioPlay(id: string, data: Buffer, volume: number, device?: string) {
+  broadcast({ type: "audio-play", id, audio: data.toString("base64"), volume, device });
+}
+
+export function notifyAudioStop(id: string) {
+  broadcast({ type: "audio-stop", id });
+}
+
+export function notifyAudioState(volume: number, muted: boolean) {
+  broadcast({ type: "audio-state", volume, muted });
+}
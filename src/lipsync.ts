@@ -0,0 +1,124 @@
+/**
+ * VOICEVOX の AudioQuery（モーラごとの子音・母音長）から
+ * 口の形のタイムライン（viseme timeline）を作る
+ */
+
+// 口の形の種類
+export const VISEMES = ["a", "i", "u", "e", "o", "closed", "pause"] as const;
+export type Viseme = (typeof VISEMES)[number];
+
+// タイムラインの1区間（ミリ秒）
+export interface VisemeFrame {
+  viseme: Viseme;
+  start: number;
+  duration: number;
+}
+
+// AudioQuery のうちタイムライン生成に使う部分
+export interface Mora {
+  text: string;
+  consonant?: string | null;
+  consonant_length?: number | null;
+  vowel: string;
+  vowel_length: number;
+  pitch: number;
+}
+
+export interface AccentPhrase {
+  moras: Mora[];
+  accent: number;
+  pause_mora?: Mora | null;
+  is_interrogative?: boolean;
+}
+
+export interface TimingQuery {
+  accent_phrases: AccentPhrase[];
+  speedScale: number;
+  prePhonemeLength: number;
+  postPhonemeLength: number;
+}
+
+// 口の開き具合（MouthOpen: 0〜1）と形（MouthForm: -1 すぼめ 〜 1 横に広げる）
+export const VISEME_SHAPES: Record<Viseme, { open: number; form: number }> = {
+  a: { open: 1, form: 0 },
+  i: { open: 0.4, form: 1 },
+  u: { open: 0.3, form: -1 },
+  e: { open: 0.6, form: 0.6 },
+  o: { open: 0.8, form: -0.6 },
+  closed: { open: 0, form: 0 },
+  pause: { open: 0, form: 0 },
+};
+
+// 唇を閉じる子音（この区間は口を閉じる）
+const BILABIAL_CONSONANTS = new Set(["m", "my", "b", "by", "p", "py"]);
+
+/**
+ * VOICEVOX の母音記号を viseme に変換
+ * 無声化母音（A, I, U, E, O）は小文字と同じ口の形にする
+ */
+function vowelToViseme(vowel: string): Viseme {
+  switch (vowel) {
+    case "a": case "A": return "a";
+    case "i": case "I": return "i";
+    case "u": case "U": return "u";
+    case "e": case "E": return "e";
+    case "o": case "O": return "o";
+    case "pau": return "pause";
+    // N（ん）, cl（っ）
+    default: return "closed";
+  }
+}
+
+/**
+ * AudioQuery から viseme タイムラインを生成（speedScale で伸縮）
+ */
+export function buildVisemeTimeline(query: TimingQuery): VisemeFrame[] {
+  const speed = query.speedScale > 0 ? query.speedScale : 1;
+  const frames: VisemeFrame[] = [];
+  let cursor = 0;
+
+  const push = (viseme: Viseme, seconds: number | null | undefined) => {
+    const duration = ((seconds ?? 0) * 1000) / speed;
+    if (duration <= 0) return;
+    // 同じ口の形が続く場合は1区間にまとめる
+    const last = frames[frames.length - 1];
+    if (last && last.viseme === viseme) {
+      last.duration += duration;
+    } else {
+      frames.push({ viseme, start: cursor, duration });
+    }
+    cursor += duration;
+  };
+
+  push("pause", query.prePhonemeLength);
+
+  for (const phrase of query.accent_phrases ?? []) {
+    for (const mora of phrase.moras) {
+      const vowel = vowelToViseme(mora.vowel);
+      if (mora.consonant && mora.consonant_length) {
+        // 子音区間は唇を閉じる音以外は次の母音の形で先取りする
+        push(BILABIAL_CONSONANTS.has(mora.consonant) ? "closed" : vowel, mora.consonant_length);
+      }
+      push(vowel, mora.vowel_length);
+    }
+    if (phrase.pause_mora) {
+      push("pause", phrase.pause_mora.vowel_length);
+    }
+  }
+
+  push("pause", query.postPhonemeLength);
+
+  return frames.map((f) => ({ ...f, start: Math.round(f.start), duration: Math.round(f.duration) }));
+}
+
+/**
+ * 経過時間に対応する viseme を返す（範囲外は pause）
+ */
+export function visemeAt(timeline: VisemeFrame[], elapsedMs: number): Viseme {
+  for (const frame of timeline) {
+    if (elapsedMs < frame.start + frame.duration) {
+      return elapsedMs >= frame.start ? frame.viseme : "pause";
+    }
+  }
+  return "pause";
+}
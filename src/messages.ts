@@ -0,0 +1,121 @@
+/**
+ * 喋るメッセージのカタログ
+ * config の messages.personas で選んだペルソナ → キャラクターパックの messages → 既定（MESSAGES）の順に探し、
+ * {project} {file} {command} {count} {duration} などを置き換える。候補が複数あれば前回と違うものを選ぶ
+ */
+
+import { getMessagesConfig, MessageCatalog, MessageTemplate } from "./config.js";
+import { getCharacter, MessageKey } from "./character.js";
+import { MESSAGES } from "./constants.js";
+
+export type MessageVars = Record<string, string | number | undefined>;
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+// 単独では喋らない部品（合成キャッシュの事前合成から外す）
+const FRAGMENT_PREFIXES = ["PROJECT_", "RECAP_", "DURATION_", "SUMMARY_"];
+
+// キーごとに前回選んだ候補（同じあいさつを続けないように）
+const lastPicked = new Map<string, string>();
+// 見つからないと警告済みのペルソナ（毎回は出さない）
+let warnedPersona: string | null = null;
+
+/**
+ * 使っているペルソナ（選んでいない・personas に無い場合は null）
+ */
+export function getActivePersona(): string | null {
+  const { persona, personas } = getMessagesConfig();
+  if (!persona) return null;
+  if (!personas[persona]) {
+    if (warnedPersona !== persona) {
+      console.warn(`[Messages] Unknown persona "${persona}", using the character's messages`);
+      warnedPersona = persona;
+    }
+    return null;
+  }
+  return persona;
+}
+
+/**
+ * 探す順のカタログ（ペルソナ、キャラクターパック、既定）
+ */
+function getCatalogs(): MessageCatalog[] {
+  const persona = getActivePersona();
+  const catalogs: MessageCatalog[] = persona ? [getMessagesConfig().personas[persona]] : [];
+  catalogs.push(getCharacter().messages ?? {}, MESSAGES);
+  return catalogs;
+}
+
+/**
+ * キーのテンプレートを探す（count が 1 なら キー + _ONE を先に）
+ */
+function findTemplate(key: MessageKey, vars: MessageVars): MessageTemplate {
+  for (const catalog of getCatalogs()) {
+    if (vars.count === 1 && Object.hasOwn(catalog, `${key}_ONE`)) return catalog[`${key}_ONE`];
+    if (Object.hasOwn(catalog, key)) return catalog[key];
+  }
+  return MESSAGES[key];
+}
+
+function isFilled(value: string | number | undefined): boolean {
+  return value !== undefined && value !== "";
+}
+
+/**
+ * テンプレートの変数を置き換える
+ * 候補が複数なら、使う変数がそろっているものから前回と違うものを選ぶ
+ */
+export function renderMessage(template: MessageTemplate, vars: MessageVars = {}, key?: string): string {
+  const variants: readonly string[] = typeof template === "string" ? [template] : template;
+  const usable = variants.filter((variant) =>
+    [...variant.matchAll(PLACEHOLDER)].every(([, name]) => isFilled(vars[name]))
+  );
+  const candidates = usable.length > 0 ? usable : variants.slice(0, 1);
+  const previous = key ? lastPicked.get(key) : undefined;
+  const fresh = candidates.length > 1 ? candidates.filter((c) => c !== previous) : candidates;
+  const picked = fresh[Math.floor(Math.random() * fresh.length)];
+  if (key) lastPicked.set(key, picked);
+  return picked.replace(PLACEHOLDER, (_, name: string) => (isFilled(vars[name]) ? String(vars[name]) : ""));
+}
+
+/**
+ * キーのメッセージ（今のペルソナ・キャラクターのもの）
+ */
+export function getMessage(key: MessageKey, vars: MessageVars = {}): string {
+  return renderMessage(findTemplate(key, vars), vars, key);
+}
+
+/**
+ * 文をつなぐ（英文どうしは空白で区切る）
+ */
+export function joinSentences(sentences: string[]): string {
+  return sentences.filter(Boolean).join(" ").replace(/([。！？、]) /g, "$1");
+}
+
+/**
+ * 長さを「1時間5分」のように読む（1分未満は秒）
+ */
+export function formatDuration(ms: number): string {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  if (hours === 0 && minutes === 0) return getMessage("DURATION_SECONDS", { count: totalSeconds });
+  const parts: string[] = [];
+  if (hours > 0) parts.push(getMessage("DURATION_HOURS", { count: hours }));
+  if (minutes > 0) parts.push(getMessage("DURATION_MINUTES", { count: minutes }));
+  return parts.join(getMessage("DURATION_SEPARATOR"));
+}
+
+/**
+ * 変数を含まない、単独で喋るメッセージの全候補（合成キャッシュの事前合成用）
+ */
+export function getFixedMessageTexts(): string[] {
+  const texts = new Set<string>();
+  for (const key of Object.keys(MESSAGES) as MessageKey[]) {
+    if (FRAGMENT_PREFIXES.some((prefix) => key.startsWith(prefix))) continue;
+    const template = findTemplate(key, {});
+    for (const variant of typeof template === "string" ? [template] : template) {
+      if (variant && !variant.match(PLACEHOLDER)) texts.add(variant);
+    }
+  }
+  return [...texts];
+}
@@ -0,0 +1,158 @@
+/**
+ * アシスタントのメッセージを読み上げ向けに整える
+ * コードブロック・Markdown の記号・URL・パスを記号のまま読ませないようにする
+ * （各ルールは config の normalize で切り替える）
+ */
+
+import { getNormalizeConfig, NormalizeConfig } from "./config.js";
+import { getMessage } from "./messages.js";
+
+// 文の区切りとみなす文字（これで終わる行には句点を足さない）
+const SENTENCE_END = /[。、．，！？.!?…：:]$/;
+// 英語の句読点で終わる行は、次の行と空白でつなぐ
+const ASCII_SENTENCE_END = /[.,!?:]$/;
+
+// 閉じていないフェンス（書きかけのメッセージ）は最後までをコードとみなす
+const FENCE = /(^|\n) {0,3}(`{3,}|~{3,})([^\n]*)([\s\S]*?)(?:\n {0,3}\2[`~]*[ \t]*(?=\n|$)|$)/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>()\]）」]+/g;
+const MARKDOWN_LINK = /(!?)\[([^\]\n]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+// /abs/path, ~/path, ./rel/path, ../rel/path, dir/file.ext, C:\dir\file
+const PATH = /(?:~|\.{1,2})?(?:\/[\w.@+-]+){2,}\/?|(?:[\w.@+-]+\/)+[\w@+-]+\.\w+|\b[A-Za-z]:\\(?:[\w.@+ -]+\\)*[\w.@+-]+/g;
+const LIST_ITEM = /^\s*(?:[-*+•]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(?:\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+/**
+ * パスの最後の要素（ファイル名）
+ */
+function baseName(path: string): string {
+  const parts = path.replace(/[\\/]+$/, "").split(/[\\/]/);
+  return parts[parts.length - 1] || path;
+}
+
+function hostOf(url: string): string {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * コードブロックを置き換える（summarize はキャラクターの「省略するのだ」に）
+ */
+function replaceCodeBlocks(text: string, mode: string): string {
+  return text.replace(FENCE, (_, start: string, fence: string, info: string, code: string) => {
+    if (mode === "keep") return `${start}${code}\n`;
+    if (mode === "summarize") return `${start}${getMessage("CODE_BLOCK_OMITTED")}\n`;
+    return `${start}\n`;
+  });
+}
+
+function replaceUrls(text: string, mode: string): string {
+  if (mode === "keep") return text;
+  return text.replace(URL_PATTERN, (url) => (mode === "host" ? hostOf(url) : ""));
+}
+
+/**
+ * 行ごとの Markdown（見出し・引用・リスト・表）を外して、読み上げの区切りを付ける
+ */
+function normalizeLine(line: string, config: NormalizeConfig): string {
+  let result = line;
+
+  if (TABLE_ROW.test(result) || TABLE_SEPARATOR.test(result)) {
+    if (config.tables === "keep") return result;
+    if (config.tables === "drop" || TABLE_SEPARATOR.test(result)) return "";
+    const cells = result
+      .trim()
+      .replace(/^\||\|$/g, "")
+      .split("|")
+      .map((cell) => cell.trim())
+      .filter(Boolean);
+    return cells.join("、") + "。";
+  }
+
+  if (config.markdown) {
+    // 区切り線
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(result)) return "";
+    // 見出し・引用
+    result = result.replace(/^\s{0,3}#{1,6}\s+/, "").replace(/\s+#+\s*$/, "");
+    result = result.replace(/^\s*(?:>\s?)+/, "");
+  }
+
+  if (config.lists === "pause" && LIST_ITEM.test(result)) {
+    result = result.replace(LIST_ITEM, "").trim();
+    return result && !SENTENCE_END.test(result) ? result + "、" : result;
+  }
+
+  return result;
+}
+
+/**
+ * 強調・取り消し線などのインライン記号を外す（snake_case の _ は残す）
+ */
+function stripInlineMarkdown(text: string): string {
+  return text
+    .replace(/(\*\*|__)(?=\S)([^\n]*?\S)\1/g, "$2")
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*?\S)\*(?!\w)/g, "$1$2")
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, "$1$2")
+    .replace(/~~(?=\S)([^\n]*?\S)~~/g, "$1")
+    .replace(/<\/?[a-zA-Z][^>\n]*>/g, "");
+}
+
+/**
+ * 行をつないで1つの読み上げテキストにする（句読点の無い行末には句点を足す）
+ * 箇条書きの最後の項目など、空行の前の読点は句点にする
+ */
+function joinLines(lines: string[]): string {
+  return lines
+    .map((line) => line.trim())
+    .map((line, i, all) => (line.endsWith("、") && !all[i + 1] ? line.slice(0, -1) + "。" : line))
+    .filter(Boolean)
+    .map((line, i, all) => (i < all.length - 1 && !SENTENCE_END.test(line) ? line + "。" : line))
+    .map((line, i, all) => (i < all.length - 1 && ASCII_SENTENCE_END.test(line) ? line + " " : line))
+    .join("")
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/、([。！？!?])/g, "$1")
+    .replace(/、$/, "")
+    .replace(/(。){2,}/g, "。");
+}
+
+/**
+ * 読み上げ用にテキストを整える
+ */
+export function normalizeForSpeech(text: string): string {
+  const config = getNormalizeConfig();
+  let result = text.replace(/\r\n?/g, "\n");
+
+  result = replaceCodeBlocks(result, config.codeBlocks);
+
+  if (config.markdown) {
+    // [テキスト](URL) はテキストだけ、画像は代替テキスト
+    result = result.replace(MARKDOWN_LINK, (_, image: string, label: string, url: string) =>
+      label || (image ? "" : url)
+    );
+  }
+
+  // インラインコード
+  if (config.inlineCode !== "keep") {
+    result = result.replace(/(`+)([^`\n]+?)\1/g, (_, __, code: string) =>
+      config.inlineCode === "drop" ? "" : code.trim()
+    );
+  }
+
+  result = replaceUrls(result, config.urls);
+
+  if (config.paths === "basename") {
+    result = result.replace(PATH, baseName);
+  }
+
+  const lines = result.split("\n").map((line) => normalizeLine(line, config));
+  result = joinLines(lines);
+
+  if (config.markdown) {
+    result = stripInlineMarkdown(result);
+  }
+
+  return result.trim();
+}
@@ -0,0 +1,293 @@
+/**
+ * 英語の識別子・単語の読み
+ * camelCase / snake_case / kebab-case を単語に分け、英単語の辞書を引き、
+ * 載っていない単語は綴りの規則でカタカナにする（略語はアルファベットのまま読ませる）
+ */
+
+import { getPronunciationConfig } from "./config.js";
+import { ENGLISH_LEXICON } from "./lexicon.js";
+
+// 英字を含む識別子（_ と - でつながったものは1つとして扱う）
+const IDENTIFIER = /[A-Za-z0-9]+(?:[_-][A-Za-z0-9]+)*/g;
+// 識別子の中の単語（"HTMLParser" は HTML と Parser、"v2" は v と 2）
+const WORD = /[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g;
+
+const VOWELS = "aeiou";
+const VOWEL_INDEX: Record<string, number> = { a: 0, i: 1, u: 2, e: 3, o: 4 };
+
+// 子音 → ア段〜オ段のカナ
+const ROWS: Record<string, string[]> = {
+  "": ["ア", "イ", "ウ", "エ", "オ"],
+  k: ["カ", "キ", "ク", "ケ", "コ"],
+  g: ["ガ", "ギ", "グ", "ゲ", "ゴ"],
+  s: ["サ", "シ", "ス", "セ", "ソ"],
+  z: ["ザ", "ジ", "ズ", "ゼ", "ゾ"],
+  t: ["タ", "ティ", "トゥ", "テ", "ト"],
+  d: ["ダ", "ディ", "ドゥ", "デ", "ド"],
+  n: ["ナ", "ニ", "ヌ", "ネ", "ノ"],
+  h: ["ハ", "ヒ", "フ", "ヘ", "ホ"],
+  b: ["バ", "ビ", "ブ", "ベ", "ボ"],
+  p: ["パ", "ピ", "プ", "ペ", "ポ"],
+  m: ["マ", "ミ", "ム", "メ", "モ"],
+  y: ["ヤ", "イ", "ユ", "イエ", "ヨ"],
+  r: ["ラ", "リ", "ル", "レ", "ロ"],
+  w: ["ワ", "ウィ", "ウ", "ウェ", "ウォ"],
+  f: ["ファ", "フィ", "フ", "フェ", "フォ"],
+  j: ["ジャ", "ジ", "ジュ", "ジェ", "ジョ"],
+  ch: ["チャ", "チ", "チュ", "チェ", "チョ"],
+  sh: ["シャ", "シ", "シュ", "シェ", "ショ"],
+  kw: ["クア", "クイ", "ク", "クエ", "クオ"],
+};
+
+// 母音が続かない子音
+const BARE: Record<string, string> = {
+  "": "",
+  k: "ク",
+  g: "グ",
+  s: "ス",
+  z: "ズ",
+  t: "ト",
+  d: "ド",
+  n: "ン",
+  h: "",
+  b: "ブ",
+  p: "プ",
+  m: "ム",
+  y: "イ",
+  r: "ル",
+  w: "ウ",
+  f: "フ",
+  j: "ジ",
+  ch: "チ",
+  sh: "シュ",
+  kw: "ク",
+};
+
+// 2文字の母音（段と、後ろに付けるカナ）
+const VOWEL_PAIRS: Record<string, [number, string]> = {
+  ee: [1, "ー"],
+  ea: [1, "ー"],
+  ie: [1, "ー"],
+  oo: [2, "ー"],
+  ue: [2, "ー"],
+  ai: [3, "イ"],
+  ay: [3, "イ"],
+  ei: [3, "イ"],
+  ey: [3, "イ"],
+  ou: [0, "ウ"],
+  ow: [0, "ウ"],
+  oi: [4, "イ"],
+  oy: [4, "イ"],
+  au: [4, "ー"],
+  aw: [4, "ー"],
+  oa: [4, "ー"],
+};
+
+// 語末の e で長くなる母音（make, code, file, type）
+const MAGIC_E: Record<string, [number, string]> = {
+  a: [3, "イ"],
+  i: [0, "イ"],
+  y: [0, "イ"],
+  o: [4, "ー"],
+  u: [2, "ー"],
+  e: [1, "ー"],
+};
+
+const SUFFIXES: Array<[RegExp, string]> = [
+  [/tion$/, "ション"],
+  [/sion$/, "ジョン"],
+  [/ture$/, "チャー"],
+  [/ness$/, "ネス"],
+  [/ment$/, "メント"],
+  [/able$/, "アブル"],
+  [/ful$/, "フル"],
+  [/ly$/, "リー"],
+  [/(?<=[^aeiou])le$/, "ル"],
+];
+
+interface Consonant {
+  key: string;
+  length: number;
+  // 前に付けるカナ（促音の ッ、x の ク）
+  prefix: string;
+}
+
+function isVowel(word: string, i: number): boolean {
+  return VOWELS.includes(word[i] ?? "_") || (word[i] === "y" && !VOWELS.includes(word[i + 1] ?? "_"));
+}
+
+/**
+ * i の位置の子音（母音なら key は ""）
+ */
+function readConsonant(word: string, i: number): Consonant {
+  const c = word[i];
+  const next = word[i + 1] ?? "";
+  if (isVowel(word, i)) return { key: "", length: 0, prefix: "" };
+
+  const pair = c + next;
+  if (pair === "sh" || pair === "ch") return { key: pair, length: 2, prefix: "" };
+  if (pair === "th") return { key: "s", length: 2, prefix: "" };
+  if (pair === "ph") return { key: "f", length: 2, prefix: "" };
+  if (pair === "wh") return { key: "w", length: 2, prefix: "" };
+  if (pair === "gh") return { key: i === 0 ? "g" : "", length: 2, prefix: "" };
+  if (pair === "ck") return { key: "k", length: 2, prefix: "" };
+  if (pair === "dg") return { key: "j", length: 2, prefix: "" };
+  // 語頭の黙字（write, know）
+  if (i === 0 && (pair === "wr" || pair === "kn")) return { key: next, length: 2, prefix: "" };
+  if (pair === "qu") return { key: "kw", length: 2, prefix: "" };
+
+  // 子音が重なって母音が続くときは促音（letter → レッター）
+  if (c === next && !"lrmnsh".includes(c) && isVowel(word, i + 2)) {
+    return { ...readConsonant(word, i + 1), length: 2, prefix: i > 0 ? "ッ" : "" };
+  }
+  if (c === next) return { ...readConsonant(word, i + 1), length: 2 };
+
+  switch (c) {
+    case "c":
+      return { key: next !== "" && "eiy".includes(next) ? "s" : "k", length: 1, prefix: "" };
+    case "g":
+      // 語中の ge / gi は ジ（magic, widget。語頭の get, give は グ）
+      return { key: i > 0 && next !== "" && "eiy".includes(next) ? "j" : "g", length: 1, prefix: "" };
+    case "q":
+      return { key: "k", length: 1, prefix: "" };
+    case "x":
+      return { key: "s", length: 1, prefix: "ク" };
+    case "v":
+      return { key: "b", length: 1, prefix: "" };
+    case "l":
+      return { key: "r", length: 1, prefix: "" };
+    default:
+      return { key: ROWS[c] ? c : "", length: 1, prefix: "" };
+  }
+}
+
+/**
+ * i の位置の母音（段・後ろに付けるカナ・文字数）
+ */
+function readVowel(word: string, i: number, magicIndex: number): [number, string, number] | null {
+  if (!isVowel(word, i)) return null;
+  const c = word[i];
+  const next = word[i + 1] ?? "";
+
+  if (i === magicIndex) {
+    const [row, extra] = MAGIC_E[c];
+    return [row, extra, 1];
+  }
+
+  // 母音 + r（car, server, port）
+  if (next === "r" && !isVowel(word, i + 2) && c !== "y") {
+    const row = c === "o" && i + 2 < word.length ? 4 : 0;
+    return [row, "ー", 2];
+  }
+
+  // igh は アイ（light, right）
+  if (c === "i" && word.slice(i + 1, i + 3) === "gh") return [0, "イ", 3];
+
+  const pair = VOWEL_PAIRS[c + next];
+  if (pair) return [pair[0], pair[1], 2];
+
+  // 語末の y（copy, query）
+  if (c === "y") return [1, i === word.length - 1 && i > 0 ? "ー" : "", 1];
+
+  // 子音で閉じる u は ア（run, bug, number）
+  if (c === "u" && i > 0 && !isVowel(word, i + 1) && i + 1 < word.length && !isVowel(word, i + 2)) {
+    return [0, "", 1];
+  }
+
+  return [VOWEL_INDEX[c], "", 1];
+}
+
+/**
+ * 綴りの規則でカタカナにする（辞書に無い単語用）
+ */
+export function transliterate(word: string): string {
+  let rest = word.toLowerCase();
+  let suffix = "";
+  for (const [pattern, kana] of SUFFIXES) {
+    if (pattern.test(rest) && rest.replace(pattern, "").length > 1) {
+      rest = rest.replace(pattern, "");
+      suffix = kana;
+      break;
+    }
+  }
+
+  // 語末の e は読まずに、その前の母音を長くする
+  let magicIndex = -1;
+  if (!suffix && rest.length > 3 && /[aeiouy][^aeiouy]e$/.test(rest)) {
+    magicIndex = rest.length - 3;
+    rest = rest.slice(0, -1);
+  }
+
+  let result = "";
+  let i = 0;
+  while (i < rest.length) {
+    const consonant = readConsonant(rest, i);
+    i += consonant.length;
+    const vowel = readVowel(rest, i, magicIndex);
+
+    if (vowel) {
+      const [row, extra, length] = vowel;
+      result += consonant.prefix + ROWS[consonant.key][row] + extra;
+      i += length;
+      continue;
+    }
+
+    // 短い母音のすぐ後の語末の破裂音は促音（bit → ビット、magic → マジック）
+    const closing =
+      i === rest.length && magicIndex === -1 && /(?:^|[^aeiou])[aeiou](?:ck|[tkpdgc])$/.test(rest);
+    // b, p の前の m は ン（number, simple）
+    const bare = consonant.key === "m" && "bp".includes(rest[i] ?? "_") ? "ン" : BARE[consonant.key];
+    result += (closing ? "ッ" : "") + consonant.prefix + bare;
+    if (consonant.length === 0) i++;
+  }
+
+  return result + suffix;
+}
+
+/**
+ * 辞書を引く（"constructor" などで Object のプロパティを拾わないように）
+ */
+function lookup(word: string, lexicon: Record<string, string>): string | undefined {
+  if (Object.hasOwn(lexicon, word)) return lexicon[word];
+  if (Object.hasOwn(ENGLISH_LEXICON, word)) return ENGLISH_LEXICON[word];
+  return undefined;
+}
+
+/**
+ * 単語1つの読み（略語・数字はそのまま）
+ */
+function pronounceWord(word: string, lexicon: Record<string, string>): string {
+  if (/^\d+$/.test(word) || word.length === 1) return word;
+
+  const lower = word.toLowerCase();
+  const known = lookup(lower, lexicon);
+  if (known) return known;
+
+  // 複数形（辞書の単数形 + ズ）
+  const knownSingular = lower.endsWith("s") ? lookup(lower.slice(0, -1), lexicon) : undefined;
+  if (knownSingular) return knownSingular + (/[トクプフ]$/.test(knownSingular) ? "ス" : "ズ");
+
+  // 大文字だけ、または母音の無い単語は略語としてアルファベットのまま
+  if (word === word.toUpperCase() || !/[aeiouy]/i.test(word)) return word;
+
+  return transliterate(word);
+}
+
+/**
+ * 識別子を単語に分けて読む（useEffect → ユーズエフェクト）
+ */
+export function pronounceIdentifier(identifier: string): string {
+  const { lexicon } = getPronunciationConfig();
+  const words = identifier.split(/[_-]+/).flatMap((part) => part.match(WORD) ?? []);
+  return words.map((word) => pronounceWord(word, lexicon)).join("");
+}
+
+/**
+ * テキスト中の英語の識別子・単語をカタカナにする（読み替え辞書の後にかける）
+ */
+export function pronounceText(text: string): string {
+  if (!getPronunciationConfig().enabled) return text;
+  return text.replace(IDENTIFIER, (identifier) =>
+    /[A-Za-z]/.test(identifier) ? pronounceIdentifier(identifier) : identifier
+  );
+}
@@ -0,0 +1,210 @@
+/**
+ * 読み替え辞書
+ * 既定（config/zundamon.json）← キャラクターパック ← プロジェクト ← ユーザー設定 の辞書を重ね、
+ * 先頭から順に「その位置で最も長く一致する語」を読みに置き換える
+ * （"git" が "digit" や "GitHub" の中で当たったり、".ts" が ".tsx" を壊したりしないように）
+ */
+
+import {
+  getConfigLayers,
+  getProjectReadings,
+  onConfigChange,
+  replaceConfigSection,
+  ConfigValidationError,
+  ReadingDictionary,
+  ReadingRule,
+} from "./config.js";
+import { getCharacter } from "./character.js";
+
+export type ReadingLayerName = "builtin" | "character" | "project" | "user";
+
+export interface ReadingLayer {
+  name: ReadingLayerName;
+  // 辞書の出どころ（パックの id、プロジェクト名）
+  source?: string;
+  entries: ReadingDictionary;
+}
+
+interface CompiledEntry {
+  key: string;
+  reading: string;
+  // 重ねた順（大きいほど優先）
+  layer: number;
+  regex: RegExp;
+}
+
+interface CompiledDictionary {
+  // 正規表現以外の語（先頭の文字（小文字）ごと）
+  words: Map<string, CompiledEntry[]>;
+  patterns: CompiledEntry[];
+}
+
+// キャラクター + プロジェクトごとにコンパイルした辞書
+const compiled: Map<string, CompiledDictionary> = new Map();
+
+onConfigChange(() => {
+  compiled.clear();
+});
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function toRule(entry: ReadingDictionary[string]): ReadingRule {
+  return typeof entry === "string" ? { reading: entry } : entry;
+}
+
+/**
+ * 語を「その位置だけで試す」正規表現にする
+ * word は語の端が英数字のときだけ、隣が英数字でないことを確かめる（".ts" の前は見ない）
+ */
+function toRegExp(key: string, rule: ReadingRule): RegExp {
+  const flags = rule.caseSensitive ? "yu" : "iyu";
+  switch (rule.match ?? "word") {
+    case "regex":
+      return new RegExp(key, flags);
+    case "substring":
+      return new RegExp(escapeRegExp(key), flags);
+    case "word": {
+      const before = /^\w/.test(key) ? "(?<![A-Za-z0-9_])" : "";
+      const after = /\w$/.test(key) ? "(?![A-Za-z0-9_])" : "";
+      return new RegExp(`${before}${escapeRegExp(key)}${after}`, flags);
+    }
+  }
+}
+
+/**
+ * 今のキャラクターとプロジェクトで使う辞書（優先度の低い順）
+ */
+export function getReadingLayers(project?: string): ReadingLayer[] {
+  const { base, user } = getConfigLayers();
+  const character = getCharacter();
+  return [
+    { name: "builtin", entries: base.readings ?? {} },
+    { name: "character", source: character.id, entries: character.readings ?? {} },
+    { name: "project", source: project, entries: getProjectReadings(project) },
+    { name: "user", entries: user.readings ?? {} },
+  ];
+}
+
+/**
+ * 辞書の正規表現を検証する（不正な項目のエラーメッセージを返す）
+ */
+export function validateReadings(entries: ReadingDictionary): string[] {
+  const errors: string[] = [];
+  for (const [key, entry] of Object.entries(entries)) {
+    try {
+      toRegExp(key, toRule(entry));
+    } catch (error) {
+      errors.push(`/${key} ${(error as Error).message}`);
+    }
+  }
+  return errors;
+}
+
+function compile(layers: ReadingLayer[]): CompiledDictionary {
+  const dictionary: CompiledDictionary = { words: new Map(), patterns: [] };
+
+  layers.forEach(({ name, entries }, layer) => {
+    for (const [key, entry] of Object.entries(entries)) {
+      const rule = toRule(entry);
+      let regex: RegExp;
+      try {
+        regex = toRegExp(key, rule);
+      } catch (error) {
+        console.warn(`[Readings] Invalid ${name} entry "${key}": ${(error as Error).message}`);
+        continue;
+      }
+
+      const compiledEntry = { key, reading: rule.reading, layer, regex };
+      if (rule.match === "regex") {
+        dictionary.patterns.push(compiledEntry);
+        continue;
+      }
+      const first = key[0].toLowerCase();
+      dictionary.words.set(first, [...(dictionary.words.get(first) ?? []), compiledEntry]);
+    }
+  });
+
+  // 長い語から試し、同じ長さなら上の層を先に
+  for (const entries of dictionary.words.values()) {
+    entries.sort((a, b) => b.key.length - a.key.length || b.layer - a.layer);
+  }
+  return dictionary;
+}
+
+function getDictionary(project?: string): CompiledDictionary {
+  const cacheKey = `${getCharacter().id}\n${project ?? ""}`;
+  let dictionary = compiled.get(cacheKey);
+  if (!dictionary) {
+    dictionary = compile(getReadingLayers(project));
+    compiled.set(cacheKey, dictionary);
+  }
+  return dictionary;
+}
+
+/**
+ * 正規表現の項目の読みに $& $1 $<name> を埋める
+ */
+function expandReading(reading: string, match: RegExpExecArray): string {
+  return reading.replace(/\$(&|\d+|<([^>]+)>)/g, (token, ref: string, name?: string) => {
+    if (ref === "&") return match[0];
+    if (name !== undefined) return match.groups?.[name] ?? "";
+    return match[Number(ref)] ?? token;
+  });
+}
+
+/**
+ * 拡張子や専門用語を読みやすい形に変換
+ * 置き換えた読みはもう一度辞書にかけない
+ */
+export function convertReadings(text: string, project?: string): string {
+  const { words, patterns } = getDictionary(project);
+  let result = "";
+  let i = 0;
+
+  while (i < text.length) {
+    let best: { length: number; layer: number; reading: string } | null = null;
+
+    // 長い順に並んでいるので、最初に当たった語がいちばん長い
+    for (const entry of words.get(text[i].toLowerCase()) ?? []) {
+      entry.regex.lastIndex = i;
+      const match = entry.regex.exec(text);
+      if (match) {
+        best = { length: match[0].length, layer: entry.layer, reading: entry.reading };
+        break;
+      }
+    }
+
+    for (const entry of patterns) {
+      entry.regex.lastIndex = i;
+      const match = entry.regex.exec(text);
+      if (!match || match[0] === "") continue;
+      const length = match[0].length;
+      if (!best || length > best.length || (length === best.length && entry.layer > best.layer)) {
+        best = { length, layer: entry.layer, reading: expandReading(entry.reading, match) };
+      }
+    }
+
+    if (best) {
+      result += best.reading;
+      i += best.length;
+    } else {
+      result += text[i];
+      i++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * ユーザー設定の辞書（project を指定するとそのプロジェクトの辞書）を丸ごと置き換える
+ */
+export function setUserReadings(entries: ReadingDictionary, project?: string): void {
+  const errors = validateReadings(entries);
+  if (errors.length > 0) {
+    throw new ConfigValidationError("readings", errors);
+  }
+  replaceConfigSection(project ? ["projectReadings", project] : ["readings"], entries);
+}
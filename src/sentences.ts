@@ -0,0 +1,69 @@
+/**
+ * 読み上げテキストを文の区切りで分ける
+ * 長いメッセージは区切りごとに合成し、前の区切りを再生している間に次を合成する
+ */
+
+// 文末とみなさない略語（e.g. や Mr. のピリオドでは分けない）
+const ABBREVIATIONS = ["e\\.g", "i\\.e", "cf", "vs", "approx", "Mr", "Mrs", "Ms", "Dr", "Prof", "Jr", "Sr", "Fig"];
+// 文末（。！？ と閉じ括弧、英文のピリオド + 空白、改行）
+const SENTENCE_END = new RegExp(
+  `[。！？!?]+[」』）)"']*|(?<!\\b(?:${ABBREVIATIONS.join("|")}))\\.(?=\\s)|\\n+`,
+  "gi"
+);
+// 英数字や ASCII の記号（つなぐときに空白を入れる）
+const ASCII = /[\x21-\x7e]/;
+// 長すぎる文を分ける位置（読点・カンマ・セミコロン・空白の直後）
+const BREAK = /[、，,;；]\s*|\s+/g;
+
+/**
+ * 文ごとに分ける（区切りの記号は前の文に残す）
+ */
+export function splitSentences(text: string): string[] {
+  const sentences: string[] = [];
+  let start = 0;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    const end = match.index! + match[0].length;
+    sentences.push(text.slice(start, end).trim());
+    start = end;
+  }
+  sentences.push(text.slice(start).trim());
+  return sentences.filter(Boolean);
+}
+
+/**
+ * maxLength を超える文を読点や空白で分ける（区切りが無ければ文字数で切る）
+ */
+function splitLong(sentence: string, maxLength: number): string[] {
+  const pieces: string[] = [];
+  let rest = sentence;
+  while (rest.length > maxLength) {
+    let cut = 0;
+    for (const match of rest.slice(0, maxLength + 1).matchAll(BREAK)) {
+      if (match.index! > 0) cut = match.index! + match[0].length;
+    }
+    if (cut === 0 || cut > maxLength) cut = maxLength;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * 合成する単位に分ける
+ * 最初の区切りはすぐ喋り始められるように1文だけ、以降は maxLength まで文をまとめる
+ */
+export function splitIntoChunks(text: string, maxLength: number): string[] {
+  const chunks: string[] = [];
+  for (const piece of splitSentences(text).flatMap((sentence) => splitLong(sentence, maxLength))) {
+    const last = chunks.length > 1 ? chunks[chunks.length - 1] : null;
+    if (last !== null && last.length + piece.length < maxLength) {
+      // どちらかが英文なら空白でつなぐ（「なのだ？ e.g.」）
+      const space = ASCII.test(last.slice(-1)) || ASCII.test(piece[0]) ? " " : "";
+      chunks[chunks.length - 1] = last + space + piece;
+    } else {
+      chunks.push(piece);
+    }
+  }
+  return chunks;
+}
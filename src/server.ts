@@ -1,85 +1,12 @@
-import express from "express";
-import { createServer } from "http";
-import { WebSocketServer } from "ws";
-import { speakWithVoicevox } from "./voicevox.js";
-import { formatClaudeMessage } from "./formatter.js";
-import { connectToVTS, isConnected } from "./vtube-studio.js";
-import { addClient, removeClient, notifyExpression } from "./lipsync-notifier.js";
-import { EXPRESSIONS, EXPRESSION_DURATION_MS, DEFAULT_SERVER_PORT } from "./constants.js";
+import { createAvatarServer } from "./app.js";
+import { connectToVTS } from "./vtube-studio.js";
+import { prewarmFixedMessages } from "./voicevox.js";
+import { watchConfig } from "./config.js";
+import { DEFAULT_SERVER_PORT } from "./constants.js";
 
-const app = express();
-const server = createServer(app);
-const wss = new WebSocketServer({ server });
+const { server } = createAvatarServer();
 const PORT = process.env.PORT || DEFAULT_SERVER_PORT;
 
-wss.on("connection", (ws) => {
-  addClient(ws);
-  ws.on("close", () => removeClient(ws));
-});
-
-app.use(express.json());
-
-// Claude Code hooks からのリクエストを受け取る
-app.post("/speak", async (req, res) => {
-  try {
-    const hookData = req.body;
-    console.log("Received hook data:", JSON.stringify(hookData, null, 2));
-
-    // Claude の出力をスピーチ用に整形（LLM要約対応）
-    const message = await formatClaudeMessage(hookData);
-
-    if (message) {
-      console.log(`Speaking: ${message}`);
-      await speakWithVoicevox(message);
-    }
-
-    res.json({ success: true, message });
-  } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({ success: false, error: String(error) });
-  }
-});
-
-// 手動でテキストを喋らせる
-app.post("/speak/text", async (req, res) => {
-  try {
-    const { text } = req.body;
-
-    if (!text) {
-      return res.status(400).json({ error: "text is required" });
-    }
-
-    console.log(`Speaking: ${text}`);
-    await speakWithVoicevox(text);
-
-    res.json({ success: true });
-  } catch (error) {
-    console.error("Error:", error);
-    res.status(500).json({ success: false, error: String(error) });
-  }
-});
-
-// 表情テスト（デバッグ用）
-app.post("/expression", (req, res) => {
-  const { name, duration } = req.body;
-
-  if (!name || !EXPRESSIONS.includes(name)) {
-    return res.status(400).json({
-      error: `name must be one of: ${EXPRESSIONS.join(", ")}`,
-    });
-  }
-
-  const durationMs = duration || EXPRESSION_DURATION_MS;
-  console.log(`Expression: ${name} (${durationMs}ms)`);
-  notifyExpression(name, durationMs);
-  res.json({ success: true, expression: name });
-});
-
-// ヘルスチェック
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", message: "ボクはずんだもんなのだ！元気に動いてるのだ！" });
-});
-
 server.listen(PORT, async () => {
   console.log(`
 ╔════════════════════════════════════════╗
@@ -91,11 +18,44 @@ Endpoints:
   POST /speak      - Receive Claude Code hooks
   POST /speak/text - Manual text input
   POST /expression - Test expressions (smile, shock, etc.)
+  POST /expression/detect - Show which expression a text gets
+  GET  /character  - Active character pack
+  PUT  /character  - Switch character pack
+  GET  /characters - Available character packs
+  GET  /speakers   - VOICEVOX speakers and the selected one
+  PUT  /speaker    - Override the speaker (null to use the pack's voice)
+  GET  /queue      - Speech queue state
+  POST /queue/skip - Skip current speech
+  DELETE /queue    - Clear pending speech
+  POST /stop       - Clear queue and stop playback
+  POST /volume     - Set volume (0-1)
+  POST /mute       - Mute / unmute
+  GET  /cache      - Synthesis cache stats
+  DELETE /cache    - Purge synthesis cache
+  GET  /config     - Current config
+  PATCH /config    - Update and save config
+  GET  /readings   - Reading dictionary layers
+  PUT  /readings   - Replace user reading dictionary
+  GET  /sessions/:id/summary - Session work recap
+  GET  /history    - Spoken history (filters: project, session, source, event, since, until, q)
+  GET  /history/export - Export history (?format=jsonl|srt)
+  POST /history/:id/replay - Speak a history entry again
+  GET  /watcher    - Session watcher state
+  POST /watcher    - Pause / resume the session watcher
+  GET  /policy     - Quiet hours, focus mode and rate limit state
+  POST /focus      - Start focus mode ({"minutes": 30})
+  DELETE /focus    - End focus mode
   GET  /health     - Health check
 
 Make sure VOICEVOX is running on http://localhost:50021
   `);
 
+  // 設定ファイルの変更を監視
+  watchConfig();
+
+  // よく喋る固定メッセージを先に合成しておく
+  prewarmFixedMessages().catch((error) => console.error("Prewarm error:", error));
+
   // VTube Studioに接続を試みる
   console.log("Attempting to connect to VTube Studio...");
   const connected = await connectToVTS();
@@ -0,0 +1,118 @@
+/**
+ * Claude Code のセッションファイルを監視して
+ * アシスタントのメッセージ・ツールのエラー・ユーザーの入力をイベントの流れに送る（サーバー内蔵版）
+ * プロジェクトごとに同時に動いている全てのセッションを追い、読んだ位置は再起動後も引き継ぐ
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { publishEvent } from "./event-pipeline.js";
+import { toTranscriptEvents, TranscriptRecord } from "./transcript-events.js";
+import { createTranscriptTail, TranscriptTail } from "./transcript-tail.js";
+import { CLAUDE_PROJECTS_DIR, DEBOUNCE_MS, DEFAULT_WATCHER_CHECKPOINT_PATH } from "./constants.js";
+
+// 新しいプロジェクトディレクトリの監視（セッションファイルは tail が監視する）
+let projectsWatcher: fs.FSWatcher | null = null;
+let tail: TranscriptTail | null = null;
+// 一時停止中は読み進めるだけで喋らない（再開したときに止めていた間の分をまとめて喋らないように）
+let paused = false;
+const changeListeners = new Set<(state: SessionWatcherState) => void>();
+
+export interface SessionWatcherState {
+  running: boolean;
+  paused: boolean;
+}
+
+export function getSessionWatcherState(): SessionWatcherState {
+  return { running: tail !== null, paused };
+}
+
+/**
+ * 監視の一時停止・再開（省略時は切り替え）
+ */
+export function setSessionWatcherPaused(value?: boolean): SessionWatcherState {
+  paused = value ?? !paused;
+  console.log(`[SessionWatcher] ${paused ? "Paused" : "Resumed"}`);
+  return notifyChange();
+}
+
+/**
+ * 監視の状態の変更を購読（トレイのメニューなど。解除関数を返す）
+ */
+export function onSessionWatcherChange(listener: (state: SessionWatcherState) => void): () => void {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChange(): SessionWatcherState {
+  const state = getSessionWatcherState();
+  changeListeners.forEach((listener) => listener(state));
+  return state;
+}
+
+async function handleRecord(record: unknown): Promise<void> {
+  // 一時停止中もツールの名前を覚えておくために変換はする
+  const events = toTranscriptEvents(record as TranscriptRecord);
+  if (paused) return;
+  for (const event of events) {
+    if (event.hook_event_name === "AssistantMessage") {
+      console.log(`[SessionWatcher] New message: ${event.message!.substring(0, 50)}...`);
+    }
+    await publishEvent("transcript", event);
+  }
+}
+
+/**
+ * 全プロジェクトのセッションファイル監視を開始
+ */
+export function startSessionWatcher(): void {
+  if (tail) return;
+  console.log("[SessionWatcher] Starting...");
+
+  if (!fs.existsSync(CLAUDE_PROJECTS_DIR)) {
+    console.log(`[SessionWatcher] Projects dir not found: ${CLAUDE_PROJECTS_DIR}`);
+    return;
+  }
+
+  const sessions = createTranscriptTail({
+    checkpointPath: DEFAULT_WATCHER_CHECKPOINT_PATH,
+    debounceMs: DEBOUNCE_MS,
+    onRecord: handleRecord,
+    idOf: (record) => (record as TranscriptRecord).uuid,
+  });
+  tail = sessions;
+
+  const projectDirs = fs
+    .readdirSync(CLAUDE_PROJECTS_DIR)
+    .map((name) => path.join(CLAUDE_PROJECTS_DIR, name))
+    .filter((p) => fs.statSync(p).isDirectory());
+
+  console.log(`[SessionWatcher] Found ${projectDirs.length} project directories`);
+
+  for (const projectDir of projectDirs) {
+    sessions.watchDirectory(projectDir);
+  }
+
+  // 新しいプロジェクトディレクトリの監視
+  projectsWatcher = fs.watch(CLAUDE_PROJECTS_DIR, (eventType, filename) => {
+    if (!filename) return;
+    const newDir = path.join(CLAUDE_PROJECTS_DIR, filename);
+    if (fs.existsSync(newDir) && fs.statSync(newDir).isDirectory()) {
+      console.log(`[SessionWatcher] Watching: ${filename}`);
+      sessions.watchDirectory(newDir);
+    }
+  });
+  notifyChange();
+}
+
+/**
+ * 監視を停止（読んだ位置を保存する）
+ */
+export function stopSessionWatcher(): void {
+  projectsWatcher?.close();
+  projectsWatcher = null;
+  tail?.stop();
+  tail = null;
+  console.log("[SessionWatcher] Stopped");
+  notifyChange();
+}
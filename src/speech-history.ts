@@ -0,0 +1,199 @@
+/**
+ * 喋った内容の履歴
+ * 喋り終えた発話を JSONL に追記し、GET /history で絞り込み、JSONL・SRT（区切りごとの再生時刻）に書き出す
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+import { getHistoryConfig, onConfigChange, VoiceProfile } from "./config.js";
+import type { SpeechResult } from "./voicevox.js";
+
+export interface HistoryEntry {
+  id: number;
+  // 喋り始めた時刻
+  at: string;
+  project?: string;
+  session?: string;
+  // hooks / transcript / manual / replay
+  source: string;
+  // 発話の種類（AssistantMessage, Error, Stop など）
+  event: string;
+  // 読み替える前のテキスト（アシスタントのメッセージは Markdown のままの元の文）
+  original: string;
+  // 読み上げたテキスト
+  text: string;
+  expression: string | null;
+  voice: { profiles: string[]; profile: VoiceProfile };
+  // 再生した区切り（offsetMs は at からの時間）
+  chunks: Array<{ text: string; offsetMs: number; durationMs: number }>;
+  durationMs: number;
+  truncated?: boolean;
+  interrupted?: boolean;
+  // 再生し直した履歴の id
+  replayOf?: number;
+}
+
+export interface HistoryFilter {
+  project?: string;
+  session?: string;
+  source?: string;
+  event?: string;
+  // この時刻以降・以前（ISO 8601 か epoch ミリ秒）
+  since?: string;
+  until?: string;
+  // テキストに含む文字列
+  q?: string;
+  // 新しいほうから何件まで
+  limit?: number;
+}
+
+export type HistoryInput = Omit<HistoryEntry, "id" | "at" | "chunks" | "durationMs" | "truncated" | "interrupted">;
+
+let entries: HistoryEntry[] | null = null;
+// ファイルの行数（maxEntries の倍を超えたら書き直す）
+let fileLines = 0;
+let nextId = 1;
+
+// 置き場所が変わるかもしれないので、設定が変わったら読み直す
+onConfigChange(() => {
+  entries = null;
+});
+
+function loadHistory(): HistoryEntry[] {
+  if (entries) return entries;
+  const { path: file, maxEntries } = getHistoryConfig();
+  const loaded: HistoryEntry[] = [];
+  try {
+    const lines = fs.readFileSync(file, "utf-8").split("\n").filter(Boolean);
+    fileLines = lines.length;
+    for (const line of lines) {
+      try {
+        loaded.push(JSON.parse(line) as HistoryEntry);
+      } catch {
+        // 書きかけで終わった行は飛ばす
+      }
+    }
+  } catch {
+    // 初回起動時など
+    fileLines = 0;
+  }
+  entries = loaded.slice(-maxEntries);
+  nextId = Math.max(0, ...entries.map((e) => e.id)) + 1;
+  return entries;
+}
+
+/**
+ * 古い履歴を捨ててファイルを書き直す
+ */
+function compact(history: HistoryEntry[]): void {
+  const { path: file } = getHistoryConfig();
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, history.map((entry) => JSON.stringify(entry) + "\n").join(""));
+  fs.renameSync(tmp, file);
+  fileLines = history.length;
+}
+
+/**
+ * 喋り終えた発話を記録する（history.enabled が false なら記録しない）
+ */
+export function recordSpeech(input: HistoryInput, result: SpeechResult): HistoryEntry | null {
+  const config = getHistoryConfig();
+  if (!config.enabled || result.chunks.length === 0) return null;
+
+  const history = loadHistory();
+  const startedAt = result.chunks[0].startedAt;
+  const last = result.chunks[result.chunks.length - 1];
+  const entry: HistoryEntry = {
+    id: nextId++,
+    at: new Date(startedAt).toISOString(),
+    ...input,
+    chunks: result.chunks.map(({ text, startedAt: chunkAt, durationMs }) => ({
+      text,
+      offsetMs: chunkAt - startedAt,
+      durationMs,
+    })),
+    durationMs: last.startedAt + last.durationMs - startedAt,
+    ...(result.truncated && { truncated: true }),
+    ...(result.interrupted && { interrupted: true }),
+  };
+
+  history.push(entry);
+  if (history.length > config.maxEntries) history.splice(0, history.length - config.maxEntries);
+  try {
+    fs.mkdirSync(path.dirname(config.path), { recursive: true });
+    if (fileLines + 1 > config.maxEntries * 2) {
+      compact(history);
+    } else {
+      fs.appendFileSync(config.path, JSON.stringify(entry) + "\n");
+      fileLines++;
+    }
+  } catch (error) {
+    console.error(`[History] Failed to save: ${(error as Error).message}`);
+  }
+  return entry;
+}
+
+function parseTime(value: string | undefined): number | undefined {
+  if (!value) return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * 履歴を絞り込む（古い順。limit があれば新しいほうからその件数）
+ */
+export function getHistory(filter: HistoryFilter = {}): HistoryEntry[] {
+  const since = parseTime(filter.since);
+  const until = parseTime(filter.until);
+  const q = filter.q?.toLowerCase();
+  const matched = loadHistory().filter((entry) => {
+    const at = Date.parse(entry.at);
+    return (
+      (!filter.project || entry.project === filter.project) &&
+      (!filter.session || entry.session === filter.session) &&
+      (!filter.source || entry.source === filter.source) &&
+      (!filter.event || entry.event === filter.event) &&
+      (since === undefined || at >= since) &&
+      (until === undefined || at <= until) &&
+      (!q || entry.text.toLowerCase().includes(q) || entry.original.toLowerCase().includes(q))
+    );
+  });
+  return filter.limit !== undefined ? matched.slice(-filter.limit) : matched;
+}
+
+export function getHistoryEntry(id: number): HistoryEntry | null {
+  return loadHistory().find((entry) => entry.id === id) ?? null;
+}
+
+export function toJsonl(history: HistoryEntry[]): string {
+  return history.map((entry) => JSON.stringify(entry) + "\n").join("");
+}
+
+/**
+ * SRT の時刻（00:01:02,345）
+ */
+function srtTime(ms: number): string {
+  const pad = (n: number, width = 2) => String(n).padStart(width, "0");
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(total % 1000, 3)}`;
+}
+
+/**
+ * 区切りごとの再生時刻で字幕にする（最初の発話を 0 秒とし、発話の間の時間もそのまま空ける）
+ */
+export function toSrt(history: HistoryEntry[]): string {
+  if (history.length === 0) return "";
+  const base = Date.parse(history[0].at);
+  const cues: string[] = [];
+  for (const entry of history) {
+    const at = Date.parse(entry.at) - base;
+    for (const chunk of entry.chunks) {
+      const start = at + chunk.offsetMs;
+      cues.push(`${cues.length + 1}\n${srtTime(start)} --> ${srtTime(start + chunk.durationMs)}\n${chunk.text}\n`);
+    }
+  }
+  return cues.join("\n");
+}
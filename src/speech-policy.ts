@@ -0,0 +1,220 @@
+/**
+ * 喋る前のふるい
+ * 静かにする時間帯・集中モード・1分間の回数の上限で発話を止め、続けて来たツールの発話は1つにまとめる
+ * 止めた発話も表情は変わる（表情は formatter が読み上げテキストを作るときに変える）
+ */
+
+import { getPolicyConfig, PolicyConfig, QuietHours } from "./config.js";
+import { MAX_FOCUS_MINUTES } from "./constants.js";
+import { formatWorkBurst } from "./formatter.js";
+import { enqueueSpeech, QueuedSpeech, SpeechRequest } from "./speech-queue.js";
+import type { WorkAction } from "./work-history.js";
+
+// 止めた理由（coalesced はまとめて後で喋る）
+export type PolicyVerdict = "quiet-hours" | "focus" | "rate-limited" | "coalesced";
+
+export interface PolicyResult {
+  queued: QueuedSpeech | null;
+  suppressed?: PolicyVerdict;
+}
+
+export interface PolicyState {
+  // 今が静かにする時間帯か
+  quietHours: boolean;
+  focus: { until: string } | null;
+  // 直近1分間に喋った回数と上限
+  lastMinute: number;
+  maxPerMinute: number;
+  // まとめて喋るのを待っている発話の数
+  coalescing: number;
+}
+
+// まとめ読みに渡すツールの作業
+export interface BurstItem {
+  tool: string;
+  // 同じツールの PreToolUse と PostToolUse を1回と数えるため
+  id?: string;
+  entry: { action: WorkAction; target?: string };
+}
+
+interface Burst {
+  requests: SpeechRequest[];
+  entries: Map<string, BurstItem["entry"]>;
+  timer: NodeJS.Timeout;
+}
+
+const RATE_WINDOW_MS = 60_000;
+// まとめ読みの対象（それ以外はまとめない）
+const COALESCE_KINDS = new Set(["PreToolUse", "PostToolUse"]);
+
+let focusUntil: number | null = null;
+let focusTimer: NodeJS.Timeout | null = null;
+// 喋った時刻（1分間の回数を数える）
+const spokenAt: number[] = [];
+// セッション・プロジェクト → まとめ待ちの発話
+const bursts = new Map<string, Burst>();
+let nextBurstItem = 0;
+const changeListeners = new Set<(state: PolicyState) => void>();
+
+function burstKeyOf(request: SpeechRequest): string {
+  return `${request.session ?? ""}:${request.project ?? ""}`;
+}
+
+function minutesOf(time: string): number {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * 静かにする時間帯か（日をまたぐ時間帯は始まった日の曜日で判定する）
+ */
+function isQuietHours(ranges: QuietHours[], now = new Date()): boolean {
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const today = now.getDay();
+  const yesterday = (today + 6) % 7;
+  return ranges.some(({ start, end, days }) => {
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    const on = (day: number) => !days || days.includes(day);
+    if (from <= to) return on(today) && minutes >= from && minutes < to;
+    return (on(today) && minutes >= from) || (on(yesterday) && minutes < to);
+  });
+}
+
+function isFocused(): boolean {
+  return focusUntil !== null && Date.now() < focusUntil;
+}
+
+function pruneSpokenAt(): void {
+  const since = Date.now() - RATE_WINDOW_MS;
+  while (spokenAt.length > 0 && spokenAt[0] <= since) spokenAt.shift();
+}
+
+export function getPolicyState(): PolicyState {
+  const config = getPolicyConfig();
+  pruneSpokenAt();
+  return {
+    quietHours: isQuietHours(config.quietHours),
+    focus: isFocused() ? { until: new Date(focusUntil!).toISOString() } : null,
+    lastMinute: spokenAt.length,
+    maxPerMinute: config.maxPerMinute,
+    coalescing: [...bursts.values()].reduce((sum, burst) => sum + burst.requests.length, 0),
+  };
+}
+
+/**
+ * 状態の変更を購読（集中モードの開始・終了。トレイのメニューなど。解除関数を返す）
+ */
+export function onPolicyChange(listener: (state: PolicyState) => void): () => void {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+function notifyChange(): PolicyState {
+  const state = getPolicyState();
+  changeListeners.forEach((listener) => listener(state));
+  return state;
+}
+
+/**
+ * 集中モードにする（minutes 分後に自動で終わる。MAX_FOCUS_MINUTES で頭打ち。null・0 以下で終える）
+ */
+export function setFocusMode(minutes: number | null): PolicyState {
+  if (focusTimer) clearTimeout(focusTimer);
+  focusTimer = null;
+  const length = minutes === null || Number.isNaN(minutes) || minutes <= 0 ? null : Math.min(minutes, MAX_FOCUS_MINUTES);
+  focusUntil = length === null ? null : Date.now() + length * 60_000;
+  if (length !== null) {
+    focusTimer = setTimeout(() => {
+      focusTimer = null;
+      focusUntil = null;
+      console.log("[Policy] Focus mode ended");
+      notifyChange();
+    }, length * 60_000);
+    console.log(`[Policy] Focus mode for ${length} min`);
+  } else {
+    console.log("[Policy] Focus mode off");
+  }
+  return notifyChange();
+}
+
+/**
+ * 回数の上限を見てキューに積む
+ */
+function admit(request: SpeechRequest, config: PolicyConfig): PolicyResult {
+  pruneSpokenAt();
+  if (config.maxPerMinute > 0 && spokenAt.length >= config.maxPerMinute) {
+    console.log(`[Policy] Rate limited (${config.maxPerMinute}/min): ${request.text.substring(0, 30)}`);
+    return { queued: null, suppressed: "rate-limited" };
+  }
+  spokenAt.push(Date.now());
+  return { queued: enqueueSpeech(request) };
+}
+
+/**
+ * まとめ待ちの発話を喋る（1件だけならそのまま、複数なら「5つのファイルを編集したのだ」）
+ */
+function flushBurst(key: string): void {
+  const burst = bursts.get(key);
+  if (!burst) return;
+  clearTimeout(burst.timer);
+  bursts.delete(key);
+
+  const last = burst.requests[burst.requests.length - 1];
+  let request = last;
+  if (burst.requests.length > 1) {
+    const speech = formatWorkBurst([...burst.entries.values()], last.project);
+    if (speech) {
+      request = { ...last, text: speech.text, original: speech.original, expression: speech.expression };
+      console.log(`[Policy] Coalesced ${burst.requests.length} tool messages: ${speech.text}`);
+    }
+  }
+
+  // まとめている間に静かにする時間帯や集中モードになっていたら喋らない
+  const config = getPolicyConfig();
+  if (config.enabled && (isQuietHours(config.quietHours) || isFocused())) return;
+  admit(request, config);
+}
+
+/**
+ * 発話をふるいにかけてキューに積む（burst があれば続けて来たツールの発話とまとめる）
+ * 手動の発話（/speak/text・履歴の再生）はここを通さない
+ */
+export function submitSpeech(request: SpeechRequest, burst?: BurstItem): PolicyResult {
+  const config = getPolicyConfig();
+  if (!config.enabled) return { queued: enqueueSpeech(request) };
+
+  const kind = request.kind ?? "Manual";
+  if (config.alwaysSpeak.includes(kind)) {
+    spokenAt.push(Date.now());
+    return { queued: enqueueSpeech(request) };
+  }
+  if (isQuietHours(config.quietHours)) {
+    console.log(`[Policy] Quiet hours, skipping ${kind}`);
+    return { queued: null, suppressed: "quiet-hours" };
+  }
+  if (isFocused()) {
+    console.log(`[Policy] Focus mode, skipping ${kind}`);
+    return { queued: null, suppressed: "focus" };
+  }
+
+  if (burst && config.coalesceWindowMs > 0 && COALESCE_KINDS.has(kind) && config.coalesceTools.includes(burst.tool)) {
+    const key = burstKeyOf(request);
+    let pending = bursts.get(key);
+    if (!pending) {
+      pending = {
+        requests: [],
+        entries: new Map(),
+        timer: setTimeout(() => flushBurst(key), config.coalesceWindowMs),
+      };
+      bursts.set(key, pending);
+    }
+    pending.requests.push(request);
+    pending.entries.set(burst.id ?? `#${nextBurstItem++}`, burst.entry);
+    return { queued: null, suppressed: "coalesced" };
+  }
+
+  // まとめ待ちのツールの発話を先に喋る（順番を入れ替えない）
+  flushBurst(burstKeyOf(request));
+  return admit(request, config);
+}
@@ -0,0 +1,240 @@
+/**
+ * 読み上げキュー
+ * 優先度順に1件ずつ喋り、溢れた分や古くなった分は捨てる
+ */
+
+import { speakWithVoicevox, stopCurrentPlayback } from "./voicevox.js";
+import { basename } from "path";
+import { getQueueConfig } from "./config.js";
+import { resolveVoice, ResolvedVoice } from "./voice-profiles.js";
+import { recordSpeech, HistoryInput } from "./speech-history.js";
+import type { HookData } from "./formatter.js";
+
+export interface SpeechRequest {
+  text: string;
+  // 発話の種類（PermissionRequest, Error, AssistantMessage, Manual など）
+  kind?: string;
+  project?: string;
+  // 作業ディレクトリ（声のプロファイルをパスで選ぶ場合に使う）
+  cwd?: string;
+  // 声のプロファイル名（種類・プロジェクトの割り当てより優先）
+  voice?: string;
+  // 履歴に残す情報（どこから来たか・hooks の session_id・読み替える前のテキスト・表情・再生し直した履歴の id）
+  source?: string;
+  session?: string;
+  original?: string;
+  expression?: string | null;
+  replayOf?: number;
+}
+
+export interface QueuedSpeech {
+  id: number;
+  text: string;
+  kind: string;
+  project?: string;
+  voice: ResolvedVoice;
+  priority: number;
+  enqueuedAt: number;
+  history: HistoryInput;
+}
+
+export interface QueueState {
+  current: QueuedSpeech | null;
+  pending: QueuedSpeech[];
+  maxDepth: number;
+}
+
+let nextId = 1;
+let pending: QueuedSpeech[] = [];
+let current: QueuedSpeech | null = null;
+let draining = false;
+
+/**
+ * hooks データから発話の種類を判定（failed は formatter がツールの失敗を伝える発話にしたとき）
+ */
+export function speechKindOf(data: HookData, failed = false): string {
+  if (failed || data.tool_error) return "Error";
+  if (data.hook_event_name) return data.hook_event_name;
+  return data.tool_name ? "PostToolUse" : "Manual";
+}
+
+/**
+ * hooks データからプロジェクト名を判定（project が無ければ cwd のディレクトリ名）
+ */
+export function speechProjectOf(data: HookData): string | undefined {
+  return data.project ?? (data.cwd ? basename(data.cwd) : undefined);
+}
+
+function priorityOf(kind: string): number {
+  const { priorities, defaultPriority } = getQueueConfig();
+  return priorities[kind] ?? defaultPriority;
+}
+
+/**
+ * 優先度が高い順、同じ優先度なら古い順に並べる位置に挿入
+ */
+function insertByPriority(item: QueuedSpeech): void {
+  const index = pending.findIndex((p) => p.priority < item.priority);
+  if (index === -1) {
+    pending.push(item);
+  } else {
+    pending.splice(index, 0, item);
+  }
+}
+
+/**
+ * 満杯のときに1件捨てる。新しい発話を捨てる場合は false を返す
+ */
+function makeRoom(item: QueuedSpeech): boolean {
+  const { maxDepth, dropPolicy } = getQueueConfig();
+  if (pending.length < maxDepth) return true;
+
+  if (dropPolicy === "reject-new") {
+    console.log(`[Queue] Full, rejected #${item.id}`);
+    return false;
+  }
+
+  if (dropPolicy === "drop-oldest") {
+    const oldest = pending.reduce((a, b) => (b.enqueuedAt < a.enqueuedAt ? b : a));
+    pending = pending.filter((p) => p !== oldest);
+    console.log(`[Queue] Full, dropped oldest #${oldest.id}`);
+    return true;
+  }
+
+  // drop-lowest: 末尾が最も優先度が低く、その中で最も新しい
+  const lowest = pending[pending.length - 1];
+  if (lowest.priority > item.priority) {
+    console.log(`[Queue] Full, rejected lower-priority #${item.id}`);
+    return false;
+  }
+  pending.pop();
+  console.log(`[Queue] Full, dropped lowest #${lowest.id}`);
+  return true;
+}
+
+/**
+ * キューに追加して再生を開始する。捨てられた場合は null
+ */
+export function enqueueSpeech(request: SpeechRequest): QueuedSpeech | null {
+  const config = getQueueConfig();
+  const kind = request.kind ?? "Manual";
+  const voice = resolveVoice({ kind, project: request.project, cwd: request.cwd, voice: request.voice });
+  const item: QueuedSpeech = {
+    id: nextId++,
+    text: request.text,
+    kind,
+    project: request.project,
+    voice,
+    priority: priorityOf(kind),
+    enqueuedAt: Date.now(),
+    history: {
+      project: request.project,
+      session: request.session,
+      source: request.source ?? "manual",
+      event: kind,
+      original: request.original ?? request.text,
+      text: request.text,
+      expression: request.expression ?? null,
+      voice,
+      ...(request.replayOf !== undefined && { replayOf: request.replayOf }),
+    },
+  };
+
+  // 同じ種類・同じプロジェクトの待ち発話は古いほうを捨てて最新にまとめる
+  if (config.mergeKinds.includes(kind)) {
+    const before = pending.length;
+    pending = pending.filter((p) => !(p.kind === kind && p.project === item.project));
+    if (pending.length < before) {
+      console.log(`[Queue] Merged ${before - pending.length} stale ${kind} item(s) into #${item.id}`);
+    }
+  }
+
+  if (!makeRoom(item)) return null;
+
+  insertByPriority(item);
+
+  // 優先度の高い発話は再生中の低い発話を中断する
+  if (current && item.priority >= config.interruptPriority && item.priority > current.priority) {
+    console.log(`[Queue] #${item.id} (${kind}) interrupts #${current.id}`);
+    stopCurrentPlayback();
+  }
+
+  void drain();
+  return item;
+}
+
+/**
+ * 次に喋る発話を取り出す（待ち時間が長すぎるものは捨てる）
+ */
+function takeNext(): QueuedSpeech | null {
+  const { staleMs, interruptPriority } = getQueueConfig();
+  while (pending.length > 0) {
+    const item = pending.shift()!;
+    const waited = Date.now() - item.enqueuedAt;
+    if (waited > staleMs && item.priority < interruptPriority) {
+      console.log(`[Queue] Dropped stale #${item.id} (waited ${waited}ms)`);
+      continue;
+    }
+    return item;
+  }
+  return null;
+}
+
+async function drain(): Promise<void> {
+  if (draining) return;
+  draining = true;
+  try {
+    let item: QueuedSpeech | null;
+    while ((item = takeNext())) {
+      current = item;
+      try {
+        // 長い発話は、同じ優先度以上の発話が待ち始めたら今の区切りまでで終える
+        const speaking = item;
+        const result = await speakWithVoicevox(item.text, item.voice.profile, {
+          shouldContinue: () => !pending.some((p) => p.priority >= speaking.priority),
+        });
+        recordSpeech(item.history, result);
+      } catch (error) {
+        console.error(`[Queue] Speech error on #${item.id}:`, error);
+      }
+      current = null;
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+export function getQueueState(): QueueState {
+  return { current, pending: [...pending], maxDepth: getQueueConfig().maxDepth };
+}
+
+/**
+ * 再生中の発話を飛ばして次へ進む
+ */
+export function skipCurrent(): QueuedSpeech | null {
+  const skipped = current;
+  if (skipped) {
+    console.log(`[Queue] Skipping #${skipped.id}`);
+    stopCurrentPlayback();
+  }
+  return skipped;
+}
+
+/**
+ * 待ち行列を空にする（再生中の発話はそのまま）
+ */
+export function clearQueue(): number {
+  const count = pending.length;
+  pending = [];
+  console.log(`[Queue] Cleared ${count} item(s)`);
+  return count;
+}
+
+/**
+ * 待ち行列を空にして再生中の発話も止める
+ */
+export function stopAll(): { cleared: number; stopped: QueuedSpeech | null } {
+  const cleared = clearQueue();
+  const stopped = skipCurrent();
+  return { cleared, stopped };
+}
@@ -0,0 +1,70 @@
+/**
+ * 吹き出しの字幕の句と時刻
+ * 区切り（1文）を読点や空白で句に分け、口の形のタイムラインの息継ぎ（pause）に合わせて各句の時刻を決める
+ */
+
+import type { VisemeFrame } from "./lipsync.js";
+
+export interface SubtitlePhrase {
+  text: string;
+  // 区切りの再生を始めてからのミリ秒
+  start: number;
+  duration: number;
+}
+
+// 句の終わり（後ろの句読点・空白は前の句に付ける）
+const PHRASE = /[、，,。．！？!?…\s]*[^、，,。．！？!?…\s]+[、，,。．！？!?…\s]*/g;
+const PUNCTUATION = /[、，,。．！？!?…\s]/g;
+
+/**
+ * 声が出ている区間（pause で区切られたまとまり）
+ */
+function voicedSegments(timeline: VisemeFrame[]): Array<{ start: number; end: number }> {
+  const segments: Array<{ start: number; end: number }> = [];
+  let current: { start: number; end: number } | null = null;
+  for (const frame of timeline) {
+    if (frame.viseme === "pause") {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { start: frame.start, end: frame.start + frame.duration };
+      segments.push(current);
+    } else {
+      current.end = frame.start + frame.duration;
+    }
+  }
+  return segments;
+}
+
+/**
+ * 句ごとの時刻
+ * 息継ぎの数が句の区切りと合えばその時刻、合わなければ声が出ている間を文字数で割る
+ */
+export function buildSubtitlePhrases(text: string, durationMs: number, timeline?: VisemeFrame[]): SubtitlePhrase[] {
+  const texts = text.match(PHRASE) ?? [text];
+  const segments = timeline ? voicedSegments(timeline) : [];
+
+  let starts: number[];
+  if (segments.length === texts.length) {
+    starts = segments.map((segment) => segment.start);
+  } else {
+    const from = segments.length > 0 ? segments[0].start : 0;
+    const to = segments.length > 0 ? segments[segments.length - 1].end : durationMs;
+    const weights = texts.map((t) => Math.max(1, Array.from(t.replace(PUNCTUATION, "")).length));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    let cursor = from;
+    starts = weights.map((w) => {
+      const start = cursor;
+      cursor += ((to - from) * w) / total;
+      return Math.round(start);
+    });
+  }
+
+  // 最初の句は 0 から、最後の句は再生の終わりまで（前後の無音の間も強調を残す）
+  starts[0] = 0;
+  return texts.map((t, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1] : Math.max(durationMs, starts[i]);
+    return { text: t, start: starts[i], duration: end - starts[i] };
+  });
+}
@@ -0,0 +1,106 @@
+/**
+ * 抜き出しによる要約
+ * 最初の文・見出し・結論らしい文を選んで「〜なのだ」の口調にする（LLM を使わないのですぐ返る）
+ */
+
+import { normalizeForSpeech } from "../normalizer.js";
+import { getActivePersona, getMessage } from "../messages.js";
+import { splitSentences } from "../sentences.js";
+import type { Summarizer, SummaryOptions } from "./types.js";
+
+const FENCE = /(^|\n) {0,3}(`{3,}|~{3,})[\s\S]*?(?:\n {0,3}\2[`~]*[ \t]*(?=\n|$)|$)/g;
+const HEADING = /^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/;
+// 結論らしい文（後ろのほうで最後に当たったものを使う）
+const CONCLUSION =
+  /まとめ|結論|つまり|要するに|以上|最終的に|完了|できました|しました|ました。?$|\b(in summary|overall|in short|to summarize|tl;dr|done|all tests pass)/i;
+// 見出しは最大いくつまで読むか
+const MAX_HEADINGS = 4;
+
+// 文末の言い回し → 「なのだ」口調（上から順に1つだけ当てる）
+const ENDINGS: Array<[RegExp, string]> = [
+  [/(?:のだ|なのだ)$/, "$&"],
+  [/ありませんでした$/, "なかったのだ"],
+  [/できませんでした$/, "できなかったのだ"],
+  [/(?:ありません|ないです)$/, "ないのだ"],
+  [/できません$/, "できないのだ"],
+  [/でした$/, "だったのだ"],
+  [/しました$/, "したのだ"],
+  [/できました$/, "できたのだ"],
+  [/なりました$/, "なったのだ"],
+  [/わかりました$/, "わかったのだ"],
+  [/します$/, "するのだ"],
+  [/できます$/, "できるのだ"],
+  [/あります$/, "あるのだ"],
+  [/います$/, "いるのだ"],
+  [/なります$/, "なるのだ"],
+  [/です$/, "なのだ"],
+  [/(?<!な)だ$/, "なのだ"],
+  [/(?<!まし)[たるい]$/, "$&のだ"],
+  [/[\p{Script=Han}\p{Script=Katakana}ー]$/u, "$&なのだ"],
+];
+
+/**
+ * 1文を「〜なのだ」の口調にする（英文や言い換えられない文はそのまま）
+ */
+export function toCharacterStyle(sentence: string): string {
+  const match = sentence.match(/^(.*?)([。．！？!?…]*)$/s);
+  if (!match) return sentence;
+  const [, body, punctuation] = match;
+  for (const [pattern, replacement] of ENDINGS) {
+    if (pattern.test(body)) {
+      return body.replace(pattern, replacement) + (punctuation || "。");
+    }
+  }
+  return sentence;
+}
+
+/**
+ * Markdown を見出しと本文の文に分ける（コードブロックは読まない）
+ */
+function parse(text: string): { headings: string[]; sentences: string[] } {
+  const headings: string[] = [];
+  const body: string[] = [];
+  for (const line of text.replace(/\r\n?/g, "\n").replace(FENCE, "$1").split("\n")) {
+    const heading = line.match(HEADING);
+    if (heading) {
+      headings.push(normalizeForSpeech(heading[1]).replace(/[。：:]$/, ""));
+    } else {
+      body.push(line);
+    }
+  }
+  return {
+    headings: headings.filter(Boolean),
+    sentences: splitSentences(normalizeForSpeech(body.join("\n"))),
+  };
+}
+
+export function summarizeExtractive(text: string, maxLength: number): string {
+  const { headings, sentences } = parse(text);
+  // ペルソナを選んでいるときは口調を変えない
+  const restyle = getActivePersona() ? (sentence: string) => sentence : toCharacterStyle;
+  const first = sentences[0];
+  const conclusion = [...sentences.slice(1)].reverse().find((s) => CONCLUSION.test(s));
+
+  const parts = [first && restyle(first)];
+  if (headings.length > 0) {
+    const topics = headings.slice(0, MAX_HEADINGS).join(getMessage("SUMMARY_TOPIC_SEPARATOR"));
+    parts.push(getMessage(headings.length > MAX_HEADINGS ? "SUMMARY_TOPICS_MORE" : "SUMMARY_TOPICS", { topics }));
+  }
+  if (conclusion && conclusion !== first) parts.push(restyle(conclusion));
+
+  // 長すぎる場合は見出し、結論の順に落とす
+  let summary = parts.filter(Boolean).join("");
+  for (let drop = 1; summary.length > maxLength && drop < parts.length; drop++) {
+    summary = parts.filter((part, i) => part && (i === 0 || i > drop)).join("");
+  }
+  return summary.length > maxLength ? summary.slice(0, maxLength) : summary;
+}
+
+export function createExtractiveSummarizer(): Summarizer {
+  return {
+    name: "extractive",
+    async summarize(text: string, { maxLength }: SummaryOptions): Promise<string> {
+      return summarizeExtractive(text, maxLength);
+    },
+  };
+}
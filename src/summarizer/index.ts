@@ -0,0 +1,73 @@
+/**
+ * 長いアシスタントのメッセージの要約
+ * config の summarizer.mode が llm ならローカルの LLM に要約させ、
+ * deadlineMs までに返ってこなければ（失敗した場合も）抜き出しの要約を使う
+ */
+
+import { getSummarizerConfig } from "../config.js";
+import { getCharacter } from "../character.js";
+import { normalizeForSpeech } from "../normalizer.js";
+import { splitSentences } from "../sentences.js";
+import { getActivePersona } from "../messages.js";
+import { createExtractiveSummarizer, toCharacterStyle } from "./extractive.js";
+import { createLlmSummarizer } from "./llm.js";
+import type { Summarizer } from "./types.js";
+
+export type { Summarizer, SummaryOptions } from "./types.js";
+export { toCharacterStyle } from "./extractive.js";
+
+export interface Summary {
+  text: string;
+  // 使った要約の方法（llm が間に合わなければ extractive）
+  summarizer: string;
+  elapsedMs: number;
+}
+
+/**
+ * LLM の返答を読み上げ用に整える（Markdown を外し、ペルソナを選んでいなければ口調をそろえて長さを抑える）
+ */
+function tidy(text: string, maxLength: number): string {
+  const sentences = splitSentences(normalizeForSpeech(text));
+  const styled = getActivePersona() ? sentences : sentences.map(toCharacterStyle);
+  let result = "";
+  for (const sentence of styled) {
+    if (result && result.length + sentence.length > maxLength) break;
+    result += sentence;
+  }
+  return result.slice(0, maxLength);
+}
+
+export async function summarizeMessage(text: string): Promise<Summary> {
+  const config = getSummarizerConfig();
+  const startedAt = Date.now();
+  const options = { maxLength: config.maxLength, characterName: getCharacter().name };
+  const extractive = createExtractiveSummarizer();
+
+  if (config.mode === "llm") {
+    const llm: Summarizer = createLlmSummarizer(config);
+    const controller = new AbortController();
+    // 締め切りを過ぎたら LLM の応答を待たずに打ち切る（読み上げを遅らせない）
+    const timer = setTimeout(() => controller.abort(), config.deadlineMs);
+    try {
+      const summary = tidy(await llm.summarize(text, { ...options, signal: controller.signal }), config.maxLength);
+      if (summary) {
+        return { text: summary, summarizer: llm.name, elapsedMs: Date.now() - startedAt };
+      }
+      console.warn("[Summarizer] LLM returned an empty summary, using extractive");
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.warn(`[Summarizer] LLM missed the ${config.deadlineMs}ms deadline, using extractive`);
+      } else {
+        console.warn(`[Summarizer] LLM failed (${(error as Error).message}), using extractive`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    text: await extractive.summarize(text, options),
+    summarizer: extractive.name,
+    elapsedMs: Date.now() - startedAt,
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * ローカルの LLM による要約
+ * OpenAI 互換（/v1/chat/completions。llama.cpp server・LM Studio など）か Ollama（/api/chat）の API を呼ぶ
+ */
+
+import type { Summarizer, SummaryOptions } from "./types.js";
+
+// 長いメッセージは先頭だけ渡す（要約の待ち時間を抑える）
+const MAX_INPUT_LENGTH = 4000;
+
+export interface LlmSummarizerOptions {
+  api: "openai" | "ollama";
+  url: string;
+  model: string;
+  apiKey?: string;
+  // システムプロンプト（{name} {maxLength} を置換）
+  prompt: string;
+}
+
+interface ChatMessage {
+  role: "system" | "user";
+  content: string;
+}
+
+export function createLlmSummarizer({ api, url, model, apiKey, prompt }: LlmSummarizerOptions): Summarizer {
+  async function post(path: string, body: object, signal?: AbortSignal): Promise<unknown> {
+    const res = await fetch(`${url.replace(/\/+$/, "")}${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!res.ok) {
+      throw new Error(`${api} ${path} failed: ${res.status}`);
+    }
+    return res.json();
+  }
+
+  return {
+    name: "llm",
+
+    async summarize(text: string, { signal, maxLength, characterName }: SummaryOptions): Promise<string> {
+      const messages: ChatMessage[] = [
+        {
+          role: "system",
+          content: prompt.replaceAll("{name}", characterName).replaceAll("{maxLength}", String(maxLength)),
+        },
+        { role: "user", content: text.slice(0, MAX_INPUT_LENGTH) },
+      ];
+
+      if (api === "ollama") {
+        const data = (await post("/api/chat", { model, messages, stream: false }, signal)) as {
+          message?: { content?: string };
+        };
+        return data.message?.content ?? "";
+      }
+
+      const data = (await post(
+        "/v1/chat/completions",
+        { model, messages, stream: false, temperature: 0.3, max_tokens: 256 },
+        signal
+      )) as { choices?: Array<{ message?: { content?: string } }> };
+      return data.choices?.[0]?.message?.content ?? "";
+    },
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * 要約の共通インターフェース
+ */
+
+export interface SummaryOptions {
+  signal?: AbortSignal;
+  // 要約の最大文字数（目安）
+  maxLength: number;
+  // 口調を合わせるキャラクターの名前
+  characterName: string;
+}
+
+export interface Summarizer {
+  // config の summarizer.mode
+  readonly name: string;
+  // 読み上げ用の要約（Markdown のままでもよい。読み上げ前に整える）
+  summarize(text: string, options: SummaryOptions): Promise<string>;
+}
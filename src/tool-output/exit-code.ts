@@ -0,0 +1,14 @@
+/**
+ * 他のパーサーが読めなかった失敗を終了コードだけで伝える
+ */
+
+import type { ToolOutputParser } from "./types.js";
+
+export const exitCodeParser: ToolOutputParser = {
+  name: "exit-code",
+  tools: ["Bash"],
+  parse(result) {
+    if (result.exitCode === undefined || result.exitCode === 0) return null;
+    return { parser: "exit-code", kind: "exit", ok: false, exitCode: result.exitCode };
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * git commit / git push の結果を読む
+ */
+
+import type { ToolOutputParser } from "./types.js";
+
+// [main 1a2b3c4] メッセージ
+const COMMIT_HEADER = /^\[[^\]\n]+ [0-9a-f]{7,}\] /m;
+//  3 files changed, 42 insertions(+), 5 deletions(-)
+const DIFF_STAT = /(\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?/;
+//    1a2b3c4..5d6e7f8  main -> main
+const PUSHED_REF = /^\s+(?:[0-9a-f]+\.\.\.?[0-9a-f]+|\* \[new branch\]|\+ [0-9a-f]+\.\.\.[0-9a-f]+)\s+\S+ -> (\S+)/m;
+
+export const gitCommitParser: ToolOutputParser = {
+  name: "git-commit",
+  tools: ["Bash"],
+  parse(result) {
+    if (!/\bgit\s+(?:-\S+\s+)*commit\b/.test(result.command) && !COMMIT_HEADER.test(result.output)) return null;
+
+    if (/\bnothing (?:added )?to commit\b/.test(result.output)) {
+      return { parser: "git-commit", kind: "commit", ok: true, files: 0, exitCode: result.exitCode };
+    }
+    const committed = COMMIT_HEADER.test(result.output);
+    const stat = result.output.match(DIFF_STAT);
+    return {
+      parser: "git-commit",
+      kind: "commit",
+      ok: committed && !result.failed,
+      files: stat ? Number(stat[1]) : undefined,
+      insertions: stat ? Number(stat[2] ?? 0) : undefined,
+      deletions: stat ? Number(stat[3] ?? 0) : undefined,
+      exitCode: result.exitCode,
+    };
+  },
+};
+
+export const gitPushParser: ToolOutputParser = {
+  name: "git-push",
+  tools: ["Bash"],
+  parse(result) {
+    if (!/\bgit\s+(?:-\S+\s+)*push\b/.test(result.command)) return null;
+
+    const { output } = result;
+    const rejected = /\[(?:rejected|remote rejected)\]/.test(output);
+    return {
+      parser: "git-push",
+      kind: "push",
+      ok: !rejected && !result.failed,
+      branch: output.match(PUSHED_REF)?.[1],
+      upToDate: /\bEverything up-to-date\b/.test(output),
+      rejected,
+      exitCode: result.exitCode,
+    };
+  },
+};
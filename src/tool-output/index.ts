@@ -0,0 +1,119 @@
+/**
+ * ツールの出力（PostToolUse の tool_response）を読んで、テストの数・型エラーの数・コミットの結果などを取り出す
+ * パーサーはツールごとに config の toolOutput.parsers の順に試し、最初に読めたものを使う
+ */
+
+import { getToolOutputConfig } from "../config.js";
+import type { HookData } from "../hook-events.js";
+import { cargoParser, goParser, jestParser, mochaParser, pytestParser, vitestParser } from "./tests.js";
+import { gitCommitParser, gitPushParser } from "./git.js";
+import { tscParser } from "./typecheck.js";
+import { exitCodeParser } from "./exit-code.js";
+import type { ToolOutcome, ToolOutputParser, ToolResult } from "./types.js";
+
+export type { ToolOutcome, ToolOutputParser, ToolResult } from "./types.js";
+
+// 登録順（toolOutput.parsers にツールが無ければこの順に試す。exit-code は最後の受け皿）
+const parsers: ToolOutputParser[] = [
+  jestParser,
+  vitestParser,
+  mochaParser,
+  pytestParser,
+  cargoParser,
+  goParser,
+  gitCommitParser,
+  gitPushParser,
+  tscParser,
+  exitCodeParser,
+];
+
+const ANSI_ESCAPE = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * パーサーを足す（同じ名前があれば置き換える。exit-code より前に試す）
+ */
+export function registerToolOutputParser(parser: ToolOutputParser): void {
+  const index = parsers.findIndex((p) => p.name === parser.name);
+  if (index >= 0) {
+    parsers[index] = parser;
+    return;
+  }
+  const fallback = parsers.findIndex((p) => p === exitCodeParser);
+  parsers.splice(fallback >= 0 ? fallback : parsers.length, 0, parser);
+}
+
+function asText(value: unknown): string {
+  if (typeof value === "string") return value;
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function asExitCode(value: unknown): number | undefined {
+  return typeof value === "number" && Number.isInteger(value) ? value : undefined;
+}
+
+/**
+ * hooks の JSON からツールの結果を取り出す
+ * tool_response は文字列か { stdout, stderr, interrupted, ... }。無ければ古い tool_output / tool_error を使う
+ */
+export function toToolResult(data: HookData): ToolResult | null {
+  const { tool_response: response, tool_output: legacyOutput, tool_error: error } = data;
+  if (!data.tool_name || (response === undefined && legacyOutput === undefined && error === undefined)) {
+    return null;
+  }
+
+  const parts: string[] = [];
+  let exitCode: number | undefined;
+  let interrupted = false;
+  if (response && typeof response === "object") {
+    const r = response as Record<string, unknown>;
+    parts.push(asText(r.stdout), asText(r.stderr), asText(r.output));
+    exitCode = asExitCode(r.exit_code ?? r.exitCode ?? r.returnCode ?? r.code);
+    interrupted = r.interrupted === true;
+  } else {
+    parts.push(asText(response));
+  }
+  parts.push(asText(legacyOutput));
+
+  const errorText = asText(error);
+  if (errorText) {
+    parts.push(errorText);
+    // Claude Code は失敗した Bash を "Exit code 1" で始まるエラーにして返す
+    exitCode ??= asExitCode(Number(errorText.match(/\bExit code (\d+)/i)?.[1]));
+  }
+
+  return {
+    tool: data.tool_name,
+    command: data.tool_input?.command ?? "",
+    output: parts.filter(Boolean).join("\n").replace(ANSI_ESCAPE, ""),
+    exitCode,
+    failed: Boolean(errorText) || interrupted || (exitCode !== undefined && exitCode !== 0),
+  };
+}
+
+/**
+ * そのツールに試すパーサー（config の toolOutput.parsers、無ければ登録されている全て）
+ */
+function parsersFor(tool: string): ToolOutputParser[] {
+  const names = getToolOutputConfig().parsers[tool];
+  if (!names) return parsers.filter((p) => p.tools.includes(tool));
+  return names.flatMap((name) => {
+    const parser = parsers.find((p) => p.name === name);
+    if (!parser) console.warn(`[ToolOutput] Unknown parser "${name}" for ${tool}`);
+    return parser ? [parser] : [];
+  });
+}
+
+/**
+ * ツールの結果を読む（読めるパーサーが無い・toolOutput.enabled が false なら null）
+ */
+export function parseToolOutput(data: HookData): ToolOutcome | null {
+  if (!getToolOutputConfig().enabled) return null;
+  const result = toToolResult(data);
+  if (!result) return null;
+  for (const parser of parsersFor(result.tool)) {
+    const outcome = parser.parse(result);
+    if (outcome) return outcome;
+  }
+  return null;
+}
@@ -0,0 +1,121 @@
+/**
+ * テストランナーの結果の行から通った・失敗した・飛ばしたテストの数を読む
+ * jest / vitest / mocha / pytest / cargo test / go test
+ */
+
+import type { ToolOutcome, ToolOutputParser, ToolResult } from "./types.js";
+
+interface TestCounts {
+  passed: number;
+  failed: number;
+  skipped: number;
+}
+
+// 結果の行の言葉 → 数える先
+const COUNT_WORDS: Record<string, keyof TestCounts | null> = {
+  passed: "passed",
+  passing: "passed",
+  failed: "failed",
+  failing: "failed",
+  error: "failed",
+  errors: "failed",
+  skipped: "skipped",
+  pending: "skipped",
+  todo: "skipped",
+  ignored: "skipped",
+  xfailed: "skipped",
+  xpassed: "passed",
+};
+
+/**
+ * 「3 failed, 41 passed, 2 skipped」のような並びを数える
+ */
+function countWords(line: string): TestCounts {
+  const counts: TestCounts = { passed: 0, failed: 0, skipped: 0 };
+  for (const [, n, word] of line.matchAll(/(\d+) (\w+)/g)) {
+    const key = COUNT_WORDS[word.toLowerCase()];
+    if (key) counts[key] += Number(n);
+  }
+  return counts;
+}
+
+function toOutcome(parser: string, counts: TestCounts, result: ToolResult): ToolOutcome {
+  return {
+    parser,
+    kind: "tests",
+    ok: counts.failed === 0 && !result.failed,
+    ...counts,
+    exitCode: result.exitCode,
+  };
+}
+
+/**
+ * 結果の行を1つ探して数えるパーサー
+ */
+function summaryLineParser(name: string, pattern: RegExp): ToolOutputParser {
+  return {
+    name,
+    tools: ["Bash"],
+    parse(result) {
+      const line = result.output.match(pattern)?.[1];
+      return line ? toOutcome(name, countWords(line), result) : null;
+    },
+  };
+}
+
+// Tests:       1 failed, 2 skipped, 41 passed, 44 total
+export const jestParser = summaryLineParser("jest", /^Tests:\s+(.*\d+ total.*)$/m);
+
+// Tests  1 failed | 41 passed | 2 skipped (44)
+export const vitestParser = summaryLineParser("vitest", /^\s*Tests\s{2,}(.*\(\d+\))\s*$/m);
+
+// ==== 1 failed, 41 passed, 2 skipped in 0.12s ====
+export const pytestParser = summaryLineParser("pytest", /^=+ (.*\d+ (?:passed|failed|errors?|skipped).*) in [\d.]+s.*=+$/m);
+
+// 41 passing (2s) / 2 pending / 1 failing
+export const mochaParser: ToolOutputParser = {
+  name: "mocha",
+  tools: ["Bash"],
+  parse(result) {
+    const lines = [...result.output.matchAll(/^\s*(\d+ (?:passing|failing|pending))\b/gm)].map((m) => m[1]);
+    if (!lines.some((line) => line.endsWith("passing") || line.endsWith("failing"))) return null;
+    return toOutcome("mocha", countWords(lines.join(" ")), result);
+  },
+};
+
+// test result: ok. 41 passed; 0 failed; 2 ignored; 0 measured; 0 filtered out（クレートごとに出るので足す）
+export const cargoParser: ToolOutputParser = {
+  name: "cargo",
+  tools: ["Bash"],
+  parse(result) {
+    const lines = [...result.output.matchAll(/^test result: (?:ok|FAILED)\. (.*)$/gm)].map((m) => m[1]);
+    if (lines.length === 0) return null;
+    return toOutcome("cargo", countWords(lines.join("; ")), result);
+  },
+};
+
+// --- PASS: TestX / --- FAIL: TestX（-v の時）、ok / FAIL パッケージの行
+export const goParser: ToolOutputParser = {
+  name: "go",
+  tools: ["Bash"],
+  parse(result) {
+    const { output } = result;
+    const packages = [...output.matchAll(/^(ok|FAIL)\s+\S+\s+(?:[\d.]+s|\(cached\))/gm)];
+    const tests = [...output.matchAll(/^\s*--- (PASS|FAIL|SKIP): /gm)].map((m) => m[1]);
+    if (packages.length === 0 && tests.length === 0) return null;
+
+    const count = (status: string) => tests.filter((t) => t === status).length;
+    const failedPackages = packages.some((m) => m[1] === "FAIL");
+    const failed = count("FAIL");
+    return {
+      parser: "go",
+      kind: "tests",
+      ok: failed === 0 && !failedPackages && !result.failed,
+      // -v なしでは通ったテストの数が分からない（失敗したテストは -v なしでも出る）
+      passed: tests.includes("PASS") ? count("PASS") : undefined,
+      failed: failed > 0 || !failedPackages ? failed : undefined,
+      skipped: count("SKIP"),
+      exitCode: result.exitCode,
+    };
+  },
+};
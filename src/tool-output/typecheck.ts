@@ -0,0 +1,36 @@
+/**
+ * tsc の型エラーの数を読む
+ */
+
+import type { ToolOutputParser } from "./types.js";
+
+// コマンドの区切り（&& || ; | 改行）
+const COMMAND_SEPARATOR = /&&|\|\||[;|\n]/;
+// 区切りの先頭が tsc・npx tsc・npm run typecheck など（前の FOO=1 は飛ばす）
+const TSC_COMMAND =
+  /^(?:\w+=\S*\s+)*(?:(?:npx|bunx|pnpm\s+(?:exec|dlx)|yarn(?:\s+exec)?)\s+)?(?:vue-)?tsc\b|^(?:\w+=\S*\s+)*(?:npm|pnpm|yarn|bun)\s+(?:run\s+)?type-?check\b/;
+const TS_ERROR = /\berror TS\d+:/g;
+
+function runsTsc(command: string): boolean {
+  return command.split(COMMAND_SEPARATOR).some((segment) => TSC_COMMAND.test(segment.trim()));
+}
+
+export const tscParser: ToolOutputParser = {
+  name: "tsc",
+  tools: ["Bash"],
+  parse(result) {
+    const listed = result.output.match(TS_ERROR)?.length ?? 0;
+    if (listed === 0 && !runsTsc(result.command)) return null;
+
+    // --build や --watch は「Found 3 errors in 2 files.」とまとめて出す
+    const found = result.output.match(/\bFound (\d+) errors?\b/);
+    const errors = found ? Number(found[1]) : listed;
+    return {
+      parser: "tsc",
+      kind: "typecheck",
+      ok: errors === 0 && !result.failed,
+      errors,
+      exitCode: result.exitCode,
+    };
+  },
+};
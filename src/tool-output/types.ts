@@ -0,0 +1,46 @@
+/**
+ * ツールの出力のパーサーの共通インターフェース
+ */
+
+export interface ToolResult {
+  // Claude Code のツール名（Bash など）
+  tool: string;
+  command: string;
+  // stdout と stderr をつないだもの（色のエスケープシーケンスは外してある）
+  output: string;
+  // 分かる場合だけ（tool_response に無ければ tool_error の "Exit code 1" から）
+  exitCode?: number;
+  // tool_error があった・終了コードが 0 以外・中断された
+  failed: boolean;
+}
+
+export interface ToolOutcome {
+  // 結果を読んだパーサーの名前
+  parser: string;
+  kind: "tests" | "typecheck" | "commit" | "push" | "exit";
+  ok: boolean;
+  // tests
+  passed?: number;
+  failed?: number;
+  skipped?: number;
+  // typecheck
+  errors?: number;
+  // commit（files が 0 ならコミットする変更が無かった）
+  files?: number;
+  insertions?: number;
+  deletions?: number;
+  // push（upToDate ならプッシュする変更が無かった）
+  branch?: string;
+  upToDate?: boolean;
+  rejected?: boolean;
+  exitCode?: number;
+}
+
+export interface ToolOutputParser {
+  // config の toolOutput.parsers で使う名前
+  readonly name: string;
+  // 読むツール（Claude Code のツール名）
+  readonly tools: readonly string[];
+  // 読めない出力なら null（次のパーサーを試す）
+  parse(result: ToolResult): ToolOutcome | null;
+}
@@ -0,0 +1,111 @@
+/**
+ * セッションファイル（JSONL）の1行を hooks と同じ形のイベントにする
+ * アシスタントのテキスト → AssistantMessage、tool_use → PreToolUse、
+ * エラーになった tool_result → PostToolUse（tool_error 付き）、ユーザーの入力 → UserPromptSubmit
+ */
+
+import type { HookData, ToolInput } from "./hook-events.js";
+
+interface ContentBlock {
+  type: string;
+  text?: string;
+  // tool_use
+  id?: string;
+  name?: string;
+  input?: ToolInput;
+  // tool_result
+  tool_use_id?: string;
+  content?: string | ContentBlock[];
+  is_error?: boolean;
+}
+
+export interface TranscriptRecord {
+  uuid?: string;
+  type?: string;
+  sessionId?: string;
+  // セッションの作業ディレクトリ（プロジェクトごとの声の選択に使う）
+  cwd?: string;
+  // スラッシュコマンドの展開などの、ユーザーが打ったものではない行
+  isMeta?: boolean;
+  // サブエージェントの会話
+  isSidechain?: boolean;
+  message?: {
+    role?: string;
+    content?: string | ContentBlock[];
+  };
+}
+
+// tool_result のエラーにツール名を付けるため、最近の tool_use を覚えておく数
+const MAX_TOOL_USES = 500;
+// ユーザーの入力として読まない行（コマンドの出力や中断の知らせ）
+const NOT_A_PROMPT = /^\s*(?:<command-|<local-command-|<bash-|\[Request interrupted)/;
+// ユーザーが止めたツールの tool_result（エラーとしては喋らない）
+const REJECTED = /^\s*(?:The user doesn't want to proceed|\[Request interrupted)/;
+
+const toolUses = new Map<string, { name: string; input?: ToolInput }>();
+
+function rememberToolUse(id: string, name: string, input?: ToolInput): void {
+  toolUses.set(id, { name, input });
+  if (toolUses.size > MAX_TOOL_USES) {
+    toolUses.delete(toolUses.keys().next().value!);
+  }
+}
+
+function textOf(content: string | ContentBlock[] | undefined): string {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return "";
+  return content
+    .filter((c) => c.type === "text" && c.text)
+    .map((c) => c.text as string)
+    .join("\n");
+}
+
+/**
+ * セッションファイルの1行をイベントにする（喋るきっかけにならない行は空の配列）
+ */
+export function toTranscriptEvents(record: TranscriptRecord): HookData[] {
+  const base: HookData = { session_id: record.sessionId, cwd: record.cwd, uuid: record.uuid };
+  const content = record.message?.content;
+
+  if (record.type === "assistant" && record.message?.role === "assistant") {
+    const events: HookData[] = [];
+    const blocks = Array.isArray(content) ? content : [];
+    const text = textOf(content);
+    if (text) events.push({ ...base, hook_event_name: "AssistantMessage", message: text });
+    for (const block of blocks) {
+      if (block.type !== "tool_use" || !block.id || !block.name) continue;
+      rememberToolUse(block.id, block.name, block.input);
+      events.push({
+        ...base,
+        hook_event_name: "PreToolUse",
+        tool_name: block.name,
+        tool_input: block.input,
+        tool_use_id: block.id,
+      });
+    }
+    return events;
+  }
+
+  if (record.type === "user" && record.message?.role === "user") {
+    if (Array.isArray(content) && content.some((c) => c.type === "tool_result")) {
+      return content
+        .filter((c) => c.type === "tool_result" && c.is_error && c.tool_use_id && !REJECTED.test(textOf(c.content)))
+        .map((c) => {
+          const toolUse = toolUses.get(c.tool_use_id!);
+          return {
+            ...base,
+            hook_event_name: "PostToolUse",
+            tool_name: toolUse?.name ?? "unknown",
+            tool_input: toolUse?.input,
+            tool_use_id: c.tool_use_id,
+            tool_error: textOf(c.content) || "error",
+          };
+        });
+    }
+    const prompt = textOf(content);
+    if (!prompt || record.isMeta || record.isSidechain || NOT_A_PROMPT.test(prompt)) return [];
+    return [{ ...base, hook_event_name: "UserPromptSubmit", prompt }];
+  }
+
+  return [];
+}
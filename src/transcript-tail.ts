@@ -0,0 +1,298 @@
+/**
+ * Claude Code のセッションファイル（JSONL）の追記を読む
+ * ファイルごとに読んだ位置を持ち、書きかけの行は次に読むときまで持ち越す。
+ * 読んだ位置と最近の id はディスクに保存し、再起動後は続きから読む
+ */
+
+import * as fs from "fs";
+import * as path from "path";
+
+export interface TranscriptTailOptions {
+  // 読んだ位置の保存先（無ければ保存しない）
+  checkpointPath?: string;
+  // ファイルの変更をまとめる時間（ファイルごと）
+  debounceMs: number;
+  // 1行ずつ JSON にして渡す（終わるまで同じファイルの次の行は渡さない）
+  onRecord: (record: unknown, file: string) => void | Promise<void>;
+  // 同じ記録を二度渡さないための id（再開したセッションは前のファイルの行を書き直すことがある）
+  idOf?: (record: unknown) => string | undefined;
+}
+
+export interface TranscriptTail {
+  // ディレクトリの .jsonl を監視する（既にあるファイルは保存した位置から、無ければ今の末尾から読む）
+  watchDirectory(dir: string): void;
+  // ファイルの追記を今すぐ読む
+  poll(file: string): Promise<void>;
+  stop(): void;
+}
+
+interface Checkpoint {
+  offset: number;
+  // ファイルが置き換わったことに気付くため
+  ino: number;
+  updatedAt: number;
+}
+
+interface CheckpointFile {
+  files: Record<string, Checkpoint>;
+  recentIds: string[];
+}
+
+interface FileState extends Checkpoint {
+  timer: NodeJS.Timeout | null;
+  reading: Promise<void> | null;
+  // 読んでいる間に変更があった
+  dirty: boolean;
+}
+
+// 覚えておくファイルの数（古いものから捨てる）
+const MAX_CHECKPOINTS = 500;
+// 覚えておく id の数
+const MAX_RECENT_IDS = 2000;
+// 読んだ位置を保存する間隔
+const SAVE_DELAY_MS = 1000;
+// 1回に読む大きさ（大きなファイルでも一度に読み込まない）
+const READ_CHUNK_BYTES = 64 * 1024;
+const NEWLINE = 0x0a;
+
+function loadCheckpoints(checkpointPath: string | undefined): CheckpointFile {
+  if (!checkpointPath) return { files: {}, recentIds: [] };
+  try {
+    const data = JSON.parse(fs.readFileSync(checkpointPath, "utf-8")) as Partial<CheckpointFile>;
+    return { files: data.files ?? {}, recentIds: data.recentIds ?? [] };
+  } catch {
+    // 初回起動時など
+    return { files: {}, recentIds: [] };
+  }
+}
+
+export function createTranscriptTail(options: TranscriptTailOptions): TranscriptTail {
+  const saved = loadCheckpoints(options.checkpointPath);
+  const states = new Map<string, FileState>();
+  const recentIds = new Set(saved.recentIds);
+  const watchers = new Map<string, fs.FSWatcher>();
+  let saveTimer: NodeJS.Timeout | null = null;
+  let stopped = false;
+
+  function saveCheckpoints(): void {
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!options.checkpointPath) return;
+
+    const files: Record<string, Checkpoint> = { ...saved.files };
+    for (const [file, { offset, ino, updatedAt }] of states) {
+      files[file] = { offset, ino, updatedAt };
+    }
+    const newest = Object.entries(files)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(0, MAX_CHECKPOINTS);
+    saved.files = Object.fromEntries(newest);
+    try {
+      fs.mkdirSync(path.dirname(options.checkpointPath), { recursive: true });
+      fs.writeFileSync(
+        options.checkpointPath,
+        JSON.stringify({ files: saved.files, recentIds: [...recentIds] } satisfies CheckpointFile)
+      );
+    } catch (error) {
+      console.error(`[TranscriptTail] Failed to save checkpoints: ${(error as Error).message}`);
+    }
+  }
+
+  function scheduleSave(): void {
+    if (!options.checkpointPath || saveTimer || stopped) return;
+    saveTimer = setTimeout(saveCheckpoints, SAVE_DELAY_MS);
+  }
+
+  function remember(id: string): boolean {
+    if (recentIds.has(id)) return false;
+    recentIds.add(id);
+    if (recentIds.size > MAX_RECENT_IDS) {
+      recentIds.delete(recentIds.values().next().value!);
+    }
+    return true;
+  }
+
+  /**
+   * 監視を始めたときからあるファイルの状態
+   * 保存した位置があればそこから、それ以外は今の末尾から（止まっている間にできたファイルの中身は喋らない）
+   */
+  function resumeState(file: string, stats: fs.Stats): FileState {
+    const checkpoint = saved.files[file];
+    const usable = checkpoint && checkpoint.ino === stats.ino && checkpoint.offset <= stats.size;
+    return {
+      offset: usable ? checkpoint.offset : stats.size,
+      ino: stats.ino,
+      // 保存する数を超えたら、長く書かれていないファイルから忘れる
+      updatedAt: usable ? checkpoint.updatedAt : stats.mtimeMs,
+      timer: null,
+      reading: null,
+      dirty: false,
+    };
+  }
+
+  /**
+   * 1行を JSON にして渡す
+   */
+  async function handleLine(line: string, file: string): Promise<void> {
+    if (!line.trim()) return;
+    let record: unknown;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // 壊れた行は飛ばす（書きかけの行はここまで来ない）
+      return;
+    }
+    const id = options.idOf?.(record);
+    if (id && !remember(id)) return;
+    try {
+      await options.onRecord(record, file);
+    } catch (error) {
+      console.error(`[TranscriptTail] Error handling ${path.basename(file)}: ${(error as Error).message}`);
+    }
+  }
+
+  /**
+   * 読んだ位置から最後の改行までを READ_CHUNK_BYTES ずつ読んで1行ずつ渡す
+   * 読んだ位置は行ごとに進める。最後の改行より後ろは書きかけなので次に読む
+   */
+  async function readNewLines(file: string, state: FileState): Promise<void> {
+    let stats: fs.Stats;
+    try {
+      stats = fs.statSync(file);
+    } catch {
+      // 消えたファイル
+      states.delete(file);
+      return;
+    }
+
+    // 置き換わった・切り詰められたファイルは先頭から読み直す
+    if (stats.ino !== state.ino || stats.size < state.offset) {
+      console.log(`[TranscriptTail] ${path.basename(file)} was replaced, reading from the start`);
+      state.ino = stats.ino;
+      state.offset = 0;
+    }
+    if (stats.size === state.offset) return;
+
+    const fd = fs.openSync(file, "r");
+    try {
+      // まだ改行が来ていない行の読んだ分
+      let pending = Buffer.alloc(0);
+      const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+      while (!stopped) {
+        const position = state.offset + pending.length;
+        if (position >= stats.size) break;
+        const bytesRead = fs.readSync(fd, chunk, 0, Math.min(chunk.length, stats.size - position), position);
+        if (bytesRead === 0) break;
+        const buffer = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+
+        // 改行のバイトで切るので、UTF-8 の文字の途中で分かれることはない
+        let start = 0;
+        for (let newline = buffer.indexOf(NEWLINE); newline >= 0; newline = buffer.indexOf(NEWLINE, start)) {
+          if (stopped) return;
+          const line = buffer.toString("utf-8", start, newline);
+          // 渡す前に進める（途中で止まっても同じ行を二度読まない）
+          state.offset += newline + 1 - start;
+          state.updatedAt = Date.now();
+          start = newline + 1;
+          scheduleSave();
+          await handleLine(line, file);
+        }
+        pending = buffer.subarray(start);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * ファイルの状態（監視を始めた後にできたファイルは先頭から読む）
+   */
+  function stateOf(file: string): FileState | null {
+    const known = states.get(file);
+    if (known) return known;
+    let stats: fs.Stats;
+    try {
+      stats = fs.statSync(file);
+    } catch {
+      return null;
+    }
+    const state: FileState = { offset: 0, ino: stats.ino, updatedAt: Date.now(), timer: null, reading: null, dirty: false };
+    states.set(file, state);
+    return state;
+  }
+
+  function poll(file: string): Promise<void> {
+    const current = stateOf(file);
+    if (!current) return Promise.resolve();
+    // 読んでいる途中なら、終わった後にもう一度読む
+    if (current.reading) {
+      current.dirty = true;
+      return current.reading;
+    }
+    current.reading = (async () => {
+      do {
+        current.dirty = false;
+        await readNewLines(file, current);
+      } while (current.dirty && !stopped);
+    })().finally(() => {
+      current.reading = null;
+    });
+    return current.reading;
+  }
+
+  function schedule(file: string): void {
+    const state = stateOf(file);
+    if (!state) return;
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      void poll(file);
+    }, options.debounceMs);
+  }
+
+  function watchDirectory(dir: string): void {
+    if (stopped || watchers.has(dir)) return;
+
+    let resumed = 0;
+    try {
+      for (const name of fs.readdirSync(dir)) {
+        if (!name.endsWith(".jsonl")) continue;
+        const file = path.join(dir, name);
+        const stats = fs.statSync(file);
+        const state = resumeState(file, stats);
+        states.set(file, state);
+        // 止まっている間に書かれた分を読む
+        if (state.offset < stats.size) {
+          resumed++;
+          void poll(file);
+        }
+      }
+    } catch (error) {
+      console.error(`[TranscriptTail] Error reading ${dir}: ${(error as Error).message}`);
+      return;
+    }
+    if (resumed > 0) console.log(`[TranscriptTail] Resuming ${resumed} session(s) in ${path.basename(dir)}`);
+
+    try {
+      const watcher = fs.watch(dir, (_eventType, filename) => {
+        if (!filename || !filename.endsWith(".jsonl")) return;
+        schedule(path.join(dir, filename));
+      });
+      watchers.set(dir, watcher);
+    } catch (error) {
+      console.error(`[TranscriptTail] Error watching ${dir}: ${(error as Error).message}`);
+    }
+  }
+
+  function stop(): void {
+    stopped = true;
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+    for (const state of states.values()) {
+      if (state.timer) clearTimeout(state.timer);
+    }
+    saveCheckpoints();
+  }
+
+  return { watchDirectory, poll, stop };
+}
@@ -0,0 +1,223 @@
+/**
+ * 合成済み WAV のディスクキャッシュ（LRU）
+ * キーは正規化したテキスト + エンジン + 声（話者・スタイル・速度・ピッチなど）
+ */
+
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+import { getCacheConfig, onConfigChange, VoiceProfile } from "../config.js";
+import type { VisemeFrame } from "../lipsync.js";
+import type { TtsEngine, SynthesisResult } from "./types.js";
+
+interface CacheEntry {
+  key: string;
+  file: string;
+  bytes: number;
+  lastUsed: number;
+  engine: string;
+  text: string;
+  timeline?: VisemeFrame[];
+}
+
+export interface CacheStats {
+  enabled: boolean;
+  dir: string;
+  entries: number;
+  bytes: number;
+  maxBytes: number;
+  hits: number;
+  misses: number;
+}
+
+const INDEX_FILE = "index.json";
+// ヒットで変わった lastUsed をまとめて書く間隔
+const SAVE_DELAY_MS = 1000;
+
+let entries: Map<string, CacheEntry> | null = null;
+// entries を読んだ置き場所（設定が変わった後でも元の場所に書く）
+let indexDir = "";
+let saveTimer: NodeJS.Timeout | null = null;
+let hits = 0;
+let misses = 0;
+
+// 置き場所が変わるかもしれないので、設定が変わったら書きかけを保存して読み直す
+onConfigChange(() => {
+  if (saveTimer) saveIndex();
+  entries = null;
+});
+
+process.on("exit", () => {
+  if (saveTimer) saveIndex();
+});
+
+/**
+ * キャッシュキー用にテキストを正規化（全角半角・空白の揺れを吸収）
+ */
+function normalizeText(text: string): string {
+  return text.normalize("NFKC").trim().replace(/\s+/g, " ");
+}
+
+function cacheKey(engine: TtsEngine, text: string, voice?: VoiceProfile): string {
+  return createHash("sha256")
+    .update(`${engine.name}\n${engine.voiceKey(voice)}\n${normalizeText(text)}`)
+    .digest("hex");
+}
+
+function loadIndex(): Map<string, CacheEntry> {
+  if (entries) return entries;
+  entries = new Map();
+  indexDir = getCacheConfig().dir;
+  try {
+    const raw = fs.readFileSync(path.join(indexDir, INDEX_FILE), "utf-8");
+    for (const entry of JSON.parse(raw) as CacheEntry[]) {
+      // ファイルが消えているエントリは捨てる
+      if (fs.existsSync(entry.file)) entries.set(entry.key, entry);
+    }
+  } catch {
+    // 初回起動時など
+  }
+  return entries;
+}
+
+function saveIndex(): void {
+  if (saveTimer) clearTimeout(saveTimer);
+  saveTimer = null;
+  const index = loadIndex();
+  try {
+    fs.mkdirSync(indexDir, { recursive: true });
+    fs.writeFileSync(path.join(indexDir, INDEX_FILE), JSON.stringify([...index.values()]));
+  } catch (error) {
+    console.error("[Cache] Failed to save index:", error);
+  }
+}
+
+/**
+ * ヒットのたびには書かず、少し待ってまとめて書く（待っている間にプロセスを止めない）
+ */
+function scheduleSave(): void {
+  if (saveTimer) return;
+  saveTimer = setTimeout(saveIndex, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+function totalBytes(): number {
+  let total = 0;
+  for (const entry of loadIndex().values()) total += entry.bytes;
+  return total;
+}
+
+/**
+ * 上限を超えた分を古い順に削除
+ */
+function evict(): void {
+  const { maxBytes } = getCacheConfig();
+  const index = loadIndex();
+  let total = totalBytes();
+  if (total <= maxBytes) return;
+
+  const byAge = [...index.values()].sort((a, b) => a.lastUsed - b.lastUsed);
+  for (const entry of byAge) {
+    if (total <= maxBytes) break;
+    fs.rmSync(entry.file, { force: true });
+    index.delete(entry.key);
+    total -= entry.bytes;
+  }
+}
+
+/**
+ * キャッシュから取得（ヒットしたら WAV のパスも返す）
+ */
+export function getCached(
+  engine: TtsEngine,
+  text: string,
+  voice?: VoiceProfile
+): (SynthesisResult & { file: string }) | null {
+  const config = getCacheConfig();
+  if (!config.enabled || engine.type === "mock") return null;
+
+  const entry = loadIndex().get(cacheKey(engine, text, voice));
+  if (!entry) {
+    misses++;
+    return null;
+  }
+
+  try {
+    const audio = fs.readFileSync(entry.file);
+    entry.lastUsed = Date.now();
+    hits++;
+    scheduleSave();
+    return { audio, timeline: entry.timeline, file: entry.file };
+  } catch {
+    loadIndex().delete(entry.key);
+    scheduleSave();
+    misses++;
+    return null;
+  }
+}
+
+/**
+ * 合成結果をキャッシュに保存し、保存先のパスを返す
+ */
+export function putCached(
+  engine: TtsEngine,
+  text: string,
+  voice: VoiceProfile | undefined,
+  result: SynthesisResult
+): string | null {
+  const config = getCacheConfig();
+  if (!config.enabled || engine.type === "mock") return null;
+
+  const key = cacheKey(engine, text, voice);
+  const file = path.join(config.dir, `${key}.wav`);
+  try {
+    fs.mkdirSync(config.dir, { recursive: true });
+    fs.writeFileSync(file, result.audio);
+  } catch (error) {
+    console.error("[Cache] Failed to write:", error);
+    return null;
+  }
+
+  loadIndex().set(key, {
+    key,
+    file,
+    bytes: result.audio.length,
+    lastUsed: Date.now(),
+    engine: engine.name,
+    text: normalizeText(text),
+    timeline: result.timeline,
+  });
+  evict();
+  saveIndex();
+  return loadIndex().has(key) ? file : null;
+}
+
+export function getCacheStats(): CacheStats {
+  const config = getCacheConfig();
+  return {
+    enabled: config.enabled,
+    dir: config.dir,
+    entries: loadIndex().size,
+    bytes: totalBytes(),
+    maxBytes: config.maxBytes,
+    hits,
+    misses,
+  };
+}
+
+/**
+ * キャッシュを全削除
+ */
+export function purgeCache(): number {
+  const index = loadIndex();
+  const count = index.size;
+  for (const entry of index.values()) {
+    fs.rmSync(entry.file, { force: true });
+  }
+  index.clear();
+  hits = 0;
+  misses = 0;
+  saveIndex();
+  console.log(`[Cache] Purged ${count} entries`);
+  return count;
+}
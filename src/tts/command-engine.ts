@@ -0,0 +1,70 @@
+/**
+ * ローカルコマンド（espeak-ng / Open JTalk など）で WAV を生成するエンジン
+ * VOICEVOX が起動していないときのオフライン用フォールバック
+ */
+
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import os from "os";
+import { TtsEngine, TtsUnavailableError, SynthesisOptions, SynthesisResult } from "./types.js";
+
+export interface CommandEngineOptions {
+  name: string;
+  command: string;
+  // {text} は読み上げテキスト、{input} はテキストを書いた一時ファイル、{output} は出力WAV
+  args: string[];
+}
+
+export function createCommandEngine({ name, command, args }: CommandEngineOptions): TtsEngine {
+  return {
+    name,
+    type: "command",
+    // コマンドには声の設定を渡せないので、コマンドラインだけで識別する
+    voiceKey: () => [command, ...args].join(" "),
+
+    async synthesize(text: string, { signal }: SynthesisOptions = {}): Promise<SynthesisResult> {
+      const stamp = `${process.pid}-${Date.now()}`;
+      const inputFile = path.join(os.tmpdir(), `claude-voice-${stamp}.txt`);
+      const outputFile = path.join(os.tmpdir(), `claude-voice-${stamp}.wav`);
+
+      const usesInput = args.some((a) => a.includes("{input}"));
+      if (usesInput) {
+        await fs.writeFile(inputFile, text);
+      }
+
+      const resolvedArgs = args.map((a) =>
+        a.replaceAll("{text}", text).replaceAll("{input}", inputFile).replaceAll("{output}", outputFile)
+      );
+
+      try {
+        await new Promise<void>((resolve, reject) => {
+          const proc = spawn(command, resolvedArgs, { signal });
+          let stderr = "";
+          proc.stderr.on("data", (data) => {
+            stderr += data;
+          });
+          proc.on("error", (err: NodeJS.ErrnoException) => {
+            if (err.code === "ENOENT") {
+              reject(new TtsUnavailableError(name, `${command} is not installed`));
+            } else {
+              reject(err);
+            }
+          });
+          proc.on("close", (code) => {
+            if (code === 0) {
+              resolve();
+            } else {
+              reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+            }
+          });
+        });
+
+        return { audio: await fs.readFile(outputFile) };
+      } finally {
+        fs.unlink(outputFile).catch(() => {});
+        if (usesInput) fs.unlink(inputFile).catch(() => {});
+      }
+    },
+  };
+}
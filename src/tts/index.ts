@@ -0,0 +1,136 @@
+/**
+ * TTS エンジンの選択とフォールバック
+ * config の tts.order の順にエンジンを試し、起動していないものは飛ばす
+ */
+
+import { getTtsConfig, TtsEngineConfig, VoiceProfile } from "../config.js";
+import { DEFAULT_VOICEVOX_URL, DEFAULT_SPEAKER_ID } from "../constants.js";
+import { createVoicevoxEngine } from "./voicevox-engine.js";
+import { createCommandEngine } from "./command-engine.js";
+import { createMockEngine } from "./mock-engine.js";
+import { getCached, putCached } from "./cache.js";
+import { TtsEngine, TtsUnavailableError, SynthesisOptions, SynthesisResult } from "./types.js";
+
+export type { TtsEngine, SynthesisOptions, SynthesisResult } from "./types.js";
+export { TtsUnavailableError } from "./types.js";
+export { getCacheStats, purgeCache } from "./cache.js";
+export type { CacheStats } from "./cache.js";
+
+export interface EngineSynthesisResult extends SynthesisResult {
+  engine: string;
+  // キャッシュに保存された WAV のパス（キャッシュ無効時は無し）
+  file?: string;
+  cached: boolean;
+}
+
+function createEngine(config: TtsEngineConfig): TtsEngine {
+  switch (config.type) {
+    case "voicevox": {
+      // 既定の "voicevox" エンジンは環境変数で接続先・話者を上書きできる
+      const isDefault = config.name === "voicevox";
+      const url = (isDefault && process.env.VOICEVOX_URL) || config.url || DEFAULT_VOICEVOX_URL;
+      const speaker = (isDefault && process.env.VOICEVOX_SPEAKER_ID) || config.speaker || DEFAULT_SPEAKER_ID;
+      return createVoicevoxEngine({ name: config.name, url, speaker, timeoutMs: config.timeoutMs });
+    }
+    case "command":
+      if (!config.command) {
+        throw new Error(`tts engine "${config.name}": command is required`);
+      }
+      return createCommandEngine({ name: config.name, command: config.command, args: config.args ?? [] });
+    case "mock":
+      return createMockEngine({ name: config.name });
+    default:
+      throw new Error(`tts engine "${config.name}": unknown type "${(config as TtsEngineConfig).type}"`);
+  }
+}
+
+/**
+ * 試す順番に並んだエンジン一覧
+ * ZUNDAMON_TTS_ENGINE を指定するとそのエンジンだけを使う（"mock" は設定が無くても使える）
+ */
+export function getEngines(): TtsEngine[] {
+  const { engines, order } = getTtsConfig();
+  const forced = process.env.ZUNDAMON_TTS_ENGINE;
+
+  if (forced) {
+    const config = engines.find((e) => e.name === forced);
+    if (config) return [createEngine(config)];
+    if (forced === "mock") return [createMockEngine({ name: "mock" })];
+    console.warn(`ZUNDAMON_TTS_ENGINE="${forced}" is not configured, using tts.order`);
+  }
+
+  return order.flatMap((name) => {
+    const config = engines.find((e) => e.name === name);
+    if (!config) {
+      console.warn(`tts.order: unknown engine "${name}"`);
+      return [];
+    }
+    return [createEngine(config)];
+  });
+}
+
+/**
+ * 使えるエンジンで音声合成する（起動していないエンジンは次へフォールバック）
+ */
+export async function synthesize(text: string, options: SynthesisOptions = {}): Promise<EngineSynthesisResult> {
+  const engines = getEngines();
+
+  for (const engine of engines) {
+    const cached = getCached(engine, text, options.voice);
+    if (cached) {
+      return { ...cached, engine: engine.name, cached: true };
+    }
+
+    try {
+      const result = await engine.synthesize(text, options);
+      const file = putCached(engine, text, options.voice, result) ?? undefined;
+      return { ...result, engine: engine.name, file, cached: false };
+    } catch (error) {
+      if (error instanceof TtsUnavailableError) {
+        console.warn(`[TTS] ${error.message}, trying next engine`);
+        continue;
+      }
+      throw error;
+    }
+  }
+
+  throw new TtsUnavailableError("TTS", `no engine available (tried: ${engines.map((e) => e.name).join(", ")})`);
+}
+
+/**
+ * よく喋るテキストを先に合成してキャッシュに入れておく
+ * エンジンが起動していなければそこで諦める
+ */
+export async function prewarmCache(texts: string[], voice?: VoiceProfile): Promise<number> {
+  let warmed = 0;
+  for (const text of new Set(texts)) {
+    try {
+      const result = await synthesize(text, { voice });
+      if (!result.cached && result.file) warmed++;
+    } catch (error) {
+      if (error instanceof TtsUnavailableError) {
+        console.log(`[Cache] Prewarm stopped: ${error.message}`);
+        break;
+      }
+      console.error(`[Cache] Prewarm failed for "${text}":`, error);
+    }
+  }
+  if (warmed > 0) console.log(`[Cache] Prewarmed ${warmed} messages`);
+  return warmed;
+}
+
+/**
+ * 話者一覧を取得（話者一覧に対応した最初のエンジンから）
+ */
+export async function getSpeakers(): Promise<unknown[]> {
+  for (const engine of getEngines()) {
+    if (!engine.getSpeakers) continue;
+    try {
+      return await engine.getSpeakers();
+    } catch (error) {
+      if (error instanceof TtsUnavailableError) continue;
+      throw error;
+    }
+  }
+  throw new TtsUnavailableError("TTS", "no engine provides a speaker list");
+}
@@ -0,0 +1,90 @@
+/**
+ * テスト用のモックエンジン
+ * 文字ごとに決まった高さの音を鳴らす WAV を生成する（同じテキスト・同じ声なら常に同じ結果）
+ * 声の設定は speedScale（長さ）と pitchScale（高さ）だけ反映する
+ * TTS エンジンが無い環境でもパイプライン全体を動かせる
+ */
+
+import { TtsEngine, SynthesisOptions, SynthesisResult } from "./types.js";
+import type { Viseme, VisemeFrame } from "../lipsync.js";
+
+const SAMPLE_RATE = 24000;
+const CHAR_MS = 100;
+const GAP_MS = 20;
+const VOWELS: Viseme[] = ["a", "i", "u", "e", "o"];
+const PAUSE_CHARS = /[\s、。，．,.!?！？…]/;
+
+export interface MockEngineOptions {
+  name: string;
+}
+
+/**
+ * 16bit モノラル PCM を WAV にする
+ */
+function encodeWav(samples: Int16Array): Buffer {
+  const dataSize = samples.length * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+  buffer.write("RIFF", 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write("WAVE", 8);
+  buffer.write("fmt ", 12);
+  buffer.writeUInt32LE(16, 16); // fmt チャンクサイズ
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // モノラル
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28); // バイトレート
+  buffer.writeUInt16LE(2, 32); // ブロックサイズ
+  buffer.writeUInt16LE(16, 34); // ビット深度
+  buffer.write("data", 36);
+  buffer.writeUInt32LE(dataSize, 40);
+  Buffer.from(samples.buffer, samples.byteOffset, dataSize).copy(buffer, 44);
+  return buffer;
+}
+
+export function createMockEngine({ name }: MockEngineOptions): TtsEngine {
+  return {
+    name,
+    type: "mock",
+    voiceKey: (voice = {}) => `mock|speed=${voice.speedScale ?? 1}|pitch=${voice.pitchScale ?? 0}`,
+
+    async synthesize(text: string, { signal, voice = {} }: SynthesisOptions = {}): Promise<SynthesisResult> {
+      signal?.throwIfAborted();
+
+      const speed = voice.speedScale ?? 1;
+      // VOICEVOX と同じく pitchScale は対数の高さ（log f0）に足す
+      const pitch = Math.exp(voice.pitchScale ?? 0);
+      const charMs = Math.round(CHAR_MS / speed);
+      const gapMs = Math.round(GAP_MS / speed);
+
+      const chars = Array.from(text);
+      const charSamples = (SAMPLE_RATE * charMs) / 1000;
+      const gapSamples = (SAMPLE_RATE * gapMs) / 1000;
+      const samples = new Int16Array(chars.length * (charSamples + gapSamples));
+      const timeline: VisemeFrame[] = [];
+
+      chars.forEach((char, i) => {
+        const code = char.codePointAt(0) ?? 0;
+        const isPause = PAUSE_CHARS.test(char);
+        const offset = i * (charSamples + gapSamples);
+
+        if (!isPause) {
+          // 文字コードから 220〜660Hz の音を決める
+          const freq = (220 + (code % 40) * 11) * pitch;
+          for (let n = 0; n < charSamples; n++) {
+            samples[offset + n] = Math.round(Math.sin((2 * Math.PI * freq * n) / SAMPLE_RATE) * 8000);
+          }
+        }
+
+        const start = i * (charMs + gapMs);
+        timeline.push({ viseme: isPause ? "pause" : VOWELS[code % VOWELS.length], start, duration: charMs });
+        timeline.push({ viseme: "closed", start: start + charMs, duration: gapMs });
+      });
+
+      return { audio: encodeWav(samples), timeline };
+    },
+
+    async getSpeakers(): Promise<unknown[]> {
+      return [{ name: "Mock", speaker_uuid: "mock", styles: [{ name: "ノーマル", id: 0 }] }];
+    },
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * TTS エンジンの共通インターフェース
+ */
+
+import type { VisemeFrame } from "../lipsync.js";
+import type { VoiceProfile } from "../config.js";
+
+export interface SynthesisOptions {
+  signal?: AbortSignal;
+  // 話者・スタイル・速度など（省略した項目はエンジンの既定値）
+  voice?: VoiceProfile;
+}
+
+export interface SynthesisResult {
+  // WAV データ
+  audio: Buffer;
+  // 口の形のタイムライン（エンジンが音素タイミングを返せない場合は省略）
+  timeline?: VisemeFrame[];
+}
+
+export interface TtsEngine {
+  // config の tts.engines[].name
+  readonly name: string;
+  readonly type: string;
+  // 声を識別するキー（話者・速度・ピッチなど。合成キャッシュのキーに使う）
+  voiceKey(voice?: VoiceProfile): string;
+  synthesize(text: string, options?: SynthesisOptions): Promise<SynthesisResult>;
+  // 話者一覧（対応していないエンジンは省略）
+  getSpeakers?(): Promise<unknown[]>;
+}
+
+/**
+ * エンジンが起動していない・インストールされていない
+ * （フォールバック順で次のエンジンを試す）
+ */
+export class TtsUnavailableError extends Error {
+  constructor(engine: string, reason: string) {
+    super(`${engine} is not available: ${reason}`);
+    this.name = "TtsUnavailableError";
+  }
+}
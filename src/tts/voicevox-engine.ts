@@ -0,0 +1,178 @@
+/**
+ * VOICEVOX 互換 REST API（/audio_query + /synthesis）のエンジン
+ * VOICEVOX 本体のほか、同じ API を話す AivisSpeech・SHAREVOX・COEIROINK(v1) などにも使う
+ */
+
+import { buildVisemeTimeline, AccentPhrase } from "../lipsync.js";
+import { VOICEVOX_REQUEST_TIMEOUT_MS, VOICEVOX_SPEED_SCALE } from "../constants.js";
+import type { VoiceProfile } from "../config.js";
+import { TtsEngine, TtsUnavailableError, SynthesisOptions, SynthesisResult } from "./types.js";
+
+interface AudioQuery {
+  accent_phrases: AccentPhrase[];
+  speedScale: number;
+  pitchScale: number;
+  intonationScale: number;
+  volumeScale: number;
+  prePhonemeLength: number;
+  postPhonemeLength: number;
+  outputSamplingRate: number;
+  outputStereo: boolean;
+  kana: string;
+}
+
+interface SpeakerInfo {
+  name: string;
+  styles: Array<{ name: string; id: number }>;
+}
+
+// URL ごとの話者一覧（キャラクター名・スタイル名の解決用。エンジンは毎回作り直されるのでモジュールで持つ）
+const speakerLists = new Map<string, Promise<SpeakerInfo[]>>();
+
+export interface VoicevoxEngineOptions {
+  name: string;
+  url: string;
+  speaker: number | string;
+  timeoutMs?: number;
+}
+
+/**
+ * fetch がエンジンに届かなかった理由（接続拒否・名前解決の失敗・時間切れなど。それ以外のエラーなら null）
+ * Node の fetch は届かないと TypeError を投げ、cause に ECONNREFUSED などを持つ
+ */
+function unreachableReason(error: unknown): string | null {
+  if (!(error instanceof Error)) return null;
+  if (error.name === "TimeoutError" || error.name === "AbortError") return "timed out";
+  if (!(error instanceof TypeError)) return null;
+  const cause = (error as Error & { cause?: { code?: string; message?: string } }).cause;
+  return cause?.code ?? cause?.message ?? error.message;
+}
+
+export function createVoicevoxEngine({
+  name,
+  url,
+  speaker,
+  timeoutMs = VOICEVOX_REQUEST_TIMEOUT_MS,
+}: VoicevoxEngineOptions): TtsEngine {
+  async function request(path: string, init: RequestInit): Promise<Response> {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    try {
+      return await fetch(`${url}${path}`, {
+        ...init,
+        signal: init.signal ? AbortSignal.any([init.signal, timeout]) : timeout,
+      });
+    } catch (error) {
+      // 呼び出し側の中断（スキップ・停止）はそのまま投げる
+      if (init.signal?.aborted) throw error;
+      const reason = unreachableReason(error);
+      if (reason) {
+        throw new TtsUnavailableError(name, `not reachable on ${url} (${reason})`);
+      }
+      throw error;
+    }
+  }
+
+  async function fetchSpeakers(): Promise<SpeakerInfo[]> {
+    const res = await request("/speakers", { method: "GET" });
+    if (!res.ok) {
+      throw new Error(`Failed to get speakers: ${res.status}`);
+    }
+    return res.json();
+  }
+
+  function loadSpeakers(): Promise<SpeakerInfo[]> {
+    let list = speakerLists.get(url);
+    if (!list) {
+      list = fetchSpeakers();
+      speakerLists.set(url, list);
+      // 失敗したら次回取り直す
+      list.catch(() => speakerLists.delete(url));
+    }
+    return list;
+  }
+
+  /**
+   * プロファイルの speaker / style から合成に使うスタイルIDを決める
+   * キャラクター名やスタイル名が見つからない場合は警告してエンジンの既定の話者を使う
+   */
+  async function resolveSpeaker(voice: VoiceProfile): Promise<number | string> {
+    const spec = voice.speaker ?? speaker;
+    const isId = typeof spec === "number" || /^\d+$/.test(spec);
+    if (isId && !voice.style) return spec;
+
+    const speakers = await loadSpeakers();
+    const character = isId
+      ? speakers.find((s) => s.styles.some((style) => style.id === Number(spec)))
+      : speakers.find((s) => s.name === spec);
+    if (!character) {
+      console.warn(`[TTS] ${name}: speaker "${spec}" not found`);
+      return isId ? spec : speaker;
+    }
+    if (!voice.style) return character.styles[0].id;
+
+    const style = character.styles.find((s) => s.name === voice.style);
+    if (!style) {
+      console.warn(`[TTS] ${name}: style "${voice.style}" not found for ${character.name}`);
+      return isId ? spec : character.styles[0].id;
+    }
+    return style.id;
+  }
+
+  return {
+    name,
+    type: "voicevox",
+    voiceKey: (voice = {}) =>
+      [
+        url,
+        `speaker=${voice.speaker ?? speaker}`,
+        `style=${voice.style ?? ""}`,
+        `speed=${voice.speedScale ?? VOICEVOX_SPEED_SCALE}`,
+        `pitch=${voice.pitchScale ?? ""}`,
+        `intonation=${voice.intonationScale ?? ""}`,
+        `volume=${voice.volumeScale ?? ""}`,
+      ].join("|"),
+
+    async synthesize(text: string, { signal, voice = {} }: SynthesisOptions = {}): Promise<SynthesisResult> {
+      const speakerId = await resolveSpeaker(voice);
+
+      // 1. 音声合成用のクエリを作成
+      const queryRes = await request(
+        `/audio_query?text=${encodeURIComponent(text)}&speaker=${speakerId}`,
+        { method: "POST", signal }
+      );
+
+      if (!queryRes.ok) {
+        throw new Error(`Audio query failed: ${queryRes.status}`);
+      }
+
+      const query: AudioQuery = await queryRes.json();
+
+      // 速度・高さ・抑揚・音量（指定が無い項目はエンジンの既定値のまま）
+      query.speedScale = voice.speedScale ?? VOICEVOX_SPEED_SCALE;
+      if (voice.pitchScale !== undefined) query.pitchScale = voice.pitchScale;
+      if (voice.intonationScale !== undefined) query.intonationScale = voice.intonationScale;
+      if (voice.volumeScale !== undefined) query.volumeScale = voice.volumeScale;
+
+      // 2. 音声合成
+      const synthesisRes = await request(`/synthesis?speaker=${speakerId}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(query),
+        signal,
+      });
+
+      if (!synthesisRes.ok) {
+        throw new Error(`Synthesis failed: ${synthesisRes.status}`);
+      }
+
+      const audio = Buffer.from(await synthesisRes.arrayBuffer());
+
+      // モーラのタイミングから口の形のタイムラインを作成
+      return { audio, timeline: buildVisemeTimeline(query) };
+    },
+
+    async getSpeakers(): Promise<unknown[]> {
+      return fetchSpeakers();
+    },
+  };
+}
@@ -0,0 +1,73 @@
+/**
+ * 声のプロファイルの解決
+ * キャラクターパックの声 ← 選んだ話者 ← 既定 ← プロジェクト ← 発話の種類 ← 明示指定 の順にプロファイルを重ねる
+ */
+
+import { isAbsolute, sep } from "path";
+import { getVoicesConfig, VoiceProfile } from "./config.js";
+import { getCharacter } from "./character.js";
+
+export interface VoiceSource {
+  kind?: string;
+  project?: string;
+  cwd?: string;
+  // プロファイル名を直接指定（/speak/text の voice）
+  voice?: string;
+}
+
+export interface ResolvedVoice {
+  // 重ねたプロファイル名（適用順。パックの声は "character:<id>"）
+  profiles: string[];
+  profile: VoiceProfile;
+}
+
+/**
+ * プロジェクトに割り当てられたプロファイル名
+ * プロジェクト名の完全一致を優先し、次に cwd に最も長く前方一致する絶対パス
+ */
+function projectProfileName(projects: Record<string, string>, project?: string, cwd?: string): string | undefined {
+  if (project && projects[project]) return projects[project];
+  if (!cwd) return undefined;
+
+  let best: string | undefined;
+  for (const key of Object.keys(projects)) {
+    if (!isAbsolute(key)) continue;
+    const prefix = key.endsWith(sep) ? key : key + sep;
+    if ((cwd === key || cwd.startsWith(prefix)) && (!best || key.length > best.length)) {
+      best = key;
+    }
+  }
+  return best ? projects[best] : undefined;
+}
+
+export function resolveVoice({ kind, project, cwd, voice }: VoiceSource): ResolvedVoice {
+  const { profiles, speaker, defaultProfile, projects, events } = getVoicesConfig();
+
+  const names = [
+    defaultProfile,
+    projectProfileName(projects, project, cwd),
+    kind ? events[kind] : undefined,
+    voice,
+  ].filter((name): name is string => !!name);
+
+  const character = getCharacter();
+  const applied: string[] = character.voice ? [`character:${character.id}`] : [];
+  let profile: VoiceProfile = { ...character.voice };
+  // 選んだ話者はパックのスタイルを持ち越さない（プロファイルのスタイル名はその話者の中から選ぶ）
+  if (speaker !== undefined) {
+    const { style, ...rest } = profile;
+    profile = { ...rest, speaker };
+    applied.push(`speaker:${speaker}`);
+  }
+  for (const name of names) {
+    const layer = profiles[name];
+    if (!layer) {
+      console.warn(`[Voice] Unknown voice profile "${name}"`);
+      continue;
+    }
+    profile = { ...profile, ...layer };
+    applied.push(name);
+  }
+
+  return { profiles: applied, profile };
+}
@@ -1,34 +1,26 @@
-import { spawn, ChildProcess } from "child_process";
 import fs from "fs/promises";
 import path from "path";
 import os from "os";
 import { startLipsync, stopLipsync, isConnected } from "./vtube-studio.js";
 import { notifyLipsyncStart, notifyLipsyncStop } from "./lipsync-notifier.js";
-import { MAX_TEXT_LENGTH, VOICEVOX_SPEED_SCALE, DEFAULT_AUDIO_DURATION_MS } from "./constants.js";
+import { synthesize, prewarmCache, TtsUnavailableError, EngineSynthesisResult } from "./tts/index.js";
+import { getFixedMessages } from "./formatter.js";
+import { getCacheConfig, getSpeechConfig, getSubtitlesConfig, VoiceProfile } from "./config.js";
+import { getMessage } from "./messages.js";
+import { splitIntoChunks } from "./sentences.js";
+import { resolveVoice } from "./voice-profiles.js";
+import { buildSubtitlePhrases } from "./subtitles.js";
+import { playAudio, getWavDuration, waitSilently } from "./audio/index.js";
 
-const VOICEVOX_URL = process.env.VOICEVOX_URL || "http://localhost:50021";
-// VOICEVOX Speaker ID (デフォルト: ずんだもん ノーマル)
-const SPEAKER_ID = process.env.VOICEVOX_SPEAKER_ID || "3";
+// 話者一覧は TTS エンジン側から取得
+export { getSpeakers } from "./tts/index.js";
 
-// 現在再生中のプロセス
-let currentPlayProcess: ChildProcess | null = null;
+// 再生中かどうか（リップシンクを止める必要があるか）
+let isPlaying = false;
 let currentTempFile: string | null = null;
 // 現在の処理をキャンセルするためのAbortController
 let currentAbortController: AbortController | null = null;
 
-interface AudioQuery {
-  accent_phrases: unknown[];
-  speedScale: number;
-  pitchScale: number;
-  intonationScale: number;
-  volumeScale: number;
-  prePhonemeLength: number;
-  postPhonemeLength: number;
-  outputSamplingRate: number;
-  outputStereo: boolean;
-  kana: string;
-}
-
 /**
  * 現在の再生と処理を停止
  */
@@ -38,10 +30,9 @@ export function stopCurrentPlayback(): void {
     currentAbortController.abort();
     currentAbortController = null;
   }
-  if (currentPlayProcess) {
+  if (isPlaying) {
     console.log("Stopping previous playback...");
-    currentPlayProcess.kill();
-    currentPlayProcess = null;
+    isPlaying = false;
     stopLipsync();
     notifyLipsyncStop();
   }
@@ -52,162 +43,223 @@ export function stopCurrentPlayback(): void {
   }
 }
 
+// 再生した区切り（履歴の字幕の時刻に使う）
+export interface SpokenChunk {
+  text: string;
+  // 再生を始めた時刻（epoch ミリ秒）
+  startedAt: number;
+  // 再生した長さ（途中で止めた区切りは止めるまで）
+  durationMs: number;
+}
+
+export interface SpeechResult {
+  chunks: SpokenChunk[];
+  // speech.maxDurationMs を超えて残りを読まなかった
+  truncated: boolean;
+  // 新しい発話や停止で途中で終わった
+  interrupted: boolean;
+}
+
+export interface SpeakOptions {
+  // 区切りごとに呼ばれ、false を返したら残りを読まずに終わる（新しい発話が来たときなど）
+  shouldContinue?: () => boolean;
+}
+
+// 区切りの音声（字幕だけのときは合成しないので result が無い）
+interface ChunkSpeech {
+  result: EngineSynthesisResult | null;
+  durationMs: number;
+}
+
+/**
+ * 1つの区切りを合成する（中断されたら AbortError）
+ * 字幕だけのとき（subtitles.only）は合成せず、文字数から読む時間を決める
+ */
+async function synthesizeChunk(text: string, signal: AbortSignal, voice?: VoiceProfile): Promise<ChunkSpeech> {
+  const subtitles = getSubtitlesConfig();
+  if (subtitles.only) {
+    const speed = voice?.speedScale && voice.speedScale > 0 ? voice.speedScale : 1;
+    return { result: null, durationMs: Math.round((Array.from(text).length * subtitles.charMs) / speed) };
+  }
+  const result = await synthesize(text, { signal, voice });
+  // WAVファイルから音声の長さを取得
+  return { result, durationMs: getWavDuration(result.audio) };
+}
+
 /**
- * VOICEVOX で音声合成して再生
+ * 合成済みの区切りを1つ再生する（リップシンク・字幕付き）
  */
-export async function speakWithVoicevox(text: string): Promise<void> {
+async function playChunk(
+  { result, durationMs }: ChunkSpeech,
+  signal: AbortSignal,
+  chunk: { text: string; index: number; total: number }
+): Promise<number> {
+  const timeline = result?.timeline;
+  const part = chunk.total > 1 ? ` [${chunk.index + 1}/${chunk.total}]` : "";
+
+  // キャッシュに無い場合だけ一時ファイルに保存して再生
+  let tempFile: string | null = null;
+  if (result) {
+    if (!result.file) {
+      tempFile = path.join(os.tmpdir(), `claude-voice-${Date.now()}-${chunk.index}.wav`);
+      await fs.writeFile(tempFile, result.audio);
+      currentTempFile = tempFile;
+    }
+    console.log(`Synthesized with ${result.engine}${result.cached ? " (cached)" : ""} (${durationMs}ms)${part}`);
+  } else {
+    console.log(`Showing subtitles only (${durationMs}ms)${part}`);
+  }
+
+  // VTube Studioが接続されていればリップシンク開始
+  if (isConnected()) {
+    startLipsync(durationMs, timeline);
+  }
+  // Electronクライアントにも通知（続きがある区切りでは口を閉じずに次へつなぐ）
+  const subtitles = getSubtitlesConfig();
+  notifyLipsyncStart(
+    durationMs,
+    timeline,
+    { ...chunk, continues: chunk.index < chunk.total - 1 },
+    subtitles.enabled || !result
+      ? { phrases: buildSubtitlePhrases(chunk.text, durationMs, timeline), holdMs: subtitles.holdMs, silent: !result }
+      : undefined
+  );
+
+  try {
+    if (result) {
+      await playAudio({ file: result.file ?? tempFile!, data: result.audio, durationMs, signal });
+    } else {
+      await waitSilently(durationMs, signal);
+    }
+  } finally {
+    if (tempFile && currentTempFile === tempFile) {
+      fs.unlink(tempFile).catch(() => {});
+      currentTempFile = null;
+    }
+  }
+  return durationMs;
+}
+
+/**
+ * 音声合成して再生（VOICEVOX が無ければ設定されたフォールバックエンジンを使う）
+ * 長いテキストは文の区切りで分け、前の区切りを再生している間に次を合成する
+ * 順番待ちや優先度は speech-queue.ts が管理する
+ */
+export async function speakWithVoicevox(
+  text: string,
+  voice?: VoiceProfile,
+  options: SpeakOptions = {}
+): Promise<SpeechResult> {
   // 前の再生を停止
   stopCurrentPlayback();
 
   // 新しいAbortControllerを作成
   const abortController = new AbortController();
   currentAbortController = abortController;
+  const { signal } = abortController;
 
-  // 長すぎるテキストは省略
-  const truncatedText = text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) + "..." : text;
+  const { maxDurationMs, maxChunkLength } = getSpeechConfig();
+  const chunks = splitIntoChunks(text, maxChunkLength);
+  const spoken: SpeechResult = { chunks: [], truncated: false, interrupted: false };
+  if (chunks.length === 0) return spoken;
 
-  try {
-    // 1. 音声合成用のクエリを作成
-    const queryRes = await fetch(
-      `${VOICEVOX_URL}/audio_query?text=${encodeURIComponent(truncatedText)}&speaker=${SPEAKER_ID}`,
-      { method: "POST", signal: abortController.signal }
-    );
-
-    if (!queryRes.ok) {
-      throw new Error(`Audio query failed: ${queryRes.status}`);
+  // 区切りを再生して、再生した時刻と長さを残す
+  const play = async (speech: ChunkSpeech, chunk: { text: string; index: number; total: number }) => {
+    const startedAt = Date.now();
+    const { durationMs } = speech;
+    try {
+      await playChunk(speech, signal, chunk);
+    } finally {
+      const elapsed = Date.now() - startedAt;
+      spoken.chunks.push({ text: chunk.text, startedAt, durationMs: signal.aborted ? Math.min(elapsed, durationMs) : durationMs });
     }
+    return durationMs;
+  };
 
-    const query: AudioQuery = await queryRes.json();
-
-    // 速度調整
-    query.speedScale = VOICEVOX_SPEED_SCALE;
+  // 先読みした合成の失敗は、その区切りを待つときに扱う
+  const prefetch = (index: number) => {
+    const promise = synthesizeChunk(chunks[index], signal, voice);
+    promise.catch(() => {});
+    return promise;
+  };
 
-    // キャンセルされたかチェック
-    if (abortController.signal.aborted) return;
+  let playedMs = 0;
+  // 残りの区切りを自分で取りやめた（後始末はここでする）
+  let stoppedEarly = false;
 
-    // 2. 音声合成
-    const synthesisRes = await fetch(
-      `${VOICEVOX_URL}/synthesis?speaker=${SPEAKER_ID}`,
-      {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(query),
-        signal: abortController.signal,
-      }
-    );
+  try {
+    // 1. 音声合成（config の tts.order に従ってエンジンを選ぶ。キャッシュがあればそれを使う）
+    let next: Promise<ChunkSpeech> | null = prefetch(0);
+    isPlaying = true;
 
-    if (!synthesisRes.ok) {
-      throw new Error(`Synthesis failed: ${synthesisRes.status}`);
-    }
+    for (let index = 0; next; index++) {
+      const speech = await next;
+      // キャンセルされたかチェック
+      if (signal.aborted) return { ...spoken, interrupted: true };
 
-    // キャンセルされたかチェック
-    if (abortController.signal.aborted) return;
+      // 喋る長さの上限を超える区切りは読まない（最初の区切りは必ず読む）
+      if (index > 0 && playedMs + speech.durationMs > maxDurationMs) {
+        spoken.truncated = true;
+        break;
+      }
 
-    // 3. 一時ファイルに保存して再生
-    const audioBuffer = await synthesisRes.arrayBuffer();
-    const tempFile = path.join(os.tmpdir(), `claude-voice-${Date.now()}.wav`);
-    const audioData = Buffer.from(audioBuffer);
-    await fs.writeFile(tempFile, audioData);
-    currentTempFile = tempFile;
+      // 2. 再生している間に次の区切りを合成しておく
+      next = index + 1 < chunks.length ? prefetch(index + 1) : null;
+      playedMs += await play(speech, { text: chunks[index], index, total: chunks.length });
+      if (signal.aborted) return { ...spoken, interrupted: true };
 
-    // WAVファイルから音声の長さを取得
-    const durationMs = getWavDuration(audioData);
+      if (next && options.shouldContinue && !options.shouldContinue()) {
+        console.log(`Stopped after ${index + 1}/${chunks.length} chunks (new speech)`);
+        stoppedEarly = true;
+        abortController.abort();
+        return { ...spoken, interrupted: true };
+      }
+    }
 
-    // VTube Studioが接続されていればリップシンク開始
-    if (isConnected()) {
-      startLipsync(durationMs);
+    if (spoken.truncated) {
+      console.log(`Reached speech.maxDurationMs (${maxDurationMs}ms), skipping the rest`);
+      const noticeText = getMessage("SPEECH_TRUNCATED");
+      const notice = await synthesizeChunk(noticeText, signal, voice);
+      if (signal.aborted) return { ...spoken, interrupted: true };
+      await play(notice, { text: noticeText, index: 0, total: 1 });
     }
-    // Electronクライアントにも通知
-    notifyLipsyncStart(durationMs);
-
-    // macOS の場合は afplay、Linux の場合は aplay
-    const playCommand = process.platform === "darwin" ? "afplay" : "aplay";
-
-    // spawnで再生（キャンセル可能）
-    await new Promise<void>((resolve, reject) => {
-      const proc = spawn(playCommand, [tempFile]);
-      currentPlayProcess = proc;
-
-      proc.on("close", (code) => {
-        if (currentPlayProcess === proc) {
-          currentPlayProcess = null;
-        }
-        // リップシンク停止
-        stopLipsync();
-        notifyLipsyncStop();
-        // 一時ファイル削除
-        if (currentTempFile === tempFile) {
-          fs.unlink(tempFile).catch(() => {});
-          currentTempFile = null;
-        }
-        resolve();
-      });
-
-      proc.on("error", (err) => {
-        if (currentPlayProcess === proc) {
-          currentPlayProcess = null;
-        }
-        stopLipsync();
-        reject(err);
-      });
-    });
+    return spoken;
   } catch (error) {
     // キャンセルされた場合は無視
     if (error instanceof Error && error.name === "AbortError") {
       console.log("Speech synthesis cancelled");
-      return;
+      return { ...spoken, interrupted: true };
     }
-    if (error instanceof Error && error.message.includes("ECONNREFUSED")) {
-      console.error("VOICEVOX is not running! Please start VOICEVOX first.");
-    } else {
-      throw error;
+    if (error instanceof TtsUnavailableError) {
+      console.error(`${error.message}. Please start VOICEVOX first.`);
+      return spoken;
+    }
+    throw error;
+  } finally {
+    // 外から中断された場合は stopCurrentPlayback 側で後始末済み
+    if (!signal.aborted || stoppedEarly) {
+      isPlaying = false;
+      stopLipsync();
+      notifyLipsyncStop();
+    }
+    if (currentAbortController === abortController) {
+      currentAbortController = null;
     }
   }
 }
 
 /**
- * VOICEVOX の話者一覧を取得
- */
-export async function getSpeakers(): Promise<unknown[]> {
-  const res = await fetch(`${VOICEVOX_URL}/speakers`);
-  if (!res.ok) {
-    throw new Error(`Failed to get speakers: ${res.status}`);
-  }
-  return res.json();
-}
-
-/**
- * WAVファイルのバイナリから音声の長さ(ms)を取得
+ * 固定メッセージを起動時に合成しておく（キャッシュが有効な場合）
+ * 喋るときと同じ区切りで合成する（キャッシュは区切りごと）
+ * 声は既定のプロファイル（プロジェクトや種類ごとの声は初回に合成される）
  */
-function getWavDuration(buffer: Buffer): number {
-  try {
-    // WAVヘッダーからサンプルレートとデータサイズを取得
-    // バイト24-27: サンプルレート (little-endian)
-    // バイト28-31: バイトレート (little-endian)
-    const sampleRate = buffer.readUInt32LE(24);
-    const byteRate = buffer.readUInt32LE(28);
-
-    // "data"チャンクを探す
-    let dataSize = 0;
-    for (let i = 0; i < buffer.length - 8; i++) {
-      if (
-        buffer[i] === 0x64 && // 'd'
-        buffer[i + 1] === 0x61 && // 'a'
-        buffer[i + 2] === 0x74 && // 't'
-        buffer[i + 3] === 0x61 // 'a'
-      ) {
-        dataSize = buffer.readUInt32LE(i + 4);
-        break;
-      }
-    }
-
-    if (dataSize === 0 || byteRate === 0) {
-      // フォールバック: テキスト長から推定（1文字約0.15秒）
-      return DEFAULT_AUDIO_DURATION_MS;
-    }
-
-    return Math.floor((dataSize / byteRate) * 1000);
-  } catch (e) {
-    return DEFAULT_AUDIO_DURATION_MS; // エラー時のデフォルト
-  }
+export async function prewarmFixedMessages(): Promise<void> {
+  const config = getCacheConfig();
+  if (!config.enabled || !config.prewarm || getSubtitlesConfig().only) return;
+  const { profile } = resolveVoice({});
+  const { maxChunkLength } = getSpeechConfig();
+  await prewarmCache(
+    getFixedMessages().flatMap((text) => splitIntoChunks(text, maxChunkLength)),
+    profile
+  );
 }
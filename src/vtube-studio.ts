@@ -6,7 +6,8 @@
 import WebSocket from "ws";
 import fs from "fs";
 import path from "path";
-import { VTS_WEBSOCKET_URL, VTS_REQUEST_TIMEOUT_MS, LIPSYNC_INTERVAL_MS } from "./constants.js";
+import { VTS_WEBSOCKET_URL, VTS_REQUEST_TIMEOUT_MS, LIPSYNC_INTERVAL_MS, LIPSYNC_FRAME_MS } from "./constants.js";
+import { VisemeFrame, Viseme, VISEME_SHAPES, visemeAt } from "./lipsync.js";
 const PLUGIN_NAME = "Claude VTuber Avatar";
 const PLUGIN_DEVELOPER = "Claude Code";
 const TOKEN_FILE = path.join(process.cwd(), ".vts-token");
@@ -15,6 +16,7 @@ let ws: WebSocket | null = null;
 let authToken: string | null = null;
 let isAuthenticated = false;
 let lipsyncInterval: NodeJS.Timeout | null = null;
+let lipsyncTimeout: NodeJS.Timeout | null = null;
 let mouthOpen = false;
 
 // リクエストID生成
@@ -185,7 +187,14 @@ async function authenticate(): Promise<boolean> {
 /**
  * パラメータ値を設定
  */
-async function setParameter(parameterId: string, value: number): Promise<void> {
+function setParameter(parameterId: string, value: number): Promise<void> {
+  return setParameters([{ id: parameterId, value }]);
+}
+
+/**
+ * 複数のパラメータ値をまとめて設定
+ */
+async function setParameters(parameterValues: Array<{ id: string; value: number }>): Promise<void> {
   if (!isAuthenticated || !ws) return;
 
   try {
@@ -195,12 +204,7 @@ async function setParameter(parameterId: string, value: number): Promise<void> {
       requestID: getRequestId(),
       messageType: "InjectParameterDataRequest",
       data: {
-        parameterValues: [
-          {
-            id: parameterId,
-            value: value,
-          },
-        ],
+        parameterValues,
       },
     });
   } catch (e) {
@@ -209,9 +213,11 @@ async function setParameter(parameterId: string, value: number): Promise<void> {
 }
 
 /**
- * リップシンク開始（簡易版：一定間隔で口をパクパク）
+ * リップシンク開始
+ * タイムラインがあれば MouthOpen / MouthForm を音素に合わせて動かし、
+ * 無ければ一定間隔で口をパクパクさせる
  */
-export function startLipsync(durationMs: number): void {
+export function startLipsync(durationMs: number, timeline?: VisemeFrame[]): void {
   if (!isAuthenticated) {
     console.log("VTube Studio not authenticated, skipping lipsync");
     return;
@@ -221,13 +227,29 @@ export function startLipsync(durationMs: number): void {
 
   console.log("Starting lipsync...");
 
-  lipsyncInterval = setInterval(() => {
-    mouthOpen = !mouthOpen;
-    setParameter("MouthOpen", mouthOpen ? 1 : 0);
-  }, LIPSYNC_INTERVAL_MS);
+  if (timeline && timeline.length > 0) {
+    const startedAt = Date.now();
+    let current: Viseme | null = null;
+    lipsyncInterval = setInterval(() => {
+      const viseme = visemeAt(timeline, Date.now() - startedAt);
+      // 口の形が変わったときだけ送信する
+      if (viseme === current) return;
+      current = viseme;
+      const shape = VISEME_SHAPES[viseme];
+      setParameters([
+        { id: "MouthOpen", value: shape.open },
+        { id: "MouthForm", value: shape.form },
+      ]);
+    }, LIPSYNC_FRAME_MS);
+  } else {
+    lipsyncInterval = setInterval(() => {
+      mouthOpen = !mouthOpen;
+      setParameter("MouthOpen", mouthOpen ? 1 : 0);
+    }, LIPSYNC_INTERVAL_MS);
+  }
 
   // 指定時間後に自動停止
-  setTimeout(() => {
+  lipsyncTimeout = setTimeout(() => {
     stopLipsync();
   }, durationMs);
 }
@@ -240,8 +262,15 @@ export function stopLipsync(): void {
     clearInterval(lipsyncInterval);
     lipsyncInterval = null;
   }
+  if (lipsyncTimeout) {
+    clearTimeout(lipsyncTimeout);
+    lipsyncTimeout = null;
+  }
   mouthOpen = false;
-  setParameter("MouthOpen", 0);
+  setParameters([
+    { id: "MouthOpen", value: 0 },
+    { id: "MouthForm", value: 0 },
+  ]);
   console.log("Lipsync stopped");
 }
 
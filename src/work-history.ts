@@ -0,0 +1,236 @@
+/**
+ * セッションごとの作業履歴
+ * ツールの実行を session_id ごとに記録し、Stop（ターンの終わり）と SessionEnd で振り返りを喋る
+ */
+
+import type { MessageKey } from "./character.js";
+import { getMessage, joinSentences } from "./messages.js";
+
+// 記録する作業の種類（振り返りではこの順に読む）
+export type WorkAction =
+  | "create"
+  | "edit"
+  | "read"
+  | "search"
+  | "web"
+  | "task"
+  | "install"
+  | "build"
+  | "test"
+  | "commit"
+  | "push"
+  | "pull"
+  | "command";
+
+export interface WorkEntry {
+  action: WorkAction;
+  // ファイル名や失敗したコマンド（ファイルの作業は別のファイルの数を数える）
+  target?: string;
+  failed?: boolean;
+  at: number;
+}
+
+export interface SessionHistory {
+  id: string;
+  project?: string;
+  startedAt: number;
+  endedAt?: number;
+  entries: WorkEntry[];
+  // 今のターン（最後の Stop の後）の最初の記録の位置
+  turnStart: number;
+}
+
+export interface SessionSummary {
+  id: string;
+  project?: string;
+  startedAt: string;
+  endedAt: string | null;
+  counts: Partial<Record<WorkAction, number>>;
+  failures: Array<{ action: WorkAction; target?: string; at: string }>;
+  recap: string | null;
+  entries: Array<Omit<WorkEntry, "at"> & { at: string }>;
+}
+
+// session_id が無い hooks の記録先
+export const DEFAULT_SESSION_ID = "default";
+// 終わったセッションは最近のものだけ残す（/sessions/:id/summary で後から見られるように）
+const MAX_ENDED_SESSIONS = 20;
+// 1セッションで覚えておく記録の上限
+const MAX_ENTRIES = 1000;
+
+// 振り返りで読む作業（この順に読む。create / edit / read は別のファイルの数、ほかは回数）
+const RECAP_MESSAGES: Partial<Record<WorkAction, MessageKey>> = {
+  create: "RECAP_CREATE",
+  edit: "RECAP_EDIT",
+  read: "RECAP_READ",
+  search: "RECAP_SEARCH",
+  web: "RECAP_WEB",
+  task: "RECAP_TASK",
+  install: "RECAP_INSTALL",
+  build: "RECAP_BUILD",
+  test: "RECAP_TEST",
+  commit: "RECAP_COMMIT",
+  push: "RECAP_PUSH",
+  pull: "RECAP_PULL",
+};
+const FILE_ACTIONS: WorkAction[] = ["create", "edit", "read"];
+
+// 失敗の言い方（ここに無い作業は RECAP_FAILED_COMMAND）
+const FAILURE_MESSAGES: Partial<Record<WorkAction, MessageKey>> = {
+  build: "RECAP_FAILED_BUILD",
+  test: "RECAP_FAILED_TEST",
+};
+// 最後の実行が失敗したままなら念を押す作業
+const UNRESOLVED_MESSAGES: Partial<Record<WorkAction, MessageKey>> = {
+  build: "RECAP_UNRESOLVED_BUILD",
+  test: "RECAP_UNRESOLVED_TEST",
+};
+
+const ACTION_ORDER = [...Object.keys(RECAP_MESSAGES), "command"] as WorkAction[];
+
+const sessions = new Map<string, SessionHistory>();
+
+function sessionIdOf(sessionId?: string): string {
+  return sessionId || DEFAULT_SESSION_ID;
+}
+
+/**
+ * 古い終わったセッションを捨てる
+ */
+function pruneEndedSessions(): void {
+  const ended = [...sessions.values()].filter((s) => s.endedAt !== undefined);
+  for (const session of ended.slice(0, Math.max(0, ended.length - MAX_ENDED_SESSIONS))) {
+    sessions.delete(session.id);
+  }
+}
+
+/**
+ * セッションの履歴を始める（同じ id の履歴があれば捨てる）
+ */
+export function startSession(sessionId?: string, project?: string): SessionHistory {
+  const id = sessionIdOf(sessionId);
+  sessions.delete(id);
+  const session: SessionHistory = { id, project, startedAt: Date.now(), entries: [], turnStart: 0 };
+  sessions.set(id, session);
+  return session;
+}
+
+/**
+ * 作業を記録する（SessionStart を受け取っていないセッションはここで始める）
+ */
+export function recordWork(sessionId: string | undefined, entry: Omit<WorkEntry, "at">, project?: string): void {
+  let session = sessions.get(sessionIdOf(sessionId));
+  // 終わった後の記録は新しいセッションとして扱う
+  if (!session || session.endedAt !== undefined) {
+    session = startSession(sessionId, project);
+  }
+  session.project ??= project;
+  session.entries.push({ ...entry, at: Date.now() });
+  if (session.entries.length > MAX_ENTRIES) {
+    const dropped = session.entries.length - MAX_ENTRIES;
+    session.entries.splice(0, dropped);
+    session.turnStart = Math.max(0, session.turnStart - dropped);
+  }
+}
+
+/**
+ * 作業の種類ごとの回数
+ */
+function countActions(entries: WorkEntry[]): Partial<Record<WorkAction, number>> {
+  const counts: Partial<Record<WorkAction, number>> = {};
+  for (const { action } of entries) {
+    counts[action] = (counts[action] ?? 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * 作業の一覧を「3つのファイルを編集して、テストを2回実行したのだ。」のような振り返りにする
+ * 失敗があれば回数と、最後まで失敗したままのものを付け足す
+ */
+export function buildRecap(entries: WorkEntry[]): string | null {
+  const separator = getMessage("RECAP_SEPARATOR");
+  const parts: string[] = [];
+  for (const action of ACTION_ORDER) {
+    const key = RECAP_MESSAGES[action];
+    if (!key) continue;
+    if (FILE_ACTIONS.includes(action)) {
+      const files = new Set(entries.filter((e) => e.action === action && !e.failed && e.target).map((e) => e.target));
+      if (files.size > 0) parts.push(getMessage(key, { count: files.size, file: [...files][0] }));
+      continue;
+    }
+    // 失敗した実行も回数に数える（「テストを3回実行した…テストが1回失敗した」）
+    const runs = entries.filter((e) => e.action === action).length;
+    if (runs > 0) parts.push(getMessage(key, { count: runs }));
+  }
+
+  // 言い方が同じ失敗（ビルド・テスト以外のコマンド）はまとめて数える
+  const failedCounts = new Map<MessageKey, number>();
+  for (const action of ACTION_ORDER) {
+    const failed = entries.filter((e) => e.action === action && e.failed).length;
+    if (failed === 0) continue;
+    const key = FAILURE_MESSAGES[action] ?? "RECAP_FAILED_COMMAND";
+    failedCounts.set(key, (failedCounts.get(key) ?? 0) + failed);
+  }
+  const failures = [...failedCounts].map(([key, count]) => getMessage(key, { count }));
+
+  const sentences: string[] = [];
+  if (parts.length > 0) sentences.push(getMessage("RECAP_WORK", { items: parts.join(separator) }));
+  if (failures.length > 0) {
+    const items = failures.join(separator);
+    sentences.push(getMessage(parts.length > 0 ? "RECAP_FAILURES" : "RECAP_FAILURES_ONLY", { items }));
+    const unresolved = (Object.keys(UNRESOLVED_MESSAGES) as WorkAction[]).filter((action) => {
+      const runs = entries.filter((e) => e.action === action);
+      return runs.length > 0 && runs[runs.length - 1].failed;
+    });
+    if (unresolved.length > 0) {
+      const subjects = unresolved.map((action) => getMessage(UNRESOLVED_MESSAGES[action]!));
+      sentences.push(getMessage("RECAP_UNRESOLVED", { items: subjects.join(getMessage("RECAP_AND")) }));
+    }
+  }
+  return sentences.length > 0 ? joinSentences(sentences) : null;
+}
+
+/**
+ * 今のターン（前の Stop の後）の振り返りを作り、次のターンの記録を始める
+ */
+export function takeTurnRecap(sessionId?: string): string | null {
+  const session = sessions.get(sessionIdOf(sessionId));
+  if (!session) return null;
+  const recap = buildRecap(session.entries.slice(session.turnStart));
+  session.turnStart = session.entries.length;
+  return recap;
+}
+
+/**
+ * セッションを終えてセッション全体の振り返りと長さを返す
+ */
+export function endSession(sessionId?: string): { recap: string | null; durationMs: number } | null {
+  const session = sessions.get(sessionIdOf(sessionId));
+  if (!session || session.endedAt !== undefined) return null;
+  session.endedAt = Date.now();
+  session.turnStart = session.entries.length;
+  pruneEndedSessions();
+  return { recap: buildRecap(session.entries), durationMs: session.endedAt - session.startedAt };
+}
+
+/**
+ * セッションの集計（GET /sessions/:id/summary 用）
+ */
+export function summarizeSession(sessionId: string): SessionSummary | null {
+  const session = sessions.get(sessionId);
+  if (!session) return null;
+  const iso = (at: number) => new Date(at).toISOString();
+  return {
+    id: session.id,
+    project: session.project,
+    startedAt: iso(session.startedAt),
+    endedAt: session.endedAt !== undefined ? iso(session.endedAt) : null,
+    counts: countActions(session.entries),
+    failures: session.entries
+      .filter((e) => e.failed)
+      .map(({ action, target, at }) => ({ action, target, at: iso(at) })),
+    recap: buildRecap(session.entries),
+    entries: session.entries.map((entry) => ({ ...entry, at: iso(entry.at) })),
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * 再生のバックエンド（失敗したプレイヤーは次のバックエンドに回す）
+ * PATH に置いた偽の aplay・ffplay で確かめる
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { chmodSync, existsSync, mkdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import { setupTestEnv, TestEnv } from "./helpers.js";
+import { playAudio } from "../src/audio/index.js";
+import { createMockEngine } from "../src/tts/mock-engine.js";
+
+let env: TestEnv;
+let bin: string;
+
+function fakePlayer(name: string, script: string): void {
+  const file = join(bin, name);
+  writeFileSync(file, `#!/bin/sh\n${script}\n`);
+  chmodSync(file, 0o755);
+}
+
+before(() => {
+  env = setupTestEnv({ audio: { backend: "aplay", order: ["ffplay"], volume: 0.5 } }, "mock", false);
+  bin = join(env.dir, "bin");
+  mkdirSync(bin);
+  process.env.PATH = `${bin}:${process.env.PATH}`;
+});
+
+after(() => env.cleanup());
+
+test("a player that exits nonzero falls back to the next backend", async () => {
+  fakePlayer("aplay", "echo 'aplay: no such device' >&2\nexit 1");
+  fakePlayer("ffplay", `touch "${join(env.dir, "ffplay-ran")}"`);
+
+  const { audio } = await createMockEngine({ name: "mock" }).synthesize("あ");
+  const file = join(env.dir, "voice.wav");
+  writeFileSync(file, audio);
+  await playAudio({ file, data: audio, durationMs: 100, signal: new AbortController().signal });
+
+  assert.ok(existsSync(join(env.dir, "ffplay-ran")), "ffplay should play after aplay failed");
+});
@@ -0,0 +1,50 @@
+/**
+ * キャッシュのヒットは索引をすぐには書かず、まとめて書く
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { setupTestEnv, waitFor, TestEnv } from "./helpers.js";
+import { getCached, putCached } from "../src/tts/cache.js";
+import type { TtsEngine } from "../src/tts/types.js";
+
+let env: TestEnv;
+const cacheDir = mkdtempSync(join(tmpdir(), "zundamon-cache-"));
+
+// モックエンジンはキャッシュされないので、コマンドのふりをする
+const engine: TtsEngine = {
+  name: "offline",
+  type: "command",
+  voiceKey: () => "fake-tts",
+  synthesize: async () => ({ audio: Buffer.from("RIFF") }),
+};
+
+before(() => {
+  env = setupTestEnv({ cache: { enabled: true, prewarm: false, dir: cacheDir } });
+});
+
+after(() => {
+  env.cleanup();
+  rmSync(cacheDir, { recursive: true, force: true });
+});
+
+function lastUsed(): number {
+  const index = JSON.parse(readFileSync(join(cacheDir, "index.json"), "utf-8"));
+  return index[0].lastUsed;
+}
+
+test("a hit updates the index on disk later, not on every read", async () => {
+  assert.ok(putCached(engine, "キャッシュするのだ", undefined, { audio: Buffer.from("RIFF") }));
+  const stored = lastUsed();
+
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  for (let i = 0; i < 3; i++) {
+    assert.ok(getCached(engine, "キャッシュするのだ"));
+  }
+  assert.equal(lastUsed(), stored);
+
+  await waitFor(() => lastUsed() > stored);
+});
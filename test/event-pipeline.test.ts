@@ -0,0 +1,69 @@
+/**
+ * hooks とセッションファイルから同じイベントが来たら一度だけ喋る
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv, waitFor, TestEnv } from "./helpers.js";
+import { publishEvent } from "../src/event-pipeline.js";
+import { getQueueState } from "../src/speech-queue.js";
+import type { HookData } from "../src/hook-events.js";
+
+let env: TestEnv;
+
+before(() => {
+  env = setupTestEnv({ history: { enabled: false }, policy: { enabled: false } });
+});
+
+after(async () => {
+  await waitFor(() => {
+    const { current, pending } = getQueueState();
+    return !current && pending.length === 0;
+  });
+  env.cleanup();
+});
+
+// hooks の PostToolUse（tool_use_id が無い）
+function fromHooks(command: string): HookData {
+  return {
+    hook_event_name: "PostToolUse",
+    session_id: "s1",
+    tool_name: "Bash",
+    tool_input: { command },
+    tool_error: "Exit code 1\nnpm ERR! missing script: lint",
+  };
+}
+
+// セッションファイルの tool_result（transcript-events.ts が作る形）
+function fromTranscript(command: string, toolUseId: string): HookData {
+  return {
+    hook_event_name: "PostToolUse",
+    session_id: "s1",
+    tool_name: "Bash",
+    tool_input: { command },
+    tool_use_id: toolUseId,
+    tool_error: "Exit code 1\nnpm ERR! missing script: lint",
+  };
+}
+
+test("a failing tool from both sources is spoken once", async () => {
+  const hooks = await publishEvent("hooks", fromHooks("npm run lint"));
+  const transcript = await publishEvent("transcript", fromTranscript("npm run lint", "toolu_1"));
+
+  assert.ok(hooks.queued, "the hooks copy should be queued");
+  assert.equal(hooks.queued.kind, "Error");
+  assert.equal(transcript.queued, null);
+  assert.equal(transcript.skipped, "duplicate");
+});
+
+test("the same command run twice is spoken twice, once per pair", async () => {
+  const first = await publishEvent("hooks", fromHooks("npm run build"));
+  const second = await publishEvent("hooks", fromHooks("npm run build"));
+  const firstCopy = await publishEvent("transcript", fromTranscript("npm run build", "toolu_2"));
+  const secondCopy = await publishEvent("transcript", fromTranscript("npm run build", "toolu_3"));
+
+  assert.ok(first.queued);
+  assert.ok(second.queued);
+  assert.equal(firstCopy.skipped, "duplicate");
+  assert.equal(secondCopy.skipped, "duplicate");
+});
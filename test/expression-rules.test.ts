@@ -0,0 +1,28 @@
+/**
+ * 表情の判定（組み込みのルールと打ち消し）
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv, TestEnv } from "./helpers.js";
+import { detectExpression } from "../src/expression-rules.js";
+
+let env: TestEnv;
+
+before(() => {
+  // ルールを書いていない設定でも組み込みのルールで判定する
+  env = setupTestEnv();
+});
+
+after(() => env.cleanup());
+
+test("built-in rules pick an expression", () => {
+  assert.equal(detectExpression("Build failed with 3 errors").expression, "shock");
+  assert.equal(detectExpression("完了したのだ").expression, "smile");
+});
+
+test("negations suppress the expression", () => {
+  const detection = detectExpression("テストは通った。エラーなし");
+  assert.equal(detection.expression, "normal");
+  assert.equal(detection.suppressed.length, 1);
+});
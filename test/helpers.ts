@@ -0,0 +1,70 @@
+/**
+ * テストの共通の準備
+ * 一時ディレクトリのユーザー設定・モックエンジン・鳴らさない再生
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { setUserConfigPath } from "../src/config.js";
+import { registerAudioBackend, PlaybackRequest } from "../src/audio/index.js";
+
+export interface TestEnv {
+  dir: string;
+  // 差し替えた再生に渡されたもの
+  played: PlaybackRequest[];
+  cleanup(): void;
+}
+
+/**
+ * 一時ディレクトリにユーザー設定を書いて読み込む（履歴・キャッシュは一時ディレクトリに置く）
+ * engine を指定しなければモックエンジンだけを使う。stubPlayback が false なら本物のバックエンドで再生する
+ */
+export function setupTestEnv(
+  config: Record<string, unknown> = {},
+  engine: string | null = "mock",
+  stubPlayback = true
+): TestEnv {
+  const dir = mkdtempSync(join(tmpdir(), "zundamon-test-"));
+  const configPath = join(dir, "config.json");
+  writeFileSync(
+    configPath,
+    JSON.stringify({
+      audio: { backend: "aplay" },
+      cache: { enabled: false, prewarm: false, dir: join(dir, "cache") },
+      history: { path: join(dir, "history.jsonl") },
+      ...config,
+    })
+  );
+  setUserConfigPath(configPath);
+  if (engine) process.env.ZUNDAMON_TTS_ENGINE = engine;
+  else delete process.env.ZUNDAMON_TTS_ENGINE;
+
+  const played: PlaybackRequest[] = [];
+  if (stubPlayback) {
+    registerAudioBackend({
+      name: "aplay",
+      isAvailable: () => true,
+      play: async (request) => {
+        played.push(request);
+      },
+    });
+  }
+
+  return {
+    dir,
+    played,
+    cleanup: () => rmSync(dir, { recursive: true, force: true }),
+  };
+}
+
+/**
+ * 条件を満たすまで待つ
+ */
+export async function waitFor(condition: () => boolean | Promise<boolean>, timeoutMs = 5000): Promise<void> {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error("timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
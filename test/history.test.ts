@@ -0,0 +1,88 @@
+/**
+ * 喋った内容が履歴に残り（整形前の原文も）、履歴から再生し直せる
+ * POST /speak → 発話キュー → モックエンジン → 再生 → 履歴 を通す
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import type { AddressInfo } from "net";
+import { setupTestEnv, TestEnv } from "./helpers.js";
+import { createAvatarServer } from "../src/app.js";
+
+let env: TestEnv;
+const { server, wss } = createAvatarServer();
+let baseUrl = "";
+
+function post(path: string, body: unknown): Promise<Response> {
+  return fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * キューが空になるまで待つ
+ */
+async function waitForIdle(): Promise<void> {
+  for (let i = 0; i < 100; i++) {
+    const queue = await fetch(`${baseUrl}/queue`).then((res) => res.json());
+    if (!queue.current && queue.pending.length === 0) return;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("speech queue did not drain");
+}
+
+before(async () => {
+  env = setupTestEnv();
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+after(async () => {
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+  env.cleanup();
+});
+
+test("a spoken event is recorded in the history with its original text", async () => {
+  const res = await post("/speak", {
+    hook_event_name: "AssistantMessage",
+    session_id: "test-session",
+    message: "**テストが通った**のだ。",
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.success, true);
+  assert.ok(body.queued, "the speech should be queued");
+
+  await waitForIdle();
+
+  assert.equal(env.played.length, 1);
+  assert.equal(env.played[0].data.subarray(0, 4).toString("ascii"), "RIFF");
+  assert.ok(env.played[0].durationMs > 0);
+
+  const { entries } = await fetch(`${baseUrl}/history?session=test-session`).then((r) => r.json());
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].event, "AssistantMessage");
+  assert.equal(entries[0].original, "**テストが通った**のだ。");
+  assert.equal(entries[0].text, "テストが通ったのだ。");
+});
+
+test("a history entry can be replayed", async () => {
+  const { entries } = await fetch(`${baseUrl}/history?session=test-session`).then((r) => r.json());
+  const res = await post(`/history/${entries[0].id}/replay`, {});
+  assert.equal(res.status, 200);
+
+  await waitForIdle();
+
+  assert.equal(env.played.length, 2);
+  const replays = await fetch(`${baseUrl}/history?source=replay`).then((r) => r.json());
+  assert.equal(replays.entries.length, 1);
+  assert.equal(replays.entries[0].replayOf, entries[0].id);
+});
+
+test("an unknown history entry is 404", async () => {
+  const res = await post("/history/does-not-exist/replay", {});
+  assert.equal(res.status, 404);
+});
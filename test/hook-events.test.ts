@@ -0,0 +1,23 @@
+/**
+ * hooks の JSON の形の確認
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toHookPayload, validateHookData } from "../src/hook-events.js";
+
+test("a well-formed payload passes", () => {
+  const data = { hook_event_name: "PostToolUse", tool_name: "Bash", tool_input: { command: "npm test" }, extra: [1] };
+  assert.deepEqual(validateHookData(data), []);
+  assert.equal(toHookPayload(data)?.hook_event_name, "PostToolUse");
+});
+
+test("fields of the wrong type are reported", () => {
+  assert.deepEqual(validateHookData({ hook_event_name: "PostToolUse", tool_name: 1, tool_input: { command: ["ls"] } }), [
+    "tool_name must be a string",
+    "tool_input.command must be a string",
+  ]);
+  assert.deepEqual(validateHookData({ message: { text: "hi" } }), ["message must be a string"]);
+  assert.deepEqual(validateHookData([]), ["body must be a JSON object"]);
+  assert.equal(toHookPayload({ hook_event_name: "AssistantMessage", message: 42 } as never), null);
+});
@@ -0,0 +1,24 @@
+/**
+ * 読み上げ用にテキストを整える（行のつなぎ方）
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv, TestEnv } from "./helpers.js";
+import { normalizeForSpeech } from "../src/normalizer.js";
+
+let env: TestEnv;
+
+before(() => {
+  env = setupTestEnv();
+});
+
+after(() => env.cleanup());
+
+test("a line ending in English punctuation gets no second terminator", () => {
+  assert.equal(normalizeForSpeech("ビルドに失敗したのだ\nSee details.\nRun it again"), "ビルドに失敗したのだ。See details. Run it again");
+});
+
+test("Japanese lines still get a full stop", () => {
+  assert.equal(normalizeForSpeech("直したのだ\nテストも通ったのだ"), "直したのだ。テストも通ったのだ");
+});
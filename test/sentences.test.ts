@@ -0,0 +1,27 @@
+/**
+ * 合成する単位に分ける（文の区切り・略語・つなぎ方）
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitIntoChunks, splitSentences } from "../src/sentences.js";
+
+test("abbreviations do not end a sentence", () => {
+  assert.deepEqual(splitSentences("Use a hook, e.g. useEffect. Ask Mr. Smith. Done."), [
+    "Use a hook, e.g. useEffect.",
+    "Ask Mr. Smith.",
+    "Done.",
+  ]);
+});
+
+test("chunks are joined with a space next to English", () => {
+  // 最初の区切りは1文だけ、以降はまとめる
+  assert.deepEqual(splitIntoChunks("直したのだ。本当なのだ？e.g. useEffect を見るのだ。OK.", 200), [
+    "直したのだ。",
+    "本当なのだ？ e.g. useEffect を見るのだ。 OK.",
+  ]);
+  assert.deepEqual(splitIntoChunks("直したのだ。テストも通ったのだ。ビルドもできたのだ。", 200), [
+    "直したのだ。",
+    "テストも通ったのだ。ビルドもできたのだ。",
+  ]);
+});
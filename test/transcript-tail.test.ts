@@ -0,0 +1,69 @@
+/**
+ * セッションファイルの追記を読む（区切って読む・書きかけの行・再起動後の位置）
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { appendFileSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createTranscriptTail } from "../src/transcript-tail.js";
+
+function tempDir(): string {
+  return mkdtempSync(join(tmpdir(), "zundamon-tail-"));
+}
+
+test("lines larger than one read are delivered whole, and a partial line waits", async (t) => {
+  const dir = tempDir();
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const file = join(dir, "session.jsonl");
+  writeFileSync(file, "");
+
+  const records: unknown[] = [];
+  const tail = createTranscriptTail({ debounceMs: 10, onRecord: (record) => void records.push(record) });
+  t.after(() => tail.stop());
+  await tail.poll(file);
+
+  // 64 KiB を超える行と、区切りをまたぐ多バイト文字
+  const long = "ずんだ".repeat(40_000);
+  const lines = Array.from({ length: 5 }, (_, i) => JSON.stringify({ i, text: i === 2 ? long : `行${i}` }));
+  appendFileSync(file, lines.join("\n") + "\n" + '{"i": 5, "te');
+  await tail.poll(file);
+
+  assert.equal(records.length, 5);
+  assert.equal((records[2] as { text: string }).text, long);
+
+  appendFileSync(file, 'xt": "続き"}\n');
+  await tail.poll(file);
+  assert.deepEqual(records[5], { i: 5, text: "続き" });
+});
+
+test("a file created while stopped starts at its end", async (t) => {
+  const dir = tempDir();
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const checkpointPath = join(dir, "checkpoint.json");
+  const sessions = join(dir, "project");
+  mkdirSync(sessions);
+  writeFileSync(join(sessions, "old.jsonl"), '{"i": 0}\n');
+
+  // 一度動かして止める（読んだ位置を保存する）
+  const first = createTranscriptTail({ checkpointPath, debounceMs: 10, onRecord: () => {} });
+  first.watchDirectory(sessions);
+  first.stop();
+  assert.ok(JSON.parse(readFileSync(checkpointPath, "utf-8")).files);
+
+  // 止まっている間にできたファイル
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  writeFileSync(join(sessions, "new.jsonl"), '{"i": 1}\n{"i": 2}\n');
+
+  const records: unknown[] = [];
+  const second = createTranscriptTail({ checkpointPath, debounceMs: 10, onRecord: (record) => void records.push(record) });
+  t.after(() => second.stop());
+  second.watchDirectory(sessions);
+  await second.poll(join(sessions, "new.jsonl"));
+  assert.deepEqual(records, []);
+
+  appendFileSync(join(sessions, "new.jsonl"), '{"i": 3}\n');
+  await second.poll(join(sessions, "new.jsonl"));
+  assert.deepEqual(records, [{ i: 3 }]);
+});
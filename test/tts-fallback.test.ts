@@ -0,0 +1,88 @@
+/**
+ * VOICEVOX に届かない・応答しないときに command → mock とフォールバックする
+ */
+
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { chmodSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { createServer, Server } from "http";
+import type { AddressInfo } from "net";
+import { tmpdir } from "os";
+import { join } from "path";
+import { setupTestEnv, TestEnv } from "./helpers.js";
+import { synthesize } from "../src/tts/index.js";
+
+const servers: Server[] = [];
+let env: TestEnv | undefined;
+
+// 出力ファイルに WAV の頭だけを書くコマンド
+const bin = mkdtempSync(join(tmpdir(), "zundamon-tts-"));
+const fakeTts = join(bin, "fake-tts");
+writeFileSync(fakeTts, "#!/bin/sh\nprintf 'RIFF' > \"$1\"\n");
+chmodSync(fakeTts, 0o755);
+
+after(async () => {
+  await Promise.all(
+    servers.map((server) => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    })
+  );
+  env?.cleanup();
+  rmSync(bin, { recursive: true, force: true });
+});
+
+/**
+ * リクエストを受けるだけで応答しない VOICEVOX
+ */
+async function hangingServer(): Promise<string> {
+  const server = createServer(() => {});
+  servers.push(server);
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+}
+
+/**
+ * 一度開いて閉じたポート（接続を拒否される）
+ */
+async function closedPort(): Promise<string> {
+  const server = createServer();
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+  await new Promise((resolve) => server.close(resolve));
+  return `http://127.0.0.1:${port}`;
+}
+
+function useEngines(voicevoxUrl: string, command: string): void {
+  env?.cleanup();
+  env = setupTestEnv(
+    {
+      tts: {
+        engines: [
+          { name: "local", type: "voicevox", url: voicevoxUrl, speaker: 3, timeoutMs: 200 },
+          { name: "offline", type: "command", command, args: ["{output}"] },
+          { name: "mock", type: "mock" },
+        ],
+        order: ["local", "offline", "mock"],
+      },
+    },
+    null
+  );
+}
+
+test("a refused connection falls back to the command engine", async () => {
+  useEngines(await closedPort(), fakeTts);
+
+  const result = await synthesize("フォールバックするのだ");
+  assert.equal(result.engine, "offline");
+  assert.equal(result.audio.toString("ascii"), "RIFF");
+});
+
+test("a timed out request falls back past a missing command to the mock engine", async () => {
+  useEngines(await hangingServer(), "zundamon-no-such-command");
+
+  const started = Date.now();
+  const result = await synthesize("フォールバックするのだ");
+  assert.equal(result.engine, "mock");
+  assert.ok(Date.now() - started < 5000, "the timeout should end the request");
+});